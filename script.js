@@ -6,7 +6,7 @@
  * - Weight progress monitoring
  * - Gamification with milestones and rewards
  * - Data visualization with charts
- * - localStorage persistence
+ * - IndexedDB persistence (localStorage fallback) via storage adapters
  *
  * Data Structure:
  * - User profile (goals, starting stats)
@@ -28,28 +28,38 @@ class BribeYourselfFit {
     this.defaultMilestones = [];
     this.settings = this.getDefaultSettings();
     this.currentTab = 'dashboard';
-    this.chartPeriod = 7;
-    this.currentDate = new Date().toISOString().split('T')[0];
+    this.chartPeriod = 7; // 7, 30, 'all' or 'custom'
+    this.chartRange = null; // { from, to } while chartPeriod is 'custom'
+    this.chartLayouts = {}; // Plotted points per canvas, for tooltips
+    this.reportDate = null; // Day in the period the report shows; null for now
+    this.currentDate = DateUtils.today();
+    this.selectedLogDate = this.currentDate; // Date being edited in the daily log form
     this.deferredPrompt = null; // For PWA install prompt
-
-    // Data validation ranges
+    this.storage = null; // Storage adapter, chosen when data is loaded
+    this.saveBlockedReason = null; // Set when stored data must not be overwritten
+    this.pendingImport = null; // Parsed backup awaiting import confirmation
+    this.pendingImportType = null; // 'complete' or 'logs_only'
+    this.csvImport = null; // Parsed CSV { headers, rows } awaiting mapping
+    this.pendingActivityImport = null; // Health app totals { source, days, fitbitWeights }
+
+    // Data validation ranges (weight ranges depend on the unit - see WeightUnits)
     this.validationRanges = {
-      weight: { min: 50, max: 1000 },
       steps: { min: 0, max: 50000 },
       exercise: { min: 0, max: 300 },
-      water: { min: 0, max: 10 },
+      water: { min: 0, max: 10 }, // liters
     };
 
-    // Initialize the application
-    this.init();
+    // Initialize the application (resolves once stored data is loaded)
+    this.ready = this.init();
   }
 
   /**
    * Initialize the application
    * Load data, set up event listeners, and determine initial screen
    */
-  init() {
-    this.loadData();
+  async init() {
+    await this.loadData();
+    await this.syncWeightUnit();
     this.setupEventListeners();
     this.updateCurrentDate();
 
@@ -57,9 +67,71 @@ class BribeYourselfFit {
     if (!this.currentUser) {
       this.showSetupScreen();
     } else {
+      // Streaks are always derived from the logs rather than trusted from storage
+      this.recalculateStreaks();
       this.showAppScreen();
       this.updateDashboard();
     }
+
+    this.startDayRolloverWatch();
+  }
+
+  /**
+   * Move "today" forward at local midnight while the app stays open
+   * Timers don't run while a device sleeps, so also check whenever the
+   * page becomes visible again
+   */
+  startDayRolloverWatch() {
+    const schedule = () => {
+      clearTimeout(this.dayRolloverTimer);
+      this.dayRolloverTimer = setTimeout(() => {
+        this.checkDayRollover();
+        schedule();
+      }, DateUtils.msUntilNextDay() + 1000);
+    };
+    schedule();
+
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) this.checkDayRollover();
+    });
+  }
+
+  /**
+   * Switch to the new day if the local date has changed
+   * @returns {boolean} true if the day rolled over
+   */
+  checkDayRollover() {
+    const today = DateUtils.today();
+    if (today === this.currentDate) return false;
+
+    console.log(`📅 New day: ${this.currentDate} → ${today}`);
+    const previousDate = this.currentDate;
+    this.currentDate = today;
+    this.updateCurrentDate();
+    if (!this.currentUser) return true;
+
+    // Someone mid-entry keeps the day they were filling in; otherwise the
+    // form moves on to the new today
+    const dailyLogForm = document.getElementById('dailyLogForm');
+    const isEditing =
+      dailyLogForm && dailyLogForm.contains(document.activeElement);
+    if (this.selectedLogDate === previousDate && !isEditing) {
+      this.selectedLogDate = today;
+    }
+
+    this.recalculateStreaks();
+    this.updateStreakDisplay();
+    this.updateQuickStats();
+    this.updateWeightStatus();
+    if (isEditing) {
+      this.updateLogDateDisplay();
+    } else {
+      this.loadSelectedLogData();
+    }
+    if (this.currentTab === 'charts') {
+      this.renderStreakCalendar();
+    }
+    return true;
   }
 
   /**
@@ -77,6 +149,27 @@ class BribeYourselfFit {
     if (setupForm) {
       setupForm.addEventListener('submit', this.handleSetup.bind(this));
     }
+    const setupUnit = document.getElementById('setupUnit');
+    if (setupUnit) {
+      setupUnit.addEventListener('change', (e) => {
+        this.handleSetupUnitChange(e.target.value);
+      });
+    }
+    const setupWaterUnit = document.getElementById('setupWaterUnit');
+    if (setupWaterUnit) {
+      setupWaterUnit.addEventListener('change', (e) => {
+        this.handleSetupWaterUnitChange(e.target.value);
+      });
+    }
+
+    // Water quick-add buttons
+    const waterQuickAdd = document.getElementById('waterQuickAddButtons');
+    if (waterQuickAdd) {
+      waterQuickAdd.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-liters]');
+        if (button) this.addWater(parseFloat(button.dataset.liters));
+      });
+    }
 
     // Daily log form
     const dailyLogForm = document.getElementById('dailyLogForm');
@@ -84,20 +177,77 @@ class BribeYourselfFit {
       dailyLogForm.addEventListener('submit', this.handleDailyLog.bind(this));
     }
 
-    // Wellness checkboxes
-    const wellnessCheckboxes = document.querySelectorAll('.wellness-checkbox');
-    wellnessCheckboxes.forEach((checkbox) => {
-      checkbox.addEventListener('change', this.updateWellnessScore.bind(this));
-    });
+    // Log date picker (backfill/edit past days)
+    const logDate = document.getElementById('logDate');
+    if (logDate) {
+      logDate.addEventListener('change', (e) => {
+        this.selectLogDate(e.target.value);
+      });
+    }
+
+    const logTodayBtn = document.getElementById('logTodayBtn');
+    if (logTodayBtn) {
+      logTodayBtn.addEventListener('click', () =>
+        this.selectLogDate(this.currentDate)
+      );
+    }
+
+    // Workout files (GPX/TCX/FIT) - dropped or chosen
+    const workoutDropZone = document.getElementById('workoutDropZone');
+    if (workoutDropZone) {
+      workoutDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        workoutDropZone.classList.add('dragover');
+      });
+      workoutDropZone.addEventListener('dragleave', () => {
+        workoutDropZone.classList.remove('dragover');
+      });
+      workoutDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        workoutDropZone.classList.remove('dragover');
+        this.importWorkoutFiles(Array.from(e.dataTransfer.files));
+      });
+    }
+
+    const workoutFiles = document.getElementById('workoutFiles');
+    if (workoutFiles) {
+      workoutFiles.addEventListener('change', (e) => {
+        this.importWorkoutFiles(Array.from(e.target.files));
+        e.target.value = '';
+      });
+    }
 
-    // Exercise type checkboxes
-    const exerciseCheckboxes = document.querySelectorAll('.exercise-checkbox');
-    exerciseCheckboxes.forEach((checkbox) => {
-      checkbox.addEventListener(
+    // Wellness checkboxes (the checklist is rendered from settings)
+    const wellnessChecklist = document.getElementById('wellnessChecklist');
+    if (wellnessChecklist) {
+      wellnessChecklist.addEventListener(
         'change',
-        this.updateExerciseSelection.bind(this)
+        this.updateWellnessScore.bind(this)
       );
-    });
+    }
+
+    // Exercise sessions
+    const exerciseSessions = document.getElementById('exerciseSessions');
+    if (exerciseSessions) {
+      exerciseSessions.addEventListener('input', () =>
+        this.updateExerciseSessionsTotal()
+      );
+      exerciseSessions.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.session-remove');
+        if (removeBtn) {
+          this.removeExerciseSessionRow(removeBtn.closest('.exercise-session'));
+        }
+      });
+    }
+
+    const addExerciseSessionBtn = document.getElementById(
+      'addExerciseSessionBtn'
+    );
+    if (addExerciseSessionBtn) {
+      addExerciseSessionBtn.addEventListener('click', () =>
+        this.addExerciseSessionRow()
+      );
+    }
 
     // Tab navigation
     const tabBtns = document.querySelectorAll('.tab-btn');
@@ -115,6 +265,69 @@ class BribeYourselfFit {
       });
     });
 
+    // Custom chart range
+    ['chartRangeFrom', 'chartRangeTo'].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.handleChartRangeInput());
+      }
+    });
+
+    // Tooltips, zoom and pan on the progress charts
+    ['weightChart', 'activityChart'].forEach((id) => {
+      const canvas = document.getElementById(id);
+      if (canvas) this.setupChartInteractions(canvas);
+    });
+
+    // Goal heatmap filter and day cells
+    const heatmapMetric = document.getElementById('heatmapMetric');
+    if (heatmapMetric) {
+      heatmapMetric.addEventListener('change', () => this.renderGoalHeatmap());
+    }
+    const goalHeatmap = document.getElementById('goalHeatmap');
+    if (goalHeatmap) {
+      goalHeatmap.addEventListener('click', (e) => {
+        const cell = e.target.closest('[data-date]');
+        if (cell && cell.dataset.date <= this.currentDate) {
+          this.editLogForDate(cell.dataset.date);
+        }
+      });
+    }
+
+    // Period report controls
+    ['reportPeriod', 'reportCompare'].forEach((id) => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.addEventListener('change', () => this.renderPeriodReport());
+      }
+    });
+    const reportPrev = document.getElementById('reportPrev');
+    const reportNext = document.getElementById('reportNext');
+    if (reportPrev) {
+      reportPrev.addEventListener('click', () => this.shiftPeriodReport(-1));
+    }
+    if (reportNext) {
+      reportNext.addEventListener('click', () => this.shiftPeriodReport(1));
+    }
+
+    const exerciseBreakdownMeasure = document.getElementById(
+      'exerciseBreakdownMeasure'
+    );
+    if (exerciseBreakdownMeasure) {
+      exerciseBreakdownMeasure.addEventListener('change', () =>
+        this.renderExerciseTypeChart()
+      );
+    }
+
+    const customMetricChartSelect = document.getElementById(
+      'customMetricChartSelect'
+    );
+    if (customMetricChartSelect) {
+      customMetricChartSelect.addEventListener('change', () =>
+        this.renderCustomMetricChart()
+      );
+    }
+
     // Reward form
     const rewardForm = document.getElementById('rewardForm');
     if (rewardForm) {
@@ -159,6 +372,7 @@ class BribeYourselfFit {
 
     // Unit and format selectors
     const weightUnit = document.getElementById('weightUnit');
+    const waterUnit = document.getElementById('waterUnit');
     const dateFormat = document.getElementById('dateFormat');
     const weekStart = document.getElementById('weekStart');
 
@@ -168,6 +382,9 @@ class BribeYourselfFit {
         this.handleSettingChange.bind(this)
       );
     }
+    if (waterUnit) {
+      waterUnit.addEventListener('change', this.handleSettingChange.bind(this));
+    }
     if (dateFormat) {
       dateFormat.addEventListener(
         'change',
@@ -202,7 +419,6 @@ class BribeYourselfFit {
     const allowPartialExercise = document.getElementById(
       'allowPartialExercise'
     );
-    const strictWellness = document.getElementById('strictWellness');
 
     if (allowPartialSteps) {
       allowPartialSteps.addEventListener(
@@ -216,13 +432,71 @@ class BribeYourselfFit {
         this.handleSettingChange.bind(this)
       );
     }
-    if (strictWellness) {
-      strictWellness.addEventListener(
-        'change',
-        this.handleSettingChange.bind(this)
+
+    // Wellness checklist editor
+    const wellnessItemsEditor = document.getElementById('wellnessItemsEditor');
+    if (wellnessItemsEditor) {
+      wellnessItemsEditor.addEventListener('change', (e) => {
+        const row = e.target.closest('.wellness-edit-item');
+        if (row) this.editWellnessItem(row.dataset.id, e.target);
+      });
+      wellnessItemsEditor.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        const row = e.target.closest('.wellness-edit-item');
+        if (button && row) {
+          this.handleWellnessItemAction(row.dataset.id, button.dataset.action);
+        }
+      });
+    }
+
+    const archivedWellnessItems = document.getElementById(
+      'archivedWellnessItems'
+    );
+    if (archivedWellnessItems) {
+      archivedWellnessItems.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-restore]');
+        if (button) this.restoreWellnessItem(button.dataset.restore);
+      });
+    }
+
+    const addWellnessItemBtn = document.getElementById('addWellnessItemBtn');
+    if (addWellnessItemBtn) {
+      addWellnessItemBtn.addEventListener(
+        'click',
+        this.addWellnessItem.bind(this)
       );
     }
 
+    ['wellnessThresholdValue', 'wellnessThresholdMode'].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener(
+          'change',
+          this.handleWellnessThresholdChange.bind(this)
+        );
+      }
+    });
+
+    // Custom metrics editor
+    const customMetricsEditor = document.getElementById('customMetricsEditor');
+    if (customMetricsEditor) {
+      customMetricsEditor.addEventListener('change', (e) => {
+        const row = e.target.closest('.custom-metric-row');
+        if (row) this.editCustomMetric(row.dataset.id, e.target);
+      });
+      customMetricsEditor.addEventListener('click', (e) => {
+        const row = e.target.closest('.custom-metric-row');
+        if (row && e.target.closest('[data-action="remove"]')) {
+          this.removeCustomMetric(row.dataset.id);
+        }
+      });
+    }
+
+    const addMetricBtn = document.getElementById('addMetricBtn');
+    if (addMetricBtn) {
+      addMetricBtn.addEventListener('click', this.addCustomMetric.bind(this));
+    }
+
     // View stats button
     const viewStatsBtn = document.getElementById('viewStatsBtn');
     if (viewStatsBtn) {
@@ -232,6 +506,8 @@ class BribeYourselfFit {
     // Data management buttons
     const exportDataBtn = document.getElementById('exportDataBtn');
     const exportLogsBtn = document.getElementById('exportLogsBtn');
+    const exportCsvBtn = document.getElementById('exportCsvBtn');
+    const healthImportBtn = document.getElementById('healthImportBtn');
     const importDataBtn = document.getElementById('importDataBtn');
 
     if (exportDataBtn) {
@@ -240,9 +516,21 @@ class BribeYourselfFit {
     if (exportLogsBtn) {
       exportLogsBtn.addEventListener('click', this.exportDailyLogs.bind(this));
     }
+    if (exportCsvBtn) {
+      exportCsvBtn.addEventListener(
+        'click',
+        this.exportDailyLogsCsv.bind(this)
+      );
+    }
     if (importDataBtn) {
       importDataBtn.addEventListener('click', this.handleImportData.bind(this));
     }
+    if (healthImportBtn) {
+      healthImportBtn.addEventListener(
+        'click',
+        this.handleHealthImport.bind(this)
+      );
+    }
 
     // Reset buttons
     const resetStreaksBtn = document.getElementById('resetStreaksBtn');
@@ -298,54 +586,58 @@ class BribeYourselfFit {
    * Import data from JSON file
    */
   importData(file) {
+    if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+      this.importCsv(file);
+      return;
+    }
+
     const reader = new FileReader();
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
-        const importedData = JSON.parse(e.target.result);
+        const parsedData = JSON.parse(e.target.result);
 
-        // Validate imported data structure
-        if (!this.validateImportData(importedData)) {
+        // Upgrade older backups to the current schema (throws for newer ones)
+        // and bring their weights into this device's unit
+        const importedData = WeightUnits.convertSnapshot(
+          DataSchema.migrate(parsedData),
+          this.getCurrentWeightUnit()
+        );
+
+        const importType = this.detectImportType(importedData);
+        if (!importType) {
           this.showError('Invalid backup file format');
           return;
         }
-
-        // Confirm import
-        if (
-          !confirm(
-            'This will replace all current data. Are you sure you want to import?'
-          )
-        ) {
+        if (!['complete', 'logs_only'].includes(importType)) {
+          this.showError(`Unsupported backup type: ${importType}`);
           return;
         }
 
-        // Import data
-        this.currentUser = importedData.user;
-        this.dailyLogs = importedData.dailyLogs || {};
-        this.streaks = importedData.streaks || this.initializeStreaks();
-        this.customRewards = importedData.customRewards || [];
-        this.achievements = importedData.achievements || [];
-        this.settings = {
-          ...this.getDefaultSettings(),
-          ...(importedData.settings || {}),
-        };
-
-        // Save imported data
-        this.saveData();
-        this.saveSettings();
-
-        // Refresh display
-        this.updateDashboard();
-        this.initializeDefaultMilestones();
+        // Validate imported data structure
+        if (!this.validateImportData(importedData, importType)) {
+          this.showError('Invalid backup file format');
+          return;
+        }
 
-        this.showSuccess('Data imported successfully!');
+        // Logs-only exports carry no profile, so they need one to join
+        if (importType === 'logs_only' && !this.currentUser) {
+          this.showError(
+            'Please set up your profile before importing a daily logs export'
+          );
+          return;
+        }
 
-        // Refresh page to ensure clean state
-        setTimeout(() => {
-          location.reload();
-        }, 1500);
+        // Preview the changes and let the user pick replace or merge
+        this.pendingImport = importedData;
+        this.pendingImportType = importType;
+        this.showImportModal();
       } catch (error) {
         console.error('Import error:', error);
-        this.showError('Failed to import data. Please check the file format.');
+        this.showError(
+          error.name === 'SchemaVersionError'
+            ? error.message
+            : 'Failed to import data. Please check the file format.'
+        );
       }
     };
 
@@ -353,9 +645,32 @@ class BribeYourselfFit {
   }
 
   /**
-   * Validate imported data structure
+   * Kind of backup file: 'complete', 'logs_only' or an unknown exportType
+   * Legacy files without an exportType are recognised by their contents
+   */
+  detectImportType(data) {
+    if (data && data.exportType) return data.exportType;
+    if (data && data.user) return 'complete';
+    if (data && data.dailyLogs) return 'logs_only';
+    return null;
+  }
+
+  /**
+   * Validate imported data structure for its backup type
    */
-  validateImportData(data) {
+  validateImportData(data, importType = 'complete') {
+    if (importType === 'logs_only') {
+      return (
+        data &&
+        data.dailyLogs &&
+        typeof data.dailyLogs === 'object' &&
+        !Array.isArray(data.dailyLogs) &&
+        Object.values(data.dailyLogs).every(
+          (log) => log && typeof log === 'object'
+        )
+      );
+    }
+
     return (
       data &&
       data.user &&
@@ -368,3478 +683,10035 @@ class BribeYourselfFit {
   }
 
   /**
-   * Export daily logs only
+   * Show the import preview modal for the pending import
    */
-  exportDailyLogs() {
-    const exportData = {
-      dailyLogs: this.dailyLogs,
-      exportDate: new Date().toISOString(),
-      exportType: 'logs_only',
-      version: '1.1.0-localStorage',
-    };
+  showImportModal() {
+    let modal = document.getElementById('importModal');
+    if (!modal) {
+      modal = this.createImportModal();
+      document.body.appendChild(modal);
+    }
 
-    this.downloadData(exportData, 'daily_logs');
-    this.showSuccess('Daily logs exported successfully!');
+    // Merging needs an existing profile to merge into, and a logs-only
+    // export has no profile to replace it with
+    const logsOnly = this.pendingImportType === 'logs_only';
+    document.getElementById('importModeMerge').disabled = !this.currentUser;
+    document.getElementById('importModeReplace').disabled = logsOnly;
+    modal.querySelector('.modal-title').textContent = logsOnly
+      ? '📥 Import Daily Logs'
+      : '📥 Import Backup';
+    document.querySelector(
+      `input[name="importMode"][value="${
+        this.currentUser ? 'merge' : 'replace'
+      }"]`
+    ).checked = true;
+    document.getElementById('importConflictMode').value = 'newest';
+
+    this.renderImportPreview();
+    modal.classList.add('show');
   }
 
   /**
-   * View detailed statistics
+   * Create import preview modal
    */
-  viewDetailedStats() {
-    const stats = this.getAppStats();
+  createImportModal() {
+    const modal = document.createElement('div');
+    modal.id = 'importModal';
+    modal.className = 'modal import-modal';
 
-    const statsText = Object.entries(stats)
-      .map(
-        ([key, value]) =>
-          `${key}: ${
-            typeof value === 'object' ? JSON.stringify(value, null, 2) : value
-          }`
-      )
-      .join('\n');
+    modal.innerHTML = `
+            <div class="modal-content">
+                <h2 class="modal-title">📥 Import Backup</h2>
+                <div class="import-options">
+                    <label class="import-option">
+                        <input type="radio" name="importMode" id="importModeMerge" value="merge">
+                        <span><strong>Merge</strong> with current data</span>
+                    </label>
+                    <label class="import-option">
+                        <input type="radio" name="importMode" id="importModeReplace" value="replace">
+                        <span><strong>Replace</strong> all current data</span>
+                    </label>
+                    <div class="form-group" id="importConflictGroup">
+                        <label class="form-label" for="importConflictMode">When both have the same day:</label>
+                        <select class="form-select" id="importConflictMode">
+                            <option value="newest">Keep the most recently saved entry</option>
+                            <option value="choose">Let me choose for each day</option>
+                        </select>
+                    </div>
+                </div>
+                <ul class="import-summary" id="importSummary"></ul>
+                <div class="import-conflicts" id="importConflicts"></div>
+                <div class="modal-actions">
+                    <button class="modal-btn secondary" onclick="app.closeImportModal()">Cancel</button>
+                    <button class="modal-btn" onclick="app.confirmImport()">Import</button>
+                </div>
+            </div>
+        `;
 
-    alert(`BribeYourselfFit Detailed Statistics:\n\n${statsText}`);
-    console.table(stats);
+    modal.addEventListener('change', (e) => {
+      // Per-day choices don't change the preview layout
+      if (!e.target.name || !e.target.name.startsWith('importChoice')) {
+        this.renderImportPreview();
+      }
+    });
+
+    return modal;
   }
 
   /**
-   * Handle theme preference changes
+   * Close import modal and drop the pending import
    */
-  handleThemePreferenceChange(e) {
-    const value = e.target.value;
-    this.settings.themePreference = value;
-    this.saveSettings();
-
-    if (value === 'system') {
-      // Follow system preference
-      const systemPrefersDark = window.matchMedia(
-        '(prefers-color-scheme: dark)'
-      ).matches;
-      const theme = systemPrefersDark ? 'dark' : 'light';
-      document.documentElement.setAttribute('data-theme', theme);
-      localStorage.setItem('byf_theme', theme);
-    } else {
-      // Use selected theme
-      document.documentElement.setAttribute('data-theme', value);
-      localStorage.setItem('byf_theme', value);
+  closeImportModal() {
+    const modal = document.getElementById('importModal');
+    if (modal) {
+      modal.classList.remove('show');
     }
-
-    this.updateThemeToggle(document.documentElement.getAttribute('data-theme'));
+    this.pendingImport = null;
+    this.pendingImportType = null;
   }
 
   /**
-   * Handle general setting changes
+   * Selected import mode ('merge' or 'replace')
    */
-  handleSettingChange(e) {
-    try {
-      const setting = e.target.id;
-      const value =
-        e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+  getImportMode() {
+    const selected = document.querySelector('input[name="importMode"]:checked');
+    return selected ? selected.value : 'replace';
+  }
 
-      console.log(`🔧 Setting changed: ${setting} = ${value}`);
+  /**
+   * Per-day conflict choices from the side-by-side chooser
+   * Empty when conflicts are resolved by newest timestamp
+   */
+  getImportChoices() {
+    const choices = {};
+    if (document.getElementById('importConflictMode').value !== 'choose') {
+      return choices;
+    }
 
-      this.settings[setting] = value;
-      this.saveSettings();
+    document
+      .querySelectorAll('#importConflicts input[type="radio"]:checked')
+      .forEach((input) => {
+        choices[input.dataset.date] = input.value;
+      });
+    return choices;
+  }
 
-      console.log('💾 Current settings after save:', this.settings);
-      console.log(
-        '💾 Saved to localStorage:',
-        localStorage.getItem('byf_settings')
+  /**
+   * Update the import summary (and conflict chooser) for the chosen mode
+   */
+  renderImportPreview() {
+    const data = this.pendingImport;
+    if (!data) return;
+
+    const mode = this.getImportMode();
+    const conflictMode = document.getElementById('importConflictMode').value;
+    const summaryEl = document.getElementById('importSummary');
+    const conflictsEl = document.getElementById('importConflicts');
+    document.getElementById('importConflictGroup').style.display =
+      mode === 'merge' ? 'block' : 'none';
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    let items;
+
+    if (mode === 'merge') {
+      const { summary } = DataMerger.merge(this.getCurrentSnapshot(), data);
+      const conflictDays = plural(summary.conflicts.length, 'day');
+      const resolution =
+        conflictMode === 'newest'
+          ? ` (${summary.logsUpdated} from backup, ${summary.logsKept} kept)`
+          : '';
+
+      items = [
+        `${plural(summary.logsAdded, 'new day')} added`,
+        `${conflictDays} logged on both devices with different values${resolution}`,
+      ];
+      if (this.pendingImportType === 'complete') {
+        items.push(
+          plural(summary.rewardsAdded, 'new custom reward'),
+          plural(summary.achievementsAdded, 'new achievement')
+        );
+      }
+      items.push('Your profile, goals and settings are kept');
+      conflictsEl.innerHTML =
+        conflictMode === 'choose'
+          ? this.createImportConflictsHtml(summary.conflicts)
+          : '';
+    } else {
+      const currentDays = plural(Object.keys(this.dailyLogs).length, 'day');
+      const backupDays = plural(
+        Object.keys(data.dailyLogs || {}).length,
+        'day'
+      );
+      const rewards = plural(
+        (data.customRewards || []).length,
+        'custom reward'
+      );
+      const achievements = plural(
+        (data.achievements || []).length,
+        'achievement'
       );
 
-      // Apply certain settings immediately with error handling
-      if (setting === 'weekStart') {
-        // Re-render calendar if it's currently visible
-        if (this.currentTab === 'charts') {
-          this.renderStreakCalendar();
-        }
-      } else if (setting === 'weightUnit') {
-        console.log(`🔄 Weight unit changed to: ${value}`);
-        try {
-          // Update all weight displays immediately
-          this.updateWeightDisplays();
-          // Force update settings display after a short delay
-          setTimeout(() => {
-            this.updateSettingsDisplay();
-          }, 100);
-        } catch (weightError) {
-          console.error('Weight display update error:', weightError);
-        }
-      } else if (setting === 'dateFormat') {
-        // Update date displays if needed
-        this.updateCurrentDate();
-      }
-    } catch (error) {
-      console.error('Settings change error:', error);
-      // Still try to save the basic setting even if UI updates fail
-      this.settings[e.target.id] =
-        e.target.type === 'checkbox' ? e.target.checked : e.target.value;
-      this.saveSettings();
+      items = [
+        `${currentDays} of logs replaced with ${backupDays} from the backup`,
+        'Profile, goals and settings replaced',
+        `${rewards} and ${achievements} from the backup`,
+      ];
+      conflictsEl.innerHTML = '';
     }
+
+    summaryEl.innerHTML = items.map((item) => `<li>${item}</li>`).join('');
   }
 
   /**
-   * Setup system theme preference listener
+   * Side-by-side chooser for days logged on both devices
    */
-  setupSystemThemeListener() {
-    const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+  createImportConflictsHtml(conflicts) {
+    if (conflicts.length === 0) return '';
+
+    const imported = this.pendingImport.dailyLogs;
+    const rows = conflicts
+      .map((date) => {
+        const newest = DataMerger.newestSide(
+          this.dailyLogs[date],
+          imported[date]
+        );
+        const option = (side, log) => {
+          const checked = side === newest ? 'checked' : '';
+          return `
+                <label class="import-choice">
+                    <input type="radio" name="importChoice-${date}" data-date="${date}" value="${side}" ${checked}>
+                    <span>${this.formatLogSummary(log)}</span>
+                </label>`;
+        };
 
-    const handleThemeChange = (e) => {
-      if (this.settings.themePreference === 'system') {
-        const theme = e.matches ? 'dark' : 'light';
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('byf_theme', theme);
-        this.updateThemeToggle(theme);
+        return `
+            <tr>
+                <td>${this.formatDate(date)}</td>
+                <td>${option('current', this.dailyLogs[date])}</td>
+                <td>${option('imported', imported[date])}</td>
+            </tr>`;
+      })
+      .join('');
+
+    return `
+        <table class="import-conflict-table">
+            <thead>
+                <tr><th>Day</th><th>This device</th><th>Backup</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+  }
+
+  /**
+   * One-line summary of a daily log for comparisons
+   */
+  formatLogSummary(log) {
+    const parts = [];
+    if (log.weight) {
+      parts.push(`⚖️ ${this.formatWeightDisplay(log.weight)}`);
+    }
+    parts.push(`👟 ${(log.steps || 0).toLocaleString()}`);
+    parts.push(`🏃 ${log.exerciseMinutes || 0} min`);
+    parts.push(`💧 ${this.formatWaterDisplay(log.water)}`);
+    parts.push(`🧘 ${log.wellnessScore || 0}`);
+    CustomMetrics.getActive(this.currentUser).forEach((metric) => {
+      const value = CustomMetrics.getValue(log, metric.id);
+      if (value !== null) {
+        parts.push(`📏 ${metric.name}: ${value} ${metric.unit}`.trim());
       }
+    });
+    if (log.timestamp) {
+      const savedAt = DateFormat.formatDateTime(
+        log.timestamp,
+        this.settings?.dateFormat
+      );
+      parts.push(`saved ${savedAt}`);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Current data in the shape used by backups
+   */
+  getCurrentSnapshot() {
+    return {
+      user: this.currentUser,
+      dailyLogs: this.dailyLogs,
+      streaks: this.streaks,
+      customRewards: this.customRewards,
+      achievements: this.achievements,
+      settings: this.settings,
     };
+  }
 
-    mediaQuery.addListener(handleThemeChange);
+  /**
+   * Apply the pending import in the chosen mode
+   */
+  async confirmImport() {
+    const data = this.pendingImport;
+    if (!data || !this.canSave()) return;
 
-    // Set initial theme
-    handleThemeChange(mediaQuery);
+    const importType = this.pendingImportType;
+    const mode = this.getImportMode();
+    const choices = this.getImportChoices();
+    this.closeImportModal();
+
+    try {
+      if (mode === 'merge') {
+        const merged = DataMerger.merge(
+          this.getCurrentSnapshot(),
+          data,
+          choices
+        );
+        this.dailyLogs = merged.dailyLogs;
+        this.customRewards = merged.customRewards;
+        this.achievements = merged.achievements;
+
+        // Keep the names of habits the imported days were scored against
+        if (data.settings) {
+          this.settings.wellnessItems = WellnessChecklist.mergeItems(
+            WellnessChecklist.getItems(this.settings),
+            data.settings.wellnessItems
+          );
+          this.saveSettings();
+        }
+        // Imported days may carry values for metrics this device never had
+        if (data.user) {
+          this.currentUser.customMetrics = CustomMetrics.mergeMetrics(
+            CustomMetrics.getAll(this.currentUser),
+            data.user.customMetrics
+          );
+        }
+        this.updateCurrentWeightFromLogs();
+      } else {
+        this.currentUser = data.user;
+        this.dailyLogs = data.dailyLogs || {};
+        this.customRewards = data.customRewards || [];
+        this.achievements = data.achievements || [];
+        this.settings = {
+          ...this.getDefaultSettings(),
+          ...(data.settings || {}),
+        };
+        this.saveSettings();
+        // The backup's own unit setting comes back with it
+        await this.syncWeightUnit();
+      }
+
+      // Streaks are derived from the logs, so rebuild them for either mode
+      this.recalculateStreaks();
+
+      // Save imported data
+      await this.saveAllData();
+      await this.storage.setSchemaVersion(DataSchema.CURRENT_VERSION);
+
+      // Refresh display
+      this.updateDashboard();
+      this.initializeDefaultMilestones();
+
+      const messages = {
+        logs_only: 'Daily logs imported successfully!',
+        merge: 'Backup merged successfully!',
+        replace: 'Data imported successfully!',
+      };
+      this.showSuccess(
+        importType === 'logs_only' ? messages.logs_only : messages[mode]
+      );
+
+      // Refresh page to ensure clean state
+      setTimeout(() => {
+        location.reload();
+      }, 1500);
+    } catch (error) {
+      console.error('Import error:', error);
+      this.showError('Failed to import data. Please try again.');
+    }
   }
 
   /**
-   * View detailed statistics
+   * Wellness checklist items as { id, title }
    */
-  viewDetailedStats() {
-    const stats = this.getAppStats();
+  getWellnessItemDefinitions() {
+    return WellnessChecklist.getItems(this.settings).map(({ id, title }) => ({
+      id,
+      title,
+    }));
+  }
 
-    const statsText = Object.entries(stats)
-      .map(
-        ([key, value]) =>
-          `${key}: ${
-            typeof value === 'object' ? JSON.stringify(value, null, 2) : value
-          }`
-      )
-      .join('\n');
+  /**
+   * Exercise types as { id, label }
+   */
+  getExerciseTypeDefinitions() {
+    return ActivityTypes.EXERCISE_TYPES.map(({ id, label }) => ({ id, label }));
+  }
 
-    alert(`BribeYourselfFit Detailed Statistics:\n\n${statsText}`);
-    console.table(stats);
+  /**
+   * Escape text for use inside innerHTML (e.g. headers from imported files)
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   /**
-   * Handle daily goals update
+   * Fields a CSV column can be mapped to, with header names to auto-match
    */
-  handleUpdateDailyGoals() {
-    const stepsInput = document.getElementById('settingsSteps');
-    const exerciseInput = document.getElementById('settingsExercise');
-    const waterInput = document.getElementById('settingsWater');
+  getCsvImportFields() {
+    return [
+      { key: 'date', label: 'Date (required)', aliases: ['date', 'day'] },
+      {
+        key: 'weight',
+        label: 'Weight',
+        aliases: ['weight', 'weightlbs', 'weightkg', 'bodyweight', 'bodymass'],
+      },
+      {
+        key: 'steps',
+        label: 'Steps',
+        aliases: ['steps', 'stepcount', 'dailysteps'],
+      },
+      {
+        key: 'exerciseMinutes',
+        label: 'Exercise minutes',
+        aliases: [
+          'exerciseminutes',
+          'exercise',
+          'activeminutes',
+          'workoutminutes',
+          'minutes',
+        ],
+      },
+      {
+        key: 'exerciseTypes',
+        label: 'Exercise types',
+        aliases: ['exercisetypes', 'exercisetype', 'activity', 'workouttype'],
+      },
+      {
+        key: 'water',
+        label: 'Water',
+        aliases: [
+          'water',
+          'waterl',
+          'waterintake',
+          ...Object.values(WaterUnits.UNITS).map((unit) =>
+            this.normalizeCsvHeader(`water_${unit.csvName}`)
+          ),
+        ],
+      },
+      {
+        key: 'wellnessScore',
+        label: 'Wellness score',
+        aliases: ['wellnessscore', 'wellness'],
+      },
+      ...this.getWellnessItemDefinitions().map((item) => ({
+        key: `wellness:${item.id}`,
+        label: `Wellness: ${item.title}`,
+        aliases: [`wellness${item.id}`, item.title].map((name) =>
+          this.normalizeCsvHeader(name)
+        ),
+      })),
+      ...CustomMetrics.getActive(this.currentUser).map((metric) => ({
+        key: `metric:${metric.id}`,
+        label: `Metric: ${metric.name}`,
+        aliases: [`metric${metric.id}`, metric.name].map((name) =>
+          this.normalizeCsvHeader(name)
+        ),
+      })),
+    ];
+  }
 
-    const steps = parseInt(stepsInput.value);
-    const exercise = parseInt(exerciseInput.value);
-    const water = parseFloat(waterInput.value);
+  /**
+   * Lowercase a header and drop everything but letters and digits
+   */
+  normalizeCsvHeader(header) {
+    return String(header)
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '');
+  }
 
-    // Validate inputs
-    if (isNaN(steps) || steps < 1000 || steps > 50000) {
-      this.showError('Steps goal must be between 1,000 and 50,000');
-      return;
-    }
-    if (isNaN(exercise) || exercise < 5 || exercise > 300) {
-      this.showError('Exercise goal must be between 5 and 300 minutes');
-      return;
-    }
-    if (isNaN(water) || water < 0.5 || water > 10) {
-      this.showError('Water goal must be between 0.5 and 10 liters');
+  /**
+   * Read a CSV file and show the column-mapping screen
+   */
+  importCsv(file) {
+    if (!this.currentUser) {
+      this.showError('Please set up your profile before importing a CSV file');
       return;
     }
 
-    // Update goals
-    this.currentUser.dailySteps = steps;
-    this.currentUser.dailyExercise = exercise;
-    this.currentUser.dailyWater = water;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const rows = CsvFormat.parse(e.target.result);
+      if (rows.length < 2) {
+        this.showError('The CSV file needs a header row and at least one day');
+        return;
+      }
+
+      this.csvImport = { headers: rows[0], rows: rows.slice(1) };
+      this.showCsvImportModal();
+    };
 
-    this.saveData();
-    this.updateDashboard();
-    this.showSuccess('Daily goals updated successfully!');
+    reader.readAsText(file);
   }
 
   /**
-   * Handle weight goals update (with unit conversion)
+   * Show the CSV column-mapping modal with columns matched by header name
    */
-  handleUpdateWeightGoals() {
-    const goalWeightInput = document.getElementById('settingsGoalWeight');
-    const inputValue = parseFloat(goalWeightInput.value);
-
-    // Convert displayed value back to lbs for storage
-    const weightUnit = this.settings?.weightUnit || 'lbs';
-    const goalWeight = this.convertWeight(inputValue, weightUnit, 'lbs');
+  showCsvImportModal() {
+    let modal = document.getElementById('csvImportModal');
+    if (!modal) {
+      modal = this.createCsvImportModal();
+      document.body.appendChild(modal);
+    }
 
-    // Validate input (check ranges in appropriate unit)
-    const minWeight = weightUnit === 'kg' ? 22.7 : 50; // 50 lbs = 22.7 kg
-    const maxWeight = weightUnit === 'kg' ? 453.6 : 1000; // 1000 lbs = 453.6 kg
+    const { headers, rows } = this.csvImport;
+    const normalized = headers.map((header) => this.normalizeCsvHeader(header));
+    const columnOptions = [
+      '<option value="">— Not imported —</option>',
+      ...headers.map(
+        (header, index) =>
+          `<option value="${index}">${this.escapeHtml(header)}</option>`
+      ),
+    ].join('');
 
-    if (isNaN(inputValue) || inputValue < minWeight || inputValue > maxWeight) {
-      this.showError(
-        `Goal weight must be between ${minWeight} and ${maxWeight} ${weightUnit}`
-      );
-      return;
-    }
+    const mappingEl = document.getElementById('csvColumnMapping');
+    mappingEl.innerHTML = this.getCsvImportFields()
+      .map(
+        (field) => `
+            <div class="form-group">
+                <label class="form-label" for="csvMap-${
+                  field.key
+                }">${this.escapeHtml(field.label)}</label>
+                <select class="form-select csv-mapping-select" id="csvMap-${
+                  field.key
+                }" data-field="${field.key}">
+                    ${columnOptions}
+                </select>
+            </div>`
+      )
+      .join('');
+
+    // Pre-select columns whose header matches a field name, then columns
+    // that start with one (e.g. "Body Weight (kg)"); each column is used once
+    const fields = this.getCsvImportFields();
+    const used = new Set();
+    const matches = {};
+    [
+      (header, alias) => header === alias,
+      (header, alias) => header.startsWith(alias),
+    ].forEach((isMatch) => {
+      fields.forEach((field) => {
+        if (matches[field.key] !== undefined) return;
+        const match = normalized.findIndex(
+          (header, index) =>
+            !used.has(index) &&
+            field.aliases.some((alias) => isMatch(header, alias))
+        );
+        if (match !== -1) {
+          matches[field.key] = match;
+          used.add(match);
+        }
+      });
+    });
+    fields.forEach((field) => {
+      document.getElementById(`csvMap-${field.key}`).value =
+        matches[field.key] === undefined ? '' : String(matches[field.key]);
+    });
 
-    if (Math.abs(goalWeight - this.currentUser.startingWeight) < 1) {
-      this.showError(
-        'Goal weight should be at least 1 lb different from starting weight'
-      );
-      return;
-    }
+    // Guess the date format and weight unit from the matched columns
+    const dateColumn = document.getElementById('csvMap-date').value;
+    const preferredFormat = DateFormat.csvDateFormat(this.settings?.dateFormat);
+    document.getElementById('csvDateFormat').value =
+      dateColumn === ''
+        ? preferredFormat
+        : CsvFormat.detectDateFormat(
+            rows.slice(0, 50).map((row) => row[dateColumn] || ''),
+            preferredFormat
+          );
 
-    // Update goal weight (stored in lbs)
-    this.currentUser.goalWeight = goalWeight;
+    const weightColumn = document.getElementById('csvMap-weight').value;
+    const weightHeader = weightColumn === '' ? '' : headers[weightColumn];
+    let weightUnit = this.getCurrentWeightUnit();
+    if (/kg/i.test(weightHeader)) weightUnit = 'kg';
+    if (/lb/i.test(weightHeader)) weightUnit = 'lbs';
+    document.getElementById('csvWeightUnit').value = weightUnit;
 
-    // Regenerate weight milestones
-    this.initializeDefaultMilestones();
+    const waterColumn = document.getElementById('csvMap-water').value;
+    document.getElementById('csvWaterUnit').value =
+      (waterColumn !== '' && WaterUnits.detectUnit(headers[waterColumn])) ||
+      this.getCurrentWaterUnit();
 
-    this.saveData();
-    this.updateDashboard();
-    this.showSuccess('Weight goal updated successfully!');
+    this.renderCsvImportPreview();
+    modal.classList.add('show');
   }
 
   /**
-   * Export all data
+   * Create CSV column-mapping modal
    */
-  exportAllData() {
-    this.showProcessing('Preparing export...');
+  createCsvImportModal() {
+    const modal = document.createElement('div');
+    modal.id = 'csvImportModal';
+    modal.className = 'modal import-modal';
 
-    try {
-      const exportData = {
-        user: this.currentUser,
-        dailyLogs: this.dailyLogs,
-        streaks: this.streaks,
-        customRewards: this.customRewards,
-        achievements: this.achievements,
-        settings: this.settings,
-        exportDate: new Date().toISOString(),
-        exportType: 'complete',
-        version: '1.0.0-localStorage',
-      };
+    const waterOptions = Object.entries(WaterUnits.UNITS)
+      .map(([id, unit]) => `<option value="${id}">${unit.name}</option>`)
+      .join('');
 
-      this.downloadData(exportData, 'complete_backup');
-      this.showProcessingSuccess('Export ready!');
-      this.showSuccess('Complete data exported successfully!');
-    } catch (error) {
-      console.error('Export error:', error);
-      this.showProcessingError('Export failed');
-      this.showError('Failed to export data');
+    modal.innerHTML = `
+            <div class="modal-content">
+                <h2 class="modal-title">📄 Import CSV</h2>
+                <p class="modal-message">Match each field to a column in your spreadsheet.</p>
+                <div class="import-fields" id="csvColumnMapping"></div>
+                <div class="import-fields">
+                    <div class="form-group">
+                        <label class="form-label" for="csvDateFormat">Date format</label>
+                        <select class="form-select" id="csvDateFormat">
+                            <option value="YYYY-MM-DD">YYYY-MM-DD</option>
+                            <option value="MM/DD/YYYY">MM/DD/YYYY</option>
+                            <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="csvWeightUnit">Weight unit in file</label>
+                        <select class="form-select" id="csvWeightUnit">
+                            <option value="lbs">Pounds (lbs)</option>
+                            <option value="kg">Kilograms (kg)</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="csvWaterUnit">Water unit in file</label>
+                        <select class="form-select" id="csvWaterUnit">${waterOptions}</select>
+                    </div>
+                </div>
+                <ul class="import-summary" id="csvImportSummary"></ul>
+                <div class="modal-actions">
+                    <button class="modal-btn secondary" onclick="app.closeCsvImportModal()">Cancel</button>
+                    <button class="modal-btn" onclick="app.confirmCsvImport()">Continue</button>
+                </div>
+            </div>
+        `;
+
+    modal.addEventListener('change', () => this.renderCsvImportPreview());
+
+    return modal;
+  }
+
+  /**
+   * Close CSV import modal and drop the parsed file
+   */
+  closeCsvImportModal() {
+    const modal = document.getElementById('csvImportModal');
+    if (modal) {
+      modal.classList.remove('show');
     }
+    this.csvImport = null;
   }
 
   /**
-   * Export daily logs only
+   * Chosen column index per field key (unmapped fields are left out)
    */
-  exportDailyLogs() {
-    const exportData = {
-      dailyLogs: this.dailyLogs,
-      exportDate: new Date().toISOString(),
-      exportType: 'logs_only',
-      version: '1.1.0-localStorage',
+  getCsvMapping() {
+    const mapping = {};
+    document.querySelectorAll('.csv-mapping-select').forEach((select) => {
+      if (select.value !== '') {
+        mapping[select.dataset.field] = Number(select.value);
+      }
+    });
+    return mapping;
+  }
+
+  /**
+   * Turn the parsed CSV rows into daily logs using the chosen mapping
+   * @returns {Object} { dailyLogs, skipped } - skipped counts rows without
+   *   a valid date; later rows for the same day replace earlier ones
+   */
+  buildLogsFromCsv(mapping, dateFormat, weightUnit, waterUnit = 'L') {
+    const exerciseTypes = this.getExerciseTypeDefinitions();
+    const wellnessKeys = Object.keys(mapping).filter((key) =>
+      key.startsWith('wellness:')
+    );
+    const metricKeys = Object.keys(mapping).filter((key) =>
+      key.startsWith('metric:')
+    );
+    const dailyLogs = {};
+    let skipped = 0;
+
+    const cell = (row, key) =>
+      mapping[key] === undefined ? '' : row[mapping[key]] || '';
+    const number = (row, key) => CsvFormat.parseNumber(cell(row, key));
+    const integer = (row, key) => CsvFormat.parseInteger(cell(row, key)) || 0;
+    const activeItemSet = WellnessChecklist.getActiveItems(this.settings).map(
+      (item) => item.id
+    );
+
+    // Match type names against ids and labels; anything else is "other"
+    const toExerciseType = (name) => {
+      const type = exerciseTypes.find(
+        (definition) =>
+          this.normalizeCsvHeader(definition.id) === name ||
+          this.normalizeCsvHeader(definition.label) === name
+      );
+      return type ? type.id : 'other';
     };
 
-    this.downloadData(exportData, 'daily_logs');
-    this.showSuccess('Daily logs exported successfully!');
+    this.csvImport.rows.forEach((row) => {
+      const date = CsvFormat.parseDate(cell(row, 'date'), dateFormat);
+      if (!date) {
+        skipped++;
+        return;
+      }
+
+      const weight = number(row, 'weight');
+      const wellnessItems = wellnessKeys
+        .filter((key) => CsvFormat.parseBoolean(cell(row, key)))
+        .map((key) => key.replace('wellness:', ''));
+      // Blank habit cells mean the habit wasn't on that day's checklist
+      const wellnessItemSet = wellnessKeys
+        .filter((key) => cell(row, key).trim() !== '')
+        .map((key) => key.replace('wellness:', ''));
+      // Entries are "type" or "type:minutes"; timed entries keep their
+      // minutes and the rest of the day's total is split across the others
+      const entries = cell(row, 'exerciseTypes')
+        .split(/[;|,]/)
+        .map((entry) => {
+          const [name, minutes = ''] = entry.split(':');
+          return {
+            name: this.normalizeCsvHeader(name),
+            minutes: CsvFormat.parseInteger(minutes),
+          };
+        })
+        .filter((entry) => entry.name);
+      const timed = entries
+        .filter((entry) => entry.minutes > 0)
+        .map((entry) => ({
+          type: toExerciseType(entry.name),
+          minutes: entry.minutes,
+          intensity: null,
+          notes: '',
+        }));
+      const untimed = entries
+        .filter((entry) => entry.minutes === null)
+        .map((entry) => toExerciseType(entry.name));
+      const remaining =
+        integer(row, 'exerciseMinutes') -
+        timed.reduce((total, session) => total + session.minutes, 0);
+      const exerciseSessions = [
+        ...timed,
+        ...(remaining > 0 && (untimed.length || !timed.length)
+          ? ExerciseSessions.split(remaining, [...new Set(untimed)])
+          : []),
+      ];
+      const customMetrics = {};
+      metricKeys.forEach((key) => {
+        const value = number(row, key);
+        if (value !== null) customMetrics[key.replace('metric:', '')] = value;
+      });
+
+      dailyLogs[date] = {
+        date,
+        // Logs store weight in the user's unit
+        weight:
+          weight === null
+            ? null
+            : this.convertWeight(
+                weight,
+                weightUnit,
+                this.getCurrentWeightUnit()
+              ),
+        steps: integer(row, 'steps'),
+        ...ExerciseSessions.totals(exerciseSessions),
+        exerciseSessions,
+        water: WaterUnits.toLiters(number(row, 'water'), waterUnit) || 0,
+        wellnessScore: wellnessKeys.length
+          ? wellnessItems.length
+          : integer(row, 'wellnessScore'),
+        wellnessItems,
+        wellnessItemSet: wellnessItemSet.length
+          ? wellnessItemSet
+          : activeItemSet,
+        customMetrics,
+        timestamp: null,
+      };
+    });
+
+    return { dailyLogs, skipped };
   }
 
   /**
-   * Download data as JSON file
+   * Logs built from the CSV with the options chosen in the modal
    */
-  downloadData(data, type) {
-    const dataStr = JSON.stringify(data, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `BribeYourselfFit_${type}_${
-      new Date().toISOString().split('T')[0]
-    }.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+  getCsvImportResult() {
+    return this.buildLogsFromCsv(
+      this.getCsvMapping(),
+      document.getElementById('csvDateFormat').value,
+      document.getElementById('csvWeightUnit').value,
+      document.getElementById('csvWaterUnit').value
+    );
   }
 
   /**
-   * Load all data from localStorage
+   * Show how many days the current mapping would import
    */
-  loadData() {
-    try {
-      this.currentUser = JSON.parse(localStorage.getItem('byf_user')) || null;
-      this.dailyLogs = JSON.parse(localStorage.getItem('byf_dailyLogs')) || {};
-      this.streaks =
-        JSON.parse(localStorage.getItem('byf_streaks')) ||
-        this.initializeStreaks();
-      this.customRewards =
-        JSON.parse(localStorage.getItem('byf_customRewards')) || [];
-      this.achievements =
-        JSON.parse(localStorage.getItem('byf_achievements')) || [];
-
-      this.settings =
-        JSON.parse(localStorage.getItem('byf_settings')) ||
-        this.getDefaultSettings();
+  renderCsvImportPreview() {
+    if (!this.csvImport) return;
 
-      // Load theme preference
-      const savedTheme = localStorage.getItem('byf_theme') || 'light';
-      document.documentElement.setAttribute('data-theme', savedTheme);
-      this.updateThemeToggle(savedTheme);
+    const summaryEl = document.getElementById('csvImportSummary');
+    if (this.getCsvMapping().date === undefined) {
+      summaryEl.innerHTML = '<li>Choose the column that holds the date</li>';
+      return;
+    }
 
-      // Load settings from storage
-      this.loadSettingsFromStorage();
-    } catch (error) {
-      console.error('Error loading data:', error);
-      this.showError('Failed to load saved data. Starting fresh.');
+    const { dailyLogs, skipped } = this.getCsvImportResult();
+    const dates = Object.keys(dailyLogs).sort();
+    const items = [
+      `${dates.length} day${dates.length === 1 ? '' : 's'} ready to import`,
+    ];
+
+    if (dates.length) {
+      const first = this.formatDate(dates[0]);
+      const last = this.formatDate(dates[dates.length - 1]);
+      items.push(`${first} – ${last}`);
+    }
+    if (skipped) {
+      const rows = skipped === 1 ? 'row' : 'rows';
+      items.push(`${skipped} ${rows} skipped (date not in the chosen format)`);
     }
+
+    summaryEl.innerHTML = items.map((item) => `<li>${item}</li>`).join('');
   }
 
   /**
-   * Save all data to localStorage
+   * Build logs from the CSV and hand them to the merge preview
    */
-  saveData() {
-    try {
-      localStorage.setItem('byf_user', JSON.stringify(this.currentUser));
-      localStorage.setItem('byf_dailyLogs', JSON.stringify(this.dailyLogs));
-      localStorage.setItem('byf_streaks', JSON.stringify(this.streaks));
-      localStorage.setItem(
-        'byf_customRewards',
-        JSON.stringify(this.customRewards)
-      );
-      localStorage.setItem(
-        'byf_achievements',
-        JSON.stringify(this.achievements)
-      );
-    } catch (error) {
-      console.error('Error saving data:', error);
-      this.showError('Failed to save data. Please try again.');
+  confirmCsvImport() {
+    if (this.getCsvMapping().date === undefined) {
+      this.showError('Please choose the date column');
+      return;
+    }
+
+    const { dailyLogs } = this.getCsvImportResult();
+    if (Object.keys(dailyLogs).length === 0) {
+      this.showError('No rows have a date in the chosen format');
+      return;
     }
+
+    this.closeCsvImportModal();
+    this.pendingImport = { dailyLogs };
+    this.pendingImportType = 'logs_only';
+    this.showImportModal();
   }
 
   /**
-   * Get default settings
+   * Handle health data import button click
    */
-  getDefaultSettings() {
-    return {
-      themePreference: 'system',
-      weightUnit: 'lbs',
-      dateFormat: 'US',
-      weekStart: 'sunday',
-      allowPartialSteps: false,
-      allowPartialExercise: false,
-      strictWellness: false,
-    };
+  handleHealthImport() {
+    const fileInput = document.getElementById('healthImportFile');
+    const file = fileInput.files[0];
+
+    if (!file) {
+      this.showError('Please select a health data export first');
+      return;
+    }
+
+    this.importHealthData(file);
   }
 
-  loadSettingsFromStorage() {
+  /**
+   * Read a health app export and show the activity import preview
+   * Apple Health exports are export.xml; Google Takeout and Fitbit
+   * exports are .zip archives
+   */
+  async importHealthData(file) {
+    if (!this.currentUser) {
+      this.showError('Please set up your profile before importing health data');
+      return;
+    }
+
+    const isArchive = /\.zip$/i.test(file.name);
+    if (!isArchive && !/\.xml$/i.test(file.name)) {
+      this.showError(
+        'Please choose an Apple Health export.xml or a Google Takeout / Fitbit .zip'
+      );
+      return;
+    }
+
+    const label = isArchive ? 'export archive' : 'Apple Health export';
+    const options = {
+      weightUnit: this.getCurrentWeightUnit(), // Logs store the user's unit
+      convertWeight: this.convertWeight.bind(this),
+      onProgress: (fraction) =>
+        this.showProcessing(
+          `Reading ${label}... ${Math.round(fraction * 100)}%`
+        ),
+    };
+    this.showProcessing(`Reading ${label}...`);
+
     try {
-      const savedSettings = localStorage.getItem('byf_settings');
-      if (savedSettings) {
-        this.settings = {
-          ...this.getDefaultSettings(),
-          ...JSON.parse(savedSettings),
+      let pending;
+      if (isArchive) {
+        const result = await TakeoutParser.parse(file, options);
+        pending = {
+          source: result.sources.join(' & '),
+          days: result.days,
+          fitbitWeights: result.fitbitWeights,
         };
       } else {
-        this.settings = this.getDefaultSettings();
+        pending = {
+          source: 'Apple Health',
+          days: await AppleHealthParser.parse(file, options),
+          fitbitWeights: {},
+        };
       }
+      this.hideProcessing();
 
-      // Apply theme preference
-      if (this.settings.themePreference === 'system') {
-        this.setupSystemThemeListener();
-      } else {
-        document.documentElement.setAttribute(
-          'data-theme',
-          this.settings.themePreference
+      const dayCount = Object.keys({
+        ...pending.days,
+        ...pending.fitbitWeights,
+      }).length;
+      if (dayCount === 0) {
+        this.showError(
+          isArchive
+            ? 'No Google Fit or Fitbit activity found in this archive'
+            : 'No steps, weight or workouts found in this file'
         );
-        localStorage.setItem('byf_theme', this.settings.themePreference);
+        return;
       }
-    } catch (error) {
-      console.error('Error loading settings:', error);
-      this.settings = this.getDefaultSettings();
-    }
 
-    // Apply weight unit changes on load
-    if (this.settings.weightUnit && this.settings.weightUnit !== 'lbs') {
-      setTimeout(() => {
-        this.updateWeightDisplays();
-      }, 500);
+      this.pendingActivityImport = pending;
+      this.showActivityImportModal();
+    } catch (error) {
+      console.error('Health import error:', error);
+      this.showProcessingError('Import failed');
+      this.showError('Failed to read the health data export');
     }
   }
 
   /**
-   * Setup system theme preference listener
+   * Show the activity import preview modal
    */
-  setupSystemThemeListener() {
-    const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-
-    const handleThemeChange = (e) => {
-      if (this.settings.themePreference === 'system') {
-        const theme = e.matches ? 'dark' : 'light';
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('byf_theme', theme);
-        this.updateThemeToggle(theme);
-      }
-    };
+  showActivityImportModal() {
+    let modal = document.getElementById('activityImportModal');
+    if (!modal) {
+      modal = this.createActivityImportModal();
+      document.body.appendChild(modal);
+    }
 
-    mediaQuery.addListener(handleThemeChange);
-    // Set initial theme
-    handleThemeChange(mediaQuery);
+    const { source, days, fitbitWeights } = this.pendingActivityImport;
+    const dates = Object.keys({ ...days, ...fitbitWeights }).sort();
+    const fromInput = document.getElementById('activityImportFrom');
+    const toInput = document.getElementById('activityImportTo');
+    [fromInput, toInput].forEach((input) => {
+      input.min = dates[0];
+      input.max = dates[dates.length - 1];
+    });
+    fromInput.value = dates[0];
+    toInput.value = dates[dates.length - 1];
+
+    // Fitbit doesn't say which unit its weights are in
+    document.getElementById('activityWeightUnitGroup').style.display =
+      Object.keys(fitbitWeights).length ? 'block' : 'none';
+    document.getElementById('activityWeightUnit').value =
+      this.getCurrentWeightUnit();
+
+    modal.querySelector(
+      '.modal-title'
+    ).textContent = `📲 Import from ${source}`;
+    this.renderActivityImportPreview();
+    modal.classList.add('show');
   }
 
   /**
-   * Update all weight displays when unit changes
+   * Create activity import preview modal
    */
-  updateWeightDisplays() {
-    const weightUnit = this.settings?.weightUnit || 'lbs';
-    console.log(`🔄 Updating weight displays to ${weightUnit}`);
-
-    if (!this.currentUser) {
-      console.log('❌ No current user data available');
-      return;
-    }
+  createActivityImportModal() {
+    const modal = document.createElement('div');
+    modal.id = 'activityImportModal';
+    modal.className = 'modal import-modal';
 
-    // Update quick stats in sidebar
-    const currentWeightEl = document.getElementById('currentWeightDisplay');
-    const goalWeightEl = document.getElementById('goalWeightDisplay');
-    const weightToGoEl = document.getElementById('weightToGoDisplay');
+    modal.innerHTML = `
+            <div class="modal-content">
+                <h2 class="modal-title">📲 Import Health Data</h2>
+                <div class="import-fields">
+                    <div class="form-group">
+                        <label class="form-label" for="activityImportFrom">From</label>
+                        <input type="date" class="form-input" id="activityImportFrom">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="activityImportTo">To</label>
+                        <input type="date" class="form-input" id="activityImportTo">
+                    </div>
+                    <div class="form-group" id="activityWeightUnitGroup">
+                        <label class="form-label" for="activityWeightUnit">Fitbit weight unit</label>
+                        <select class="form-select" id="activityWeightUnit">
+                            <option value="lbs">Pounds (lbs)</option>
+                            <option value="kg">Kilograms (kg)</option>
+                        </select>
+                    </div>
+                </div>
+                <ul class="import-summary" id="activityImportSummary"></ul>
+                <p class="modal-message">Steps and exercise minutes keep the higher value, weight only fills days without a weigh-in, and exercise types are combined.</p>
+                <div class="modal-actions">
+                    <button class="modal-btn secondary" onclick="app.closeActivityImportModal()">Cancel</button>
+                    <button class="modal-btn" onclick="app.confirmActivityImport()">Import</button>
+                </div>
+            </div>
+        `;
 
-    if (currentWeightEl) {
-      const currentWeight = this.convertWeight(
-        this.currentUser.currentWeight,
-        'lbs',
-        weightUnit
-      );
-      currentWeightEl.textContent = `${currentWeight} ${weightUnit}`;
-    }
+    modal.addEventListener('change', () => this.renderActivityImportPreview());
 
-    if (goalWeightEl) {
-      const goalWeight = this.convertWeight(
-        this.currentUser.goalWeight,
-        'lbs',
-        weightUnit
-      );
-      goalWeightEl.textContent = `${goalWeight} ${weightUnit}`;
-    }
+    return modal;
+  }
 
-    if (weightToGoEl) {
-      const currentWeight = this.convertWeight(
-        this.currentUser.currentWeight,
-        'lbs',
-        weightUnit
-      );
-      const goalWeight = this.convertWeight(
-        this.currentUser.goalWeight,
-        'lbs',
-        weightUnit
-      );
-      const weightToGo = Math.abs(currentWeight - goalWeight);
-      weightToGoEl.textContent = `${weightToGo.toFixed(1)} ${weightUnit}`;
+  /**
+   * Close activity import modal and drop the pending import
+   */
+  closeActivityImportModal() {
+    const modal = document.getElementById('activityImportModal');
+    if (modal) {
+      modal.classList.remove('show');
     }
+    this.pendingActivityImport = null;
+  }
 
-    // Update form labels - fix the duplicate issue
-    const weightLabels = document.querySelectorAll(
-      'label[for*="Weight"], label[for*="weight"]'
-    );
-    console.log(`Found ${weightLabels.length} weight labels to update`);
-
-    weightLabels.forEach((label, index) => {
-      const originalText = label.textContent;
-      // Remove any existing unit indicators and add the current one
-      let newText = originalText.replace(/\s*\([^)]*\)[^)]*$/g, ''); // Remove (lbs) or (kg) and anything after
-      newText = newText.replace(/\s*-\s*(lbs|kg)\s*$/g, ''); // Remove trailing - lbs or - kg
-      newText = `${newText} (${weightUnit})`;
-
-      if (originalText !== newText) {
-        label.textContent = newText;
-        console.log(
-          `✅ Updated label ${index}: "${originalText}" → "${newText}"`
+  /**
+   * Pending activity days within the chosen date range, with Fitbit
+   * weights converted from the unit picked in the preview
+   */
+  getActivityImportDays() {
+    const { days, fitbitWeights } = this.pendingActivityImport;
+    const from = document.getElementById('activityImportFrom').value;
+    const to = document.getElementById('activityImportTo').value;
+    const fitbitUnit = document.getElementById('activityWeightUnit').value;
+
+    const allDays = { ...days };
+    Object.entries(fitbitWeights).forEach(([date, weight]) => {
+      if (!weight) return;
+      allDays[date] = { ...allDays[date] };
+      if (allDays[date].weight === undefined) {
+        allDays[date].weight = this.convertWeight(
+          weight,
+          fitbitUnit,
+          this.getCurrentWeightUnit()
         );
       }
     });
 
-    // Also update settings weight labels specifically by text content
-    const settingsWeightLabels = document.querySelectorAll('label');
-    settingsWeightLabels.forEach((label, index) => {
-      const originalText = label.textContent;
+    const selected = {};
+    Object.keys(allDays)
+      .filter((date) => (!from || date >= from) && (!to || date <= to))
+      .forEach((date) => {
+        selected[date] = allDays[date];
+      });
+    return selected;
+  }
 
-      // Check if this is a weight-related label
-      if (
-        originalText.includes('Starting Weight') ||
-        originalText.includes('Goal Weight')
-      ) {
-        // Remove any existing unit indicators and add the current one
-        let newText = originalText.replace(/\s*\([^)]*\)[^)]*$/g, ''); // Remove (lbs) or (kg) and anything after
-        newText = newText.replace(/\s*-\s*(lbs|kg)\s*$/g, ''); // Remove trailing - lbs or - kg
-        newText = `${newText} (${weightUnit})`;
+  /**
+   * Summarise what the pending activity import contains and will change
+   */
+  renderActivityImportPreview() {
+    if (!this.pendingActivityImport) return;
 
-        if (originalText !== newText) {
-          label.textContent = newText;
-          console.log(
-            `✅ Updated settings label ${index}: "${originalText}" → "${newText}"`
-          );
-        }
-      }
-    });
+    const { source } = this.pendingActivityImport;
+    const days = this.getActivityImportDays();
+    const dates = Object.keys(days).sort();
+    const summaryEl = document.getElementById('activityImportSummary');
 
-    // Force update the dashboard form after changing units
-    if (this.currentTab === 'dashboard') {
-      this.loadTodaysData();
-    }
-    // Update any chart labels if weight chart is visible
-    if (this.currentTab === 'charts') {
-      setTimeout(() => {
-        this.renderWeightChart();
-      }, 100);
+    if (dates.length === 0) {
+      summaryEl.innerHTML = '<li>No data in the chosen date range</li>';
+      return;
     }
+
+    const values = Object.values(days);
+    const { added, updated } = ActivityMerger.merge(
+      this.dailyLogs,
+      days,
+      (date) => this.createEmptyLog(date)
+    );
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const stepDays = values.filter((day) => day.steps !== undefined).length;
+    const weighIns = values.filter((day) => day.weight !== undefined).length;
+    const workoutDays = values.filter((day) => day.exerciseMinutes).length;
+    const minutes = values.reduce(
+      (total, day) => total + (day.exerciseMinutes || 0),
+      0
+    );
+    const first = this.formatDate(dates[0]);
+    const last = this.formatDate(dates[dates.length - 1]);
+
+    const items = [
+      `${plural(dates.length, 'day')} of ${source} data (${first} – ${last})`,
+      `${plural(stepDays, 'day')} of steps, ${plural(weighIns, 'weigh-in')}`,
+      `${plural(workoutDays, 'day')} with exercise (${minutes} min)`,
+      `${plural(added, 'new day')}, ${plural(updated, 'existing day')} updated`,
+    ];
+
+    summaryEl.innerHTML = items.map((item) => `<li>${item}</li>`).join('');
   }
 
   /**
-   * Save settings to localStorage
+   * Merge the pending activity import into the daily logs
    */
-  saveSettings() {
+  async confirmActivityImport() {
+    if (!this.canSave()) return;
+    if (!this.pendingActivityImport) return;
+
+    const days = this.getActivityImportDays();
+    if (Object.keys(days).length === 0) {
+      this.showError('No data in the chosen date range');
+      return;
+    }
+
+    const { changes, added, updated } = ActivityMerger.merge(
+      this.dailyLogs,
+      days,
+      (date) => this.createEmptyLog(date)
+    );
+    this.closeActivityImportModal();
+    this.showProcessing('Saving imported data...');
+
     try {
-      localStorage.setItem('byf_settings', JSON.stringify(this.settings));
+      Object.assign(this.dailyLogs, changes);
+      this.updateCurrentWeightFromLogs();
+      this.recalculateStreaks();
+
+      await this.saveAllData();
+
+      this.updateDashboard();
+      this.checkAchievements();
+      this.showProcessingSuccess('Health data imported!');
+      this.showSuccess(
+        `Imported ${added} new days and updated ${updated} existing days`
+      );
     } catch (error) {
-      console.error('Error saving settings:', error);
+      console.error('Health import error:', error);
+      this.showProcessingError('Import failed');
+      this.showError('Failed to save imported health data');
     }
   }
 
   /**
-   * Load settings tab content
+   * View detailed statistics
    */
-  loadSettingsTab() {
-    this.updateSettingsDisplay();
+  viewDetailedStats() {
+    const stats = this.getAppStats();
+
+    const statsText = Object.entries(stats)
+      .map(
+        ([key, value]) =>
+          `${key}: ${
+            typeof value === 'object' ? JSON.stringify(value, null, 2) : value
+          }`
+      )
+      .join('\n');
+
+    alert(`BribeYourselfFit Detailed Statistics:\n\n${statsText}`);
+    console.table(stats);
   }
 
   /**
-   * Update settings display with current values
+   * Handle theme preference changes
    */
-  updateSettingsDisplay() {
-    // Update theme preference radio buttons
-    const themePreference = this.settings.themePreference || 'system';
-    const themeRadio = document.querySelector(
-      `input[value="${themePreference}"]`
-    );
-    if (themeRadio) {
-      themeRadio.checked = true;
-    }
-
-    // Update unit and format selectors
-    const weightUnit = document.getElementById('weightUnit');
-    const dateFormat = document.getElementById('dateFormat');
-    const weekStart = document.getElementById('weekStart');
+  handleThemePreferenceChange(e) {
+    const value = e.target.value;
+    this.settings.themePreference = value;
+    this.saveSettings();
 
-    if (weightUnit && this.settings.weightUnit) {
-      weightUnit.value = this.settings.weightUnit;
-    }
-    if (dateFormat && this.settings.dateFormat) {
-      dateFormat.value = this.settings.dateFormat;
-    }
-    if (weekStart && this.settings.weekStart) {
-      weekStart.value = this.settings.weekStart;
+    if (value === 'system') {
+      // Follow system preference
+      const systemPrefersDark = window.matchMedia(
+        '(prefers-color-scheme: dark)'
+      ).matches;
+      const theme = systemPrefersDark ? 'dark' : 'light';
+      document.documentElement.setAttribute('data-theme', theme);
+      localStorage.setItem('byf_theme', theme);
+    } else {
+      // Use selected theme
+      document.documentElement.setAttribute('data-theme', value);
+      localStorage.setItem('byf_theme', value);
     }
 
-    // Update daily goals inputs
-    if (this.currentUser) {
-      const settingsSteps = document.getElementById('settingsSteps');
-      const settingsExercise = document.getElementById('settingsExercise');
-      const settingsWater = document.getElementById('settingsWater');
-      const settingsStartingWeight = document.getElementById(
-        'settingsStartingWeight'
-      );
-      const settingsGoalWeight = document.getElementById('settingsGoalWeight');
+    this.updateThemeToggle(document.documentElement.getAttribute('data-theme'));
+  }
 
-      if (settingsSteps) settingsSteps.value = this.currentUser.dailySteps;
-      if (settingsExercise)
-        settingsExercise.value = this.currentUser.dailyExercise;
-      if (settingsWater) settingsWater.value = this.currentUser.dailyWater;
+  /**
+   * Handle general setting changes
+   */
+  handleSettingChange(e) {
+    try {
+      const setting = e.target.id;
+      const value =
+        e.target.type === 'checkbox' ? e.target.checked : e.target.value;
 
-      // Handle weight conversion for settings inputs
-      const weightUnit = this.settings?.weightUnit || 'lbs';
-      if (settingsStartingWeight) {
-        const displayStartingWeight = this.convertWeight(
-          this.currentUser.startingWeight,
-          'lbs',
-          weightUnit
-        );
-        settingsStartingWeight.value = displayStartingWeight;
-        console.log(
-          '✅ Settings starting weight updated to:',
-          displayStartingWeight,
-          weightUnit
-        );
-      }
-      if (settingsGoalWeight) {
-        const displayGoalWeight = this.convertWeight(
-          this.currentUser.goalWeight,
-          'lbs',
-          weightUnit
-        );
-        settingsGoalWeight.value = displayGoalWeight;
-        console.log(
-          '✅ Settings goal weight updated to:',
-          displayGoalWeight,
-          weightUnit
-        );
+      console.log(`🔧 Setting changed: ${setting} = ${value}`);
+
+      this.settings[setting] = value;
+      this.saveSettings();
+
+      console.log('💾 Current settings after save:', this.settings);
+      console.log(
+        '💾 Saved to localStorage:',
+        localStorage.getItem('byf_settings')
+      );
+
+      // Apply certain settings immediately with error handling
+      if (setting === 'weekStart') {
+        // Weekly weigh-ins are counted per week, so the overall streak and
+        // this week's weight status can change
+        if (this.currentUser) {
+          this.recalculateStreaks();
+          this.saveData();
+          this.updateStreakDisplay();
+          this.updateWeightStatus();
+        }
+        // Re-render calendar, heatmap and report if they're currently visible
+        if (this.currentTab === 'charts') {
+          this.renderStreakCalendar();
+          this.renderGoalHeatmap();
+          this.renderPeriodReport();
+        }
+      } else if (setting === 'weightUnit') {
+        console.log(`🔄 Weight unit changed to: ${value}`);
+        // Stored weights are converted, then every weight display redrawn
+        this.syncWeightUnit()
+          .then(() => {
+            this.updateWeightDisplays();
+            this.updateSettingsDisplay();
+            if (this.currentTab === 'rewards') this.loadRewardsTab();
+          })
+          .catch((weightError) => {
+            console.error('Weight unit change error:', weightError);
+          });
+      } else if (setting === 'waterUnit') {
+        // Water stays stored in liters, so only the displays change
+        this.updateWaterDisplays();
+        if (this.currentTab === 'charts') this.loadChartsTab();
+      } else if (setting === 'dateFormat') {
+        // Redraw everything that shows a date
+        this.updateCurrentDate();
+        this.updateLogDateDisplay();
+        this.renderGoalHistory();
+        this.updateSettingsDisplay();
+        if (this.currentTab === 'charts') {
+          this.loadChartsTab();
+        } else if (this.currentTab === 'rewards') {
+          this.renderAchievementHistory();
+        }
+      } else if (
+        ['allowPartialSteps', 'allowPartialExercise'].includes(setting) &&
+        this.currentUser
+      ) {
+        // Goal thresholds changed, so every day needs re-evaluating
+        this.recalculateStreaks();
+        this.saveData();
+        this.updateStreakDisplay();
       }
+    } catch (error) {
+      console.error('Settings change error:', error);
+      // Still try to save the basic setting even if UI updates fail
+      this.settings[e.target.id] =
+        e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+      this.saveSettings();
     }
+  }
 
-    // Update goal threshold checkboxes
-    const allowPartialSteps = document.getElementById('allowPartialSteps');
-    const allowPartialExercise = document.getElementById(
-      'allowPartialExercise'
-    );
-    const strictWellness = document.getElementById('strictWellness');
+  /**
+   * Setup system theme preference listener
+   */
+  setupSystemThemeListener() {
+    const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
 
-    if (allowPartialSteps)
-      allowPartialSteps.checked = this.settings.allowPartialSteps || false;
-    if (allowPartialExercise)
-      allowPartialExercise.checked =
-        this.settings.allowPartialExercise || false;
-    if (strictWellness)
-      strictWellness.checked = this.settings.strictWellness || false;
+    const handleThemeChange = (e) => {
+      if (this.settings.themePreference === 'system') {
+        const theme = e.matches ? 'dark' : 'light';
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('byf_theme', theme);
+        this.updateThemeToggle(theme);
+      }
+    };
 
-    // Update app info
-    this.updateAppInfo();
+    mediaQuery.addListener(handleThemeChange);
+
+    // Set initial theme
+    handleThemeChange(mediaQuery);
   }
 
   /**
-   * Update app information display
+   * View detailed statistics
    */
-  updateAppInfo() {
-    const totalEntriesEl = document.getElementById('totalDataEntries');
-    const storageUsedEl = document.getElementById('storageUsed');
-    const profileCreatedEl = document.getElementById('profileCreated');
-
-    if (totalEntriesEl) {
-      totalEntriesEl.textContent = Object.keys(
-        this.dailyLogs
-      ).length.toString();
-    }
+  viewDetailedStats() {
+    const stats = this.getAppStats();
 
-    if (storageUsedEl) {
-      const dataSize = JSON.stringify({
-        user: this.currentUser,
-        dailyLogs: this.dailyLogs,
-        streaks: this.streaks,
-        customRewards: this.customRewards,
-        achievements: this.achievements,
-        settings: this.settings,
-      }).length;
-      storageUsedEl.textContent = `~${Math.round(dataSize / 1024)} KB`;
-    }
+    const statsText = Object.entries(stats)
+      .map(
+        ([key, value]) =>
+          `${key}: ${
+            typeof value === 'object' ? JSON.stringify(value, null, 2) : value
+          }`
+      )
+      .join('\n');
 
-    if (profileCreatedEl && this.currentUser && this.currentUser.setupDate) {
-      const setupDate = new Date(this.currentUser.setupDate);
-      profileCreatedEl.textContent = setupDate.toLocaleDateString();
-    }
+    alert(`BribeYourselfFit Detailed Statistics:\n\n${statsText}`);
+    console.table(stats);
   }
 
   /**
-   * Weight unit conversion methods
+   * Handle daily goals update
    */
-  convertWeight(weight, fromUnit, toUnit) {
-    if (!weight || fromUnit === toUnit) return weight;
+  handleUpdateDailyGoals() {
+    if (!this.canSave()) return;
+    const stepsInput = document.getElementById('settingsSteps');
+    const exerciseInput = document.getElementById('settingsExercise');
+    const waterInput = document.getElementById('settingsWater');
+
+    const steps = parseInt(stepsInput.value);
+    const exercise = parseInt(exerciseInput.value);
+    // Water goals are entered in the chosen unit and stored in liters
+    const waterUnit = this.getCurrentWaterUnit();
+    const water = WaterUnits.toLiters(parseFloat(waterInput.value), waterUnit);
 
-    if (fromUnit === 'lbs' && toUnit === 'kg') {
-      return Math.round(weight * 0.453592 * 10) / 10; // Round to 1 decimal
-    } else if (fromUnit === 'kg' && toUnit === 'lbs') {
-      return Math.round((weight / 0.453592) * 10) / 10; // Round to 1 decimal
+    // Validate inputs
+    if (isNaN(steps) || steps < 1000 || steps > 50000) {
+      this.showError('Steps goal must be between 1,000 and 50,000');
+      return;
+    }
+    if (isNaN(exercise) || exercise < 5 || exercise > 300) {
+      this.showError('Exercise goal must be between 5 and 300 minutes');
+      return;
+    }
+    if (
+      isNaN(water) ||
+      water < WaterUnits.GOAL_RANGE.min ||
+      water > WaterUnits.GOAL_RANGE.max
+    ) {
+      this.showError(
+        `Water goal must be between ${this.getWaterGoalRangeText(waterUnit)}`
+      );
+      return;
     }
-    return weight;
-  }
 
-  getCurrentWeightUnit() {
-    return this.settings?.weightUnit || 'lbs';
-  }
+    // New goals apply from today; earlier days keep the goals they had
+    const goals = {
+      dailySteps: steps,
+      dailyExercise: exercise,
+      dailyWater: water,
+    };
+    this.currentUser.goalHistory = GoalHistory.record(
+      this.currentUser,
+      goals,
+      this.currentDate
+    );
+    Object.assign(this.currentUser, goals);
 
-  formatWeightDisplay(weight) {
-    if (!weight) return '';
-    const unit = this.getCurrentWeightUnit();
-    return `${weight} ${unit}`;
+    this.recalculateStreaks();
+    this.saveData();
+    this.updateDashboard();
+    this.renderGoalHistory();
+    this.showSuccess('Daily goals updated successfully!');
   }
 
   /**
-   * Initialize streak counters
+   * Render the daily goal versions in Settings, newest first
    */
-  initializeStreaks() {
-    return {
-      overall: 0,
-      steps: 0,
-      exercise: 0,
-      water: 0,
-      wellness: 0,
-      lastLogDate: null,
-      weeklyWeight: false,
-      lastWeightDate: null,
-    };
+  renderGoalHistory() {
+    const listEl = document.getElementById('goalHistoryList');
+    if (!listEl || !this.currentUser) return;
+
+    const history = GoalHistory.getHistory(this.currentUser);
+    listEl.innerHTML = history
+      .map((version, index) => {
+        const next = history[index + 1];
+        const from = version.effectiveDate
+          ? this.formatDate(version.effectiveDate)
+          : 'Start';
+        const to = next
+          ? this.formatDate(this.getDateOffset(next.effectiveDate, -1))
+          : 'today';
+        const current = next ? '' : ' current';
+        return `
+            <div class="goal-history-item${current}">
+                <span class="goal-history-dates">${from} – ${to}</span>
+                <span class="goal-history-goals">
+                    👟 ${version.dailySteps.toLocaleString()} ·
+                    🏃 ${version.dailyExercise} min ·
+                    💧 ${this.formatWaterDisplay(version.dailyWater)}
+                </span>
+            </div>`;
+      })
+      .reverse()
+      .join('');
   }
 
   /**
-   * Handle user profile setup
+   * Handle weight goals update (with unit conversion)
    */
-  handleSetup(e) {
-    e.preventDefault();
-
-    const formData = new FormData(e.target);
-
-    // Get raw values from form
-    const rawValues = {
-      startingWeight: formData.get('startingWeight'),
-      goalWeight: formData.get('goalWeight'),
-      dailySteps: formData.get('dailySteps'),
-      dailyExercise: formData.get('dailyExercise'),
-      dailyWater: formData.get('dailyWater'),
-    };
-
-    // Debug: Log raw form values
-    console.log('Raw form values:', rawValues);
-
-    // Parse with proper validation
-    const startingWeight = parseFloat(rawValues.startingWeight);
-    const goalWeight = parseFloat(rawValues.goalWeight);
-    const dailySteps = parseInt(rawValues.dailySteps);
-    const dailyExercise = parseInt(rawValues.dailyExercise);
-    const dailyWater = parseFloat(rawValues.dailyWater);
+  handleUpdateWeightGoals() {
+    if (!this.canSave()) return;
+    const goalWeightInput = document.getElementById('settingsGoalWeight');
+    const goalWeight = parseFloat(goalWeightInput.value);
 
-    // Debug: Log parsed values
-    console.log('Parsed values:', {
-      startingWeight,
-      goalWeight,
-      dailySteps,
-      dailyExercise,
-      dailyWater,
-    });
+    // Weights are entered and stored in the user's unit
+    const weightUnit = this.getCurrentWeightUnit();
+    const { range, minGoalGap } = WeightUnits.get(weightUnit);
 
-    // Check for NaN values
-    if (
-      isNaN(startingWeight) ||
-      isNaN(goalWeight) ||
-      isNaN(dailySteps) ||
-      isNaN(dailyExercise) ||
-      isNaN(dailyWater)
-    ) {
-      console.error('Form parsing failed - NaN values detected:', {
-        startingWeight,
-        goalWeight,
-        dailySteps,
-        dailyExercise,
-        dailyWater,
-      });
+    if (isNaN(goalWeight) || goalWeight < range.min || goalWeight > range.max) {
       this.showError(
-        'Invalid form data. Please check all fields have valid numbers.'
+        `Goal weight must be between ${range.min} and ${range.max} ${weightUnit}`
       );
       return;
     }
 
-    // Validate input
-    if (
-      !this.validateSetupData(
-        startingWeight,
-        goalWeight,
-        dailySteps,
-        dailyExercise,
-        dailyWater
-      )
-    ) {
+    if (Math.abs(goalWeight - this.currentUser.startingWeight) < minGoalGap) {
+      this.showError(
+        `Goal weight should be at least ${minGoalGap} ${weightUnit} different from starting weight`
+      );
       return;
     }
 
-    // Create user profile
-    this.currentUser = {
-      startingWeight,
-      goalWeight,
-      currentWeight: startingWeight,
-      dailySteps,
-      dailyExercise,
-      dailyWater,
-      setupDate: new Date().toISOString(),
-      lastWeightUpdate: new Date().toISOString(),
-    };
+    this.currentUser.goalWeight = goalWeight;
 
-    // Initialize streaks
-    this.streaks = this.initializeStreaks();
+    // Regenerate weight milestones
+    this.initializeDefaultMilestones();
 
-    // Save and show app
     this.saveData();
-    this.showAppScreen();
     this.updateDashboard();
-    this.initializeDefaultMilestones();
-
-    this.showSuccess(
-      'Profile created successfully! Start logging your fitness journey.'
-    );
+    this.showSuccess('Weight goal updated successfully!');
   }
 
   /**
-   * Validate setup form data
+   * Export all data
    */
-  validateSetupData(
-    startingWeight,
-    goalWeight,
-    dailySteps,
-    dailyExercise,
-    dailyWater
-  ) {
-    // First check for NaN values
-    if (
-      isNaN(startingWeight) ||
-      isNaN(goalWeight) ||
-      isNaN(dailySteps) ||
-      isNaN(dailyExercise) ||
-      isNaN(dailyWater)
-    ) {
-      this.showError('Please enter valid numbers in all fields');
-      return false;
-    }
-    if (startingWeight < 50 || startingWeight > 1000) {
-      this.showError('Starting weight must be between 50-1000 lbs');
-      return false;
-    }
-    if (goalWeight < 50 || goalWeight > 1000) {
-      this.showError('Goal weight must be between 50-1000 lbs');
-      return false;
-    }
-    if (Math.abs(startingWeight - goalWeight) < 1) {
-      this.showError('Starting and goal weight should be at least 1 lb apart');
-      return false;
-    }
-    if (dailySteps < 1000 || dailySteps > 50000) {
-      this.showError('Daily steps goal must be between 1,000-50,000');
-      return false;
-    }
-    if (dailyExercise < 5 || dailyExercise > 300) {
-      this.showError('Daily exercise goal must be between 5-300 minutes');
-      return false;
-    }
-    if (dailyWater < 0.5 || dailyWater > 10) {
-      this.showError('Daily water goal must be between 0.5-10 liters');
-      return false;
-    }
-    return true;
-  }
-
-  /**
-   * Handle daily log submission - FIXED VERSION
-   */
-  async handleDailyLog(e) {
-    e.preventDefault();
-
-    // Show processing indicator at the start
-    this.showProcessing('Saving daily log...');
+  exportAllData() {
+    this.showProcessing('Preparing export...');
 
     try {
-      this.debugFormSave(); // Add this line for debugging
-
-      const today = this.currentDate;
-
-      // Get form values - CORRECTED VERSION (same fix as before)
-      const weightInput = document.getElementById('todayWeight');
-      const stepsInput = document.getElementById('todaySteps');
-      const exerciseInput = document.getElementById('todayExerciseMinutes');
-      const waterInput = document.getElementById('todayWater');
-
-      // Check if inputs exist and have values
-      const weight =
-        weightInput && weightInput.value !== ''
-          ? parseFloat(weightInput.value)
-          : null;
-      const steps =
-        stepsInput && stepsInput.value !== '' ? parseInt(stepsInput.value) : 0;
-      const exerciseMinutes =
-        exerciseInput && exerciseInput.value !== ''
-          ? parseInt(exerciseInput.value)
-          : 0;
-      const water =
-        waterInput && waterInput.value !== ''
-          ? parseFloat(waterInput.value)
-          : 0;
-
-      // Debug what we're actually getting (you can remove these console.log lines later)
-      console.log('Input elements:', {
-        weightInput,
-        stepsInput,
-        exerciseInput,
-        waterInput,
-      });
-      console.log('Raw values:', {
-        weight: weightInput?.value,
-        steps: stepsInput?.value,
-        exercise: exerciseInput?.value,
-        water: waterInput?.value,
+      const exportData = DataSchema.createExport('complete', {
+        user: this.currentUser,
+        dailyLogs: this.dailyLogs,
+        streaks: this.streaks,
+        customRewards: this.customRewards,
+        achievements: this.achievements,
+        settings: this.settings,
       });
-      console.log('Parsed values:', { weight, steps, exerciseMinutes, water });
-
-      // Get selected exercise types
-      const exerciseTypes = Array.from(
-        document.querySelectorAll('.exercise-checkbox:checked')
-      ).map((cb) => cb.value);
-
-      // Get wellness score
-      const wellnessItems = Array.from(
-        document.querySelectorAll('.wellness-checkbox:checked')
-      ).map((cb) => cb.dataset.wellness);
-      const wellnessScore = wellnessItems.length;
 
-      // Debug log to see what we're getting
-      console.log('Form data collected:', {
-        weight,
-        steps,
-        exerciseMinutes,
-        water,
-        exerciseTypes,
-        wellnessScore,
-      });
+      this.downloadData(exportData, 'complete_backup');
+      this.showProcessingSuccess('Export ready!');
+      this.showSuccess('Complete data exported successfully!');
+    } catch (error) {
+      console.error('Export error:', error);
+      this.showProcessingError('Export failed');
+      this.showError('Failed to export data');
+    }
+  }
 
-      // Validate data
-      if (
-        !(await this.validateDailyLog(
-          weight,
-          steps,
-          exerciseMinutes,
-          water,
-          exerciseTypes
-        ))
-      ) {
-        // Hide processing indicator if validation fails
-        this.hideProcessing();
-        return;
-      }
+  /**
+   * Export daily logs only
+   */
+  exportDailyLogs() {
+    const exportData = DataSchema.createExport('logs_only', {
+      dailyLogs: this.dailyLogs,
+      weightUnit: this.getCurrentWeightUnit(),
+    });
 
-      // Update processing message
-      this.showProcessing('Processing data...');
+    this.downloadData(exportData, 'daily_logs');
+    this.showSuccess('Daily logs exported successfully!');
+  }
 
-      // Create daily log entry
-      const logEntry = {
-        date: today,
-        weight,
-        steps,
-        exerciseMinutes,
-        exerciseTypes,
-        water,
-        wellnessScore,
-        wellnessItems,
-        timestamp: new Date().toISOString(),
-      };
+  /**
+   * Export daily logs as CSV (one row per day) for spreadsheets
+   */
+  exportDailyLogsCsv() {
+    const dates = Object.keys(this.dailyLogs).sort();
+    if (dates.length === 0) {
+      this.showError('No daily logs to export yet');
+      return;
+    }
 
-      console.log('Saving log entry:', logEntry); // Debug log
+    const wellnessItems = this.getWellnessItemDefinitions();
+    const metrics = CustomMetrics.getAll(this.currentUser);
+    const csvDateFormat = DateFormat.csvDateFormat(this.settings?.dateFormat);
+    const flag = (met) => (met ? 1 : 0);
+    const weightUnit = this.getCurrentWeightUnit();
+    const waterUnit = this.getCurrentWaterUnit();
+
+    const header = [
+      'date',
+      `weight_${weightUnit}`,
+      'steps',
+      'exercise_minutes',
+      'exercise_types',
+      `water_${WaterUnits.get(waterUnit).csvName}`,
+      'wellness_score',
+      ...wellnessItems.map((item) => `wellness_${item.id}`),
+      ...metrics.map((metric) => `metric_${metric.id}`),
+      'steps_goal_met',
+      'exercise_goal_met',
+      'water_goal_met',
+      'wellness_goal_met',
+      ...metrics.map((metric) => `metric_${metric.id}_goal_met`),
+      'all_goals_met',
+    ];
 
-      // Save log entry
-      this.dailyLogs[today] = logEntry;
+    const rows = dates.map((date) => {
+      const log = this.dailyLogs[date];
+      const completed = log.wellnessItems || [];
+      const itemSet = WellnessChecklist.getItemSet(log, this.settings);
+      const thresholds = this.currentUser
+        ? StreakEngine.getGoalThresholds(this.currentUser, this.settings, date)
+        : null;
+      const goals = thresholds
+        ? StreakEngine.evaluateDay(log, thresholds, this.settings)
+        : {};
+
+      return [
+        CsvFormat.formatDate(date, csvDateFormat),
+        log.weight === null || log.weight === undefined ? '' : log.weight,
+        log.steps || 0,
+        log.exerciseMinutes || 0,
+        // One type:minutes entry per session so imports keep the split
+        ExerciseSessions.getSessions(log)
+          .filter((session) => session.minutes > 0)
+          .map((session) => `${session.type}:${session.minutes}`)
+          .join(';'),
+        WaterUnits.fromLiters(log.water, waterUnit, 2) || 0,
+        log.wellnessScore || 0,
+        // Habits that weren't on the day's checklist are left blank
+        ...wellnessItems.map((item) =>
+          itemSet.includes(item.id) ? flag(completed.includes(item.id)) : ''
+        ),
+        ...metrics.map((metric) => {
+          const value = CustomMetrics.getValue(log, metric.id);
+          return value === null ? '' : value;
+        }),
+        flag(goals.steps),
+        flag(goals.exercise),
+        flag(goals.water),
+        flag(goals.wellness),
+        // Blank for removed metrics and days before a metric was added
+        ...metrics.map((metric) => {
+          const met = goals[CustomMetrics.streakKey(metric)];
+          return met === undefined || met === null ? '' : flag(met);
+        }),
+        flag(thresholds && this.checkDayGoalsMet(log).all),
+      ];
+    });
 
-      // Update user's current weight if provided
-      if (weight) {
-        this.currentUser.currentWeight = weight;
-        this.currentUser.lastWeightUpdate = new Date().toISOString();
-      }
+    this.downloadFile(
+      CsvFormat.stringify([header, ...rows]),
+      'text/csv',
+      `BribeYourselfFit_daily_logs_${DateUtils.today()}.csv`
+    );
+    this.showSuccess('Daily logs exported as CSV!');
+  }
 
-      // Update streaks
-      this.updateStreaks(logEntry);
+  /**
+   * Download data as JSON file
+   */
+  downloadData(data, type) {
+    this.downloadFile(
+      JSON.stringify(data, null, 2),
+      'application/json',
+      `BribeYourselfFit_${type}_${DateUtils.today()}.json`
+    );
+  }
 
-      // Save all data
-      this.saveData();
+  /**
+   * Download text content as a file
+   */
+  downloadFile(content, mimeType, filename) {
+    const dataBlob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(dataBlob);
 
-      // Update dashboard
-      this.updateDashboard();
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
 
-      // Check for achievements
-      this.checkAchievements();
+  /**
+   * Load all data through the storage adapter
+   * Settings and theme stay in localStorage so they apply before data loads
+   */
+  async loadData() {
+    try {
+      // Load theme preference
+      const savedTheme = localStorage.getItem('byf_theme') || 'light';
+      document.documentElement.setAttribute('data-theme', savedTheme);
+      this.updateThemeToggle(savedTheme);
 
-      // Show success processing indicator
-      this.showProcessingSuccess('Daily log saved!');
+      // Load settings from storage
+      this.loadSettingsFromStorage();
 
-      // Performance check for large datasets
-      const logCount = Object.keys(this.dailyLogs).length;
-      if (logCount > 365) {
-        // More than 1 year of data
-        console.log(`Performance: Managing ${logCount} daily logs`);
-        // Optionally compress old data or suggest export
-        if (logCount > 730 && logCount % 30 === 0) {
-          // Every 30 entries after 2 years
-          this.showSuccess(
-            `Daily log saved! You have ${logCount} entries. Consider exporting older data for better performance.`
-          );
-          return;
-        }
-      }
+      this.storage = await StorageAdapters.create();
+      const data = await this.migrateStoredData(await this.storage.loadAll());
 
-      this.showSuccess('Daily log saved successfully!');
+      this.currentUser = data.user || null;
+      this.dailyLogs = data.dailyLogs || {};
+      this.streaks = data.streaks || this.initializeStreaks();
+      this.customRewards = data.customRewards || [];
+      this.achievements = data.achievements || [];
     } catch (error) {
-      console.error('Daily log save error:', error);
-      this.showProcessingError('Save failed');
-      this.showError('Failed to save daily log');
+      // Saving now would replace the stored data with empty defaults
+      console.error('Error loading data:', error);
+      this.saveBlockedReason =
+        'Failed to load saved data, so changes will not be saved. Please reload the page.';
+      this.showError(this.saveBlockedReason);
     }
   }
 
   /**
-   * Validate daily log data with confirmation prompts for unusual values
+   * Bring stored data up to the current schema version and persist it
+   * Data saved before versioning has no recorded version and counts as v1
    */
-  async validateDailyLog(weight, steps, exerciseMinutes, water, exerciseTypes) {
-    // Validate weight
-    if (
-      weight &&
-      (weight < this.validationRanges.weight.min ||
-        weight > this.validationRanges.weight.max)
-    ) {
-      if (!(await this.confirmUnusualValue('weight', weight, 'lbs')))
-        return false;
-    }
-
-    // Validate steps
-    if (steps > this.validationRanges.steps.max) {
-      if (!(await this.confirmUnusualValue('steps', steps, 'steps')))
-        return false;
-    }
-
-    // Validate exercise minutes
-    if (exerciseMinutes > this.validationRanges.exercise.max) {
-      if (
-        !(await this.confirmUnusualValue(
-          'exercise',
-          exerciseMinutes,
-          'minutes'
-        ))
-      )
-        return false;
-    }
+  async migrateStoredData(data) {
+    const hasData = data.user || Object.keys(data.dailyLogs || {}).length;
+    const storedVersion =
+      (await this.storage.getSchemaVersion()) ||
+      (hasData ? 1 : DataSchema.CURRENT_VERSION);
 
-    // Validate water
-    if (water > this.validationRanges.water.max) {
-      if (!(await this.confirmUnusualValue('water', water, 'liters')))
-        return false;
+    if (storedVersion === DataSchema.CURRENT_VERSION) {
+      await this.storage.setSchemaVersion(storedVersion);
+      return data;
     }
 
-    // Validate exercise types are selected if exercise minutes > 0
-    if (exerciseMinutes > 0 && exerciseTypes.length === 0) {
-      this.showError(
-        'Please select at least one exercise type when logging exercise minutes.'
+    let migrated;
+    try {
+      migrated = DataSchema.migrate(
+        { ...data, settings: this.settings },
+        storedVersion
       );
-      return false;
+    } catch (error) {
+      // Leave newer data untouched rather than rewriting it in an old format
+      console.error('Data migration error:', error);
+      this.saveBlockedReason = `${error.message} Changes will not be saved.`;
+      this.showError(this.saveBlockedReason);
+      return data;
     }
 
-    return true;
+    this.settings = { ...this.getDefaultSettings(), ...migrated.settings };
+    this.saveSettings();
+    await this.storage.replaceLogs(migrated.dailyLogs || {});
+    await this.storage.saveCollections(migrated);
+    await this.storage.setSchemaVersion(DataSchema.CURRENT_VERSION);
+
+    return migrated;
   }
 
   /**
-   * Show confirmation dialog for unusual values
+   * Whether stored data may be written; explains why not when it can't
+   * (stored data from a newer app version, or data that failed to load)
+   * Actions that save check this before changing anything, so they never
+   * report a change that wasn't stored.
    */
-  confirmUnusualValue(type, value, unit) {
-    return new Promise((resolve) => {
-      const message = `The ${type} value of ${value} ${unit} seems unusually high. Please confirm this is correct.`;
-      if (confirm(message)) {
-        resolve(true);
-      } else {
-        resolve(false);
-      }
-    });
+  canSave() {
+    if (!this.saveBlockedReason) return true;
+    this.showError(this.saveBlockedReason);
+    return false;
   }
 
   /**
-   * Update streak counters based on daily log
+   * Save profile, streaks, rewards and achievements
+   * Daily logs are saved per day with saveDailyLog()
    */
-  updateStreaks(logEntry) {
-    const today = logEntry.date;
-    const yesterday = this.getDateOffset(today, -1);
+  saveData() {
+    if (!this.canSave()) return Promise.resolve();
+    return this.storage
+      .saveCollections({
+        user: this.currentUser,
+        streaks: this.streaks,
+        customRewards: this.customRewards,
+        achievements: this.achievements,
+      })
+      .catch((error) => {
+        console.error('Error saving data:', error);
+        this.showError('Failed to save data. Please try again.');
+      });
+  }
 
-    // Check if goals are met (applying user's threshold settings)
-    const stepsThreshold = this.settings?.allowPartialSteps
-      ? this.currentUser.dailySteps * 0.9
-      : this.currentUser.dailySteps;
+  /**
+   * Save (or delete, if it no longer exists) a single day's log
+   */
+  saveDailyLog(date) {
+    if (!this.canSave()) return Promise.resolve();
+    const log = this.dailyLogs[date];
+    const request = log
+      ? this.storage.saveLog(log)
+      : this.storage.deleteLog(date);
+
+    return request.catch((error) => {
+      console.error('Error saving daily log:', error);
+      this.showError('Failed to save daily log. Please try again.');
+    });
+  }
 
-    const exerciseThreshold = this.settings?.allowPartialExercise
-      ? this.currentUser.dailyExercise * 0.8
-      : this.currentUser.dailyExercise;
+  /**
+   * Replace every stored daily log (imports and resets)
+   */
+  saveAllDailyLogs() {
+    if (!this.canSave()) return Promise.resolve();
+    return this.storage.replaceLogs(this.dailyLogs).catch((error) => {
+      console.error('Error saving daily logs:', error);
+      this.showError('Failed to save daily logs. Please try again.');
+    });
+  }
 
-    const wellnessThreshold = this.settings?.strictWellness ? 4 : 3;
+  /**
+   * Save the daily logs and everything else in one write, so stored
+   * weights and the profile's weightUnit can't end up out of step
+   */
+  saveAllData() {
+    if (!this.canSave()) return Promise.resolve();
+    return this.storage
+      .replaceAll({
+        user: this.currentUser,
+        dailyLogs: this.dailyLogs,
+        streaks: this.streaks,
+        customRewards: this.customRewards,
+        achievements: this.achievements,
+      })
+      .catch((error) => {
+        console.error('Error saving data:', error);
+        this.showError('Failed to save data. Please try again.');
+      });
+  }
 
-    const goalsMetToday = {
-      steps: logEntry.steps >= stepsThreshold,
-      exercise: logEntry.exerciseMinutes >= exerciseThreshold,
-      water: logEntry.water >= this.currentUser.dailyWater,
-      wellness: logEntry.wellnessScore >= wellnessThreshold,
+  /**
+   * Get default settings
+   */
+  getDefaultSettings() {
+    return {
+      themePreference: 'system',
+      weightUnit: 'lbs',
+      waterUnit: 'L',
+      dateFormat: 'US',
+      weekStart: 'sunday',
+      allowPartialSteps: false,
+      allowPartialExercise: false,
+      wellnessItems: WellnessChecklist.DEFAULT_ITEMS,
+      wellnessThreshold: WellnessChecklist.DEFAULT_THRESHOLD,
     };
+  }
 
-    // Check if weight was logged this week
-    const weeklyWeightMet = this.checkWeeklyWeight(today);
-
-    // Update daily consecutive streaks
-    this.updateDailyStreaks(today, yesterday, goalsMetToday);
+  loadSettingsFromStorage() {
+    try {
+      const savedSettings = localStorage.getItem('byf_settings');
+      if (savedSettings) {
+        this.settings = {
+          ...this.getDefaultSettings(),
+          ...JSON.parse(savedSettings),
+        };
+      } else {
+        this.settings = this.getDefaultSettings();
+      }
 
-    // Update overall streak (requires all daily goals + weekly weight)
-    const allDailyGoalsMet = Object.values(goalsMetToday).every((met) => met);
-    if (allDailyGoalsMet && weeklyWeightMet) {
-      if (this.streaks.lastLogDate === yesterday) {
-        this.streaks.overall++;
+      // Apply theme preference
+      if (this.settings.themePreference === 'system') {
+        this.setupSystemThemeListener();
       } else {
-        this.streaks.overall = 1;
+        document.documentElement.setAttribute(
+          'data-theme',
+          this.settings.themePreference
+        );
+        localStorage.setItem('byf_theme', this.settings.themePreference);
       }
-    } else {
-      this.streaks.overall = 0;
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      this.settings = this.getDefaultSettings();
     }
 
-    // Update last log date
-    this.streaks.lastLogDate = today;
-    this.streaks.weeklyWeight = weeklyWeightMet;
+    // Apply weight unit changes on load
+    if (this.settings.weightUnit && this.settings.weightUnit !== 'lbs') {
+      setTimeout(() => {
+        this.updateWeightDisplays();
+      }, 500);
+    }
+    if (this.settings.waterUnit && this.settings.waterUnit !== 'L') {
+      setTimeout(() => {
+        this.updateWaterDisplays();
+      }, 500);
+    }
   }
 
   /**
-   * Update individual daily consecutive streaks
+   * Setup system theme preference listener
    */
-  updateDailyStreaks(today, yesterday, goalsMetToday) {
-    const streakTypes = ['steps', 'exercise', 'water', 'wellness'];
+  setupSystemThemeListener() {
+    const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
 
-    streakTypes.forEach((type) => {
-      if (goalsMetToday[type]) {
-        if (this.streaks.lastLogDate === yesterday) {
-          this.streaks[type]++;
-        } else {
-          this.streaks[type] = 1;
-        }
-      } else {
-        this.streaks[type] = 0;
+    const handleThemeChange = (e) => {
+      if (this.settings.themePreference === 'system') {
+        const theme = e.matches ? 'dark' : 'light';
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('byf_theme', theme);
+        this.updateThemeToggle(theme);
       }
-    });
+    };
+
+    mediaQuery.addListener(handleThemeChange);
+    // Set initial theme
+    handleThemeChange(mediaQuery);
   }
 
   /**
-   * Check if weight requirement is met for this week
+   * Update all weight displays when unit changes
    */
-  checkWeeklyWeight(date) {
-    const currentWeekStart = this.getWeekStart(date);
-    const weekDates = [];
+  updateWeightDisplays() {
+    const weightUnit = this.settings?.weightUnit || 'lbs';
+    console.log(`🔄 Updating weight displays to ${weightUnit}`);
 
-    // Get all dates in current week
-    for (let i = 0; i < 7; i++) {
-      weekDates.push(this.getDateOffset(currentWeekStart, i));
+    if (!this.currentUser) {
+      console.log('❌ No current user data available');
+      return;
     }
 
-    // Check if weight was logged any day this week
-    return weekDates.some((weekDate) => {
-      const log = this.dailyLogs[weekDate];
-      return log && log.weight !== null;
+    // Update quick stats in sidebar
+    this.updateQuickStats();
+
+    // Update form labels - fix the duplicate issue
+    const weightLabels = document.querySelectorAll(
+      'label[for*="Weight"], label[for*="weight"]'
+    );
+    console.log(`Found ${weightLabels.length} weight labels to update`);
+
+    weightLabels.forEach((label, index) => {
+      const originalText = label.textContent;
+      // Remove any existing unit indicators and add the current one
+      let newText = originalText.replace(/\s*\([^)]*\)[^)]*$/g, ''); // Remove (lbs) or (kg) and anything after
+      newText = newText.replace(/\s*-\s*(lbs|kg)\s*$/g, ''); // Remove trailing - lbs or - kg
+      newText = `${newText} (${weightUnit})`;
+
+      if (originalText !== newText) {
+        label.textContent = newText;
+        console.log(
+          `✅ Updated label ${index}: "${originalText}" → "${newText}"`
+        );
+      }
+    });
+
+    // Also update settings weight labels specifically by text content
+    const settingsWeightLabels = document.querySelectorAll('label');
+    settingsWeightLabels.forEach((label, index) => {
+      const originalText = label.textContent;
+
+      // Check if this is a weight-related label
+      if (
+        originalText.includes('Starting Weight') ||
+        originalText.includes('Goal Weight')
+      ) {
+        // Remove any existing unit indicators and add the current one
+        let newText = originalText.replace(/\s*\([^)]*\)[^)]*$/g, ''); // Remove (lbs) or (kg) and anything after
+        newText = newText.replace(/\s*-\s*(lbs|kg)\s*$/g, ''); // Remove trailing - lbs or - kg
+        newText = `${newText} (${weightUnit})`;
+
+        if (originalText !== newText) {
+          label.textContent = newText;
+          console.log(
+            `✅ Updated settings label ${index}: "${originalText}" → "${newText}"`
+          );
+        }
+      }
     });
+
+    // Force update the dashboard form after changing units
+    if (this.currentTab === 'dashboard') {
+      this.loadSelectedLogData();
+    }
+    // Update any chart labels if weight chart is visible
+    if (this.currentTab === 'charts') {
+      setTimeout(() => {
+        this.renderWeightChart();
+      }, 100);
+    }
   }
 
   /**
-   * Get the start of the week (Monday) for a given date
+   * Save settings to localStorage
    */
-  getWeekStart(dateString) {
-    const date = new Date(dateString);
-    const day = date.getDay();
-    const diff = date.getDate() - day + (day === 0 ? -6 : 1); // Adjust for Sunday
-    const weekStart = new Date(date.setDate(diff));
-    return weekStart.toISOString().split('T')[0];
+  saveSettings() {
+    try {
+      localStorage.setItem('byf_settings', JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    }
   }
 
   /**
-   * Get date with offset
+   * Load settings tab content
    */
-  getDateOffset(dateString, offset) {
-    const date = new Date(dateString);
-    date.setDate(date.getDate() + offset);
-    return date.toISOString().split('T')[0];
+  loadSettingsTab() {
+    this.updateSettingsDisplay();
   }
 
   /**
-   * Update wellness score display
+   * Update settings display with current values
    */
-  updateWellnessScore() {
-    const checkedBoxes = document.querySelectorAll(
-      '.wellness-checkbox:checked'
+  updateSettingsDisplay() {
+    // Update theme preference radio buttons
+    const themePreference = this.settings.themePreference || 'system';
+    const themeRadio = document.querySelector(
+      `input[value="${themePreference}"]`
     );
-    const score = checkedBoxes.length;
+    if (themeRadio) {
+      themeRadio.checked = true;
+    }
 
-    // Update score indicators
-    const indicators = document.querySelectorAll('.score-indicator');
-    indicators.forEach((indicator, index) => {
-      if (index < score) {
-        indicator.classList.add('active');
-      } else {
-        indicator.classList.remove('active');
-      }
-    });
+    // Update unit and format selectors
+    const weightUnit = document.getElementById('weightUnit');
+    const dateFormat = document.getElementById('dateFormat');
+    const weekStart = document.getElementById('weekStart');
 
-    // Update score text
-    const scoreText = document.getElementById('wellnessScoreText');
-    if (scoreText) {
-      scoreText.textContent = `${score}/5`;
+    if (weightUnit && this.settings.weightUnit) {
+      weightUnit.value = this.settings.weightUnit;
+    }
+    const waterUnit = document.getElementById('waterUnit');
+    if (waterUnit) {
+      waterUnit.value = this.getCurrentWaterUnit();
+    }
+    if (dateFormat && this.settings.dateFormat) {
+      dateFormat.value = this.settings.dateFormat;
+    }
+    if (weekStart && this.settings.weekStart) {
+      weekStart.value = this.settings.weekStart;
     }
 
-    // Update wellness items styling
-    const wellnessItems = document.querySelectorAll('.wellness-item');
-    wellnessItems.forEach((item, index) => {
-      const checkbox = item.querySelector('.wellness-checkbox');
-      if (checkbox && checkbox.checked) {
-        item.classList.add('completed');
-      } else {
-        item.classList.remove('completed');
+    // Update daily goals inputs
+    if (this.currentUser) {
+      const settingsSteps = document.getElementById('settingsSteps');
+      const settingsExercise = document.getElementById('settingsExercise');
+      const settingsWater = document.getElementById('settingsWater');
+      const settingsStartingWeight = document.getElementById(
+        'settingsStartingWeight'
+      );
+      const settingsGoalWeight = document.getElementById('settingsGoalWeight');
+
+      if (settingsSteps) settingsSteps.value = this.currentUser.dailySteps;
+      if (settingsExercise)
+        settingsExercise.value = this.currentUser.dailyExercise;
+      if (settingsWater) {
+        settingsWater.value = WaterUnits.fromLiters(
+          this.currentUser.dailyWater,
+          this.getCurrentWaterUnit()
+        );
       }
-    });
-  }
+      this.renderGoalHistory();
 
-  /**
-   * Update exercise type selection styling
-   */
-  updateExerciseSelection() {
-    const exerciseOptions = document.querySelectorAll('.exercise-option');
-    exerciseOptions.forEach((option) => {
-      const checkbox = option.querySelector('.exercise-checkbox');
-      if (checkbox && checkbox.checked) {
-        option.classList.add('selected');
-      } else {
-        option.classList.remove('selected');
+      // Weights are stored in the chosen unit; show them at 0.1 precision
+      const roundWeight = (weight) => Math.round(weight * 10) / 10;
+      if (settingsStartingWeight) {
+        settingsStartingWeight.value = roundWeight(
+          this.currentUser.startingWeight
+        );
       }
-    });
+      if (settingsGoalWeight) {
+        settingsGoalWeight.value = roundWeight(this.currentUser.goalWeight);
+      }
+    }
+
+    // Update goal threshold checkboxes
+    const allowPartialSteps = document.getElementById('allowPartialSteps');
+    const allowPartialExercise = document.getElementById(
+      'allowPartialExercise'
+    );
+
+    if (allowPartialSteps)
+      allowPartialSteps.checked = this.settings.allowPartialSteps || false;
+    if (allowPartialExercise)
+      allowPartialExercise.checked =
+        this.settings.allowPartialExercise || false;
+
+    // Wellness checklist editor and threshold
+    this.renderWellnessSettings();
+    this.renderCustomMetricsSettings();
+
+    // Update app info
+    this.updateAppInfo();
   }
 
   /**
-   * Update dashboard display
+   * Render the wellness habit editor and threshold controls in Settings
    */
-  updateDashboard() {
-    this.updateStreakDisplay();
-    this.updateQuickStats();
-    this.updateWeightStatus();
-    this.loadTodaysData();
-    this.updateWellnessScore();
-    this.updateExerciseSelection();
+  renderWellnessSettings() {
+    const items = WellnessChecklist.getItems(this.settings);
+    const active = items.filter((item) => !item.archived);
+    const archived = items.filter((item) => item.archived);
+
+    const editorEl = document.getElementById('wellnessItemsEditor');
+    if (editorEl) {
+      editorEl.innerHTML = active
+        .map((item, index) => {
+          const id = this.escapeHtml(item.id);
+          const title = this.escapeHtml(item.title);
+          const description = this.escapeHtml(item.description || '');
+          const isFirst = index === 0 ? 'disabled' : '';
+          const isLast = index === active.length - 1 ? 'disabled' : '';
+          return `
+            <div class="wellness-display-item wellness-edit-item" data-id="${id}">
+                <div class="wellness-edit-fields">
+                    <input type="text" class="form-input wellness-edit-title" data-field="title"
+                        maxlength="80" value="${title}" aria-label="Habit name">
+                    <input type="text" class="form-input wellness-edit-description" data-field="description"
+                        maxlength="200" value="${description}" placeholder="Description (optional)"
+                        aria-label="Habit description">
+                </div>
+                <div class="wellness-edit-actions">
+                    <button type="button" data-action="up" title="Move up" ${isFirst}>↑</button>
+                    <button type="button" data-action="down" title="Move down" ${isLast}>↓</button>
+                    <button type="button" data-action="remove" title="Remove habit">✕</button>
+                </div>
+            </div>`;
+        })
+        .join('');
+    }
+
+    const archivedEl = document.getElementById('archivedWellnessItems');
+    if (archivedEl) {
+      archivedEl.innerHTML = archived.length
+        ? `<h4>Removed habits</h4>` +
+          archived
+            .map(
+              (item) => `
+            <div class="archived-wellness-item">
+                <span>${this.escapeHtml(item.title)}</span>
+                <button type="button" class="btn btn-secondary btn-small"
+                    data-restore="${this.escapeHtml(item.id)}">Restore</button>
+            </div>`
+            )
+            .join('')
+        : '';
+    }
+
+    const threshold = WellnessChecklist.getThreshold(this.settings);
+    const valueInput = document.getElementById('wellnessThresholdValue');
+    const modeSelect = document.getElementById('wellnessThresholdMode');
+    if (valueInput) {
+      valueInput.value = threshold.value;
+      valueInput.max = threshold.mode === 'percent' ? 100 : active.length;
+    }
+    if (modeSelect) modeSelect.value = threshold.mode;
+
+    const scoringInfo = document.getElementById('wellnessScoringInfo');
+    if (scoringInfo) {
+      scoringInfo.textContent = `You need ${WellnessChecklist.describeThreshold(
+        threshold
+      )} daily to maintain your wellness streak.`;
+    }
   }
 
   /**
-   * Update streak display in sidebar
+   * Save a new habit list and refresh everything that shows it
+   * Logged days keep their own item sets, so no past scores change
    */
-  updateStreakDisplay() {
-    // Main streak counter
-    const currentStreakEl = document.getElementById('currentStreak');
-    if (currentStreakEl) {
-      currentStreakEl.textContent = this.streaks.overall;
+  saveWellnessItems(items) {
+    this.settings.wellnessItems = items;
+    this.saveSettings();
+    this.renderWellnessSettings();
+    this.renderWellnessChecklist();
+  }
+
+  /**
+   * Add a habit from the Settings input
+   */
+  addWellnessItem() {
+    const input = document.getElementById('newWellnessItem');
+    const title = input ? input.value.trim() : '';
+    if (!title) {
+      this.showError('Please enter a name for the new habit');
+      return;
     }
 
-    // Individual streak counters
-    const streakTypes = ['steps', 'exercise', 'water', 'wellness'];
-    streakTypes.forEach((type) => {
-      const streakEl = document.getElementById(`${type}Streak`);
-      if (streakEl) {
-        const valueEl = streakEl.querySelector('.streak-value');
-        if (valueEl) {
-          valueEl.textContent = this.streaks[type];
-        }
+    const items = WellnessChecklist.getItems(this.settings);
+    this.saveWellnessItems([
+      ...items,
+      {
+        id: WellnessChecklist.createId(title, items),
+        title,
+        description: '',
+      },
+    ]);
+    input.value = '';
+    this.showSuccess(`Added "${title}" to your wellness checklist`);
+  }
 
-        // Add active class if streak > 0
-        if (this.streaks[type] > 0) {
-          streakEl.classList.add('active');
-        } else {
-          streakEl.classList.remove('active');
-        }
+  /**
+   * Rename a habit or change its description
+   */
+  editWellnessItem(id, input) {
+    const field = input.dataset.field;
+    const value = input.value.trim();
+    if (!field) return;
+
+    if (field === 'title' && !value) {
+      this.showError('Habit name cannot be empty');
+      this.renderWellnessSettings();
+      return;
+    }
+
+    this.saveWellnessItems(
+      WellnessChecklist.getItems(this.settings).map((item) =>
+        item.id === id ? { ...item, [field]: value } : item
+      )
+    );
+  }
+
+  /**
+   * Move a habit up or down the checklist, or remove (archive) it
+   */
+  handleWellnessItemAction(id, action) {
+    const items = [...WellnessChecklist.getItems(this.settings)];
+    const activeIds = items
+      .filter((item) => !item.archived)
+      .map((item) => item.id);
+
+    if (action === 'remove') {
+      if (activeIds.length <= 1) {
+        this.showError('Your wellness checklist needs at least one habit');
+        return;
       }
-    });
+      this.saveWellnessItems(
+        items.map((item) =>
+          item.id === id ? { ...item, archived: true } : item
+        )
+      );
+      return;
+    }
+
+    // Swap with the neighbouring active habit
+    const position = activeIds.indexOf(id);
+    const neighbourId = activeIds[position + (action === 'up' ? -1 : 1)];
+    if (position === -1 || !neighbourId) return;
+
+    const from = items.findIndex((item) => item.id === id);
+    const to = items.findIndex((item) => item.id === neighbourId);
+    [items[from], items[to]] = [items[to], items[from]];
+    this.saveWellnessItems(items);
   }
 
   /**
-   * Update quick stats display
+   * Put an archived habit back at the end of the checklist
    */
-  updateQuickStats() {
-    const currentWeightEl = document.getElementById('currentWeightDisplay');
-    const goalWeightEl = document.getElementById('goalWeightDisplay');
-    const weightToGoEl = document.getElementById('weightToGoDisplay');
+  restoreWellnessItem(id) {
+    const items = WellnessChecklist.getItems(this.settings);
+    const item = items.find((existing) => existing.id === id);
+    if (!item) return;
+
+    const { archived, ...restored } = item;
+    this.saveWellnessItems([
+      ...items.filter((existing) => existing.id !== id),
+      restored,
+    ]);
+  }
 
-    if (currentWeightEl && this.currentUser) {
-      currentWeightEl.textContent = `${this.currentUser.currentWeight} lbs`;
+  /**
+   * Save the wellness pass threshold and re-evaluate streaks
+   */
+  handleWellnessThresholdChange(e) {
+    if (!this.canSave()) return;
+    const valueInput = document.getElementById('wellnessThresholdValue');
+    const modeSelect = document.getElementById('wellnessThresholdMode');
+    if (!valueInput || !modeSelect) return;
+
+    const mode = modeSelect.value === 'percent' ? 'percent' : 'count';
+    const total = WellnessChecklist.getActiveItems(this.settings).length;
+    const max = mode === 'percent' ? 100 : total;
+    let value = parseInt(valueInput.value);
+
+    // Switching between points and percent keeps the same bar
+    if (e && e.target === modeSelect) {
+      const points = WellnessChecklist.requiredPoints(
+        WellnessChecklist.getThreshold(this.settings),
+        total
+      );
+      value = mode === 'percent' ? Math.round((points / total) * 100) : points;
     }
 
-    if (goalWeightEl && this.currentUser) {
-      goalWeightEl.textContent = `${this.currentUser.goalWeight} lbs`;
+    if (!(value >= 1 && value <= max)) {
+      this.showError(
+        mode === 'percent'
+          ? 'Wellness goal must be between 1% and 100%'
+          : `Wellness goal must be between 1 and ${max} points`
+      );
+      this.renderWellnessSettings();
+      return;
     }
 
-    if (weightToGoEl && this.currentUser) {
-      const weightToGo = Math.abs(
-        this.currentUser.currentWeight - this.currentUser.goalWeight
-      );
-      weightToGoEl.textContent = `${weightToGo.toFixed(1)} lbs`;
+    this.settings.wellnessThreshold = { mode, value };
+    this.saveSettings();
+    this.renderWellnessSettings();
+    this.updateWellnessScore();
+
+    // The threshold applies to every day, so streaks need re-evaluating
+    if (this.currentUser) {
+      this.recalculateStreaks();
+      this.saveData();
+      this.updateStreakDisplay();
     }
   }
 
   /**
-   * Update weight status indicator
+   * Render the custom metric editor in Settings
    */
-  updateWeightStatus() {
-    const weightStatusEl = document.getElementById('weightStatus');
-    if (!weightStatusEl) return;
+  renderCustomMetricsSettings() {
+    const editorEl = document.getElementById('customMetricsEditor');
+    if (!editorEl) return;
+
+    const metrics = CustomMetrics.getActive(this.currentUser);
+    const directionOptions = (selected) =>
+      Object.entries(CustomMetrics.DIRECTIONS)
+        .map(
+          ([id, direction]) =>
+            `<option value="${id}" ${id === selected ? 'selected' : ''}>${
+              direction.label
+            }</option>`
+        )
+        .join('');
+
+    editorEl.innerHTML = metrics.length
+      ? metrics
+          .map((metric) => {
+            const id = this.escapeHtml(metric.id);
+            const name = this.escapeHtml(metric.name);
+            const unit = this.escapeHtml(metric.unit);
+            const overall = metric.countsTowardOverall ? 'checked' : '';
+            return `
+            <div class="custom-metric-row" data-id="${id}">
+                <input type="text" class="form-input" data-field="name" maxlength="40"
+                    value="${name}" aria-label="Metric name">
+                <input type="text" class="form-input" data-field="unit" maxlength="15"
+                    value="${unit}" aria-label="Unit">
+                <select class="form-select" data-field="direction" aria-label="Direction">
+                    ${directionOptions(metric.direction)}
+                </select>
+                <input type="number" class="form-input" data-field="target" min="0" step="any"
+                    value="${metric.target}" aria-label="Daily target">
+                <label class="setting-label">
+                    <input type="checkbox" data-field="countsTowardOverall" ${overall}>
+                    Overall streak
+                </label>
+                <button type="button" class="workout-remove" data-action="remove"
+                    title="Remove metric">✕</button>
+            </div>`;
+          })
+          .join('')
+      : '<p class="custom-metrics-empty">No custom metrics yet.</p>';
+  }
 
-    const weeklyWeightMet = this.checkWeeklyWeight(this.currentDate);
-    if (weeklyWeightMet) {
-      weightStatusEl.textContent = '✅ Logged this week';
-      weightStatusEl.style.color = 'var(--accent-success)';
-    } else {
-      weightStatusEl.textContent = '⚠️ Not logged this week';
-      weightStatusEl.style.color = 'var(--accent-warning)';
+  /**
+   * Save metric definitions and refresh everything that shows them
+   */
+  async saveCustomMetrics(metrics) {
+    this.currentUser.customMetrics = metrics;
+    this.recalculateStreaks();
+    await this.saveData();
+
+    this.renderCustomMetricsSettings();
+    this.renderCustomMetricInputs();
+    this.updateStreakDisplay();
+  }
+
+  /**
+   * Read and validate a metric's target from an input
+   * @returns {number|null} null after showing an error
+   */
+  parseMetricTarget(input) {
+    const target = parseFloat(input.value);
+    if (isNaN(target) || target < 0) {
+      this.showError('Please enter a daily target of 0 or more');
+      return null;
     }
+    return target;
   }
 
   /**
-   * Load today's data into the form - FIXED VERSION
+   * Add a metric from the Settings form
    */
-  loadTodaysData() {
-    const todaysLog = this.dailyLogs[this.currentDate];
+  async addCustomMetric() {
+    if (!this.canSave()) return;
+    if (!this.currentUser) {
+      this.showError('Please set up your profile before adding metrics');
+      return;
+    }
 
-    console.log("Loading today's data for:", this.currentDate, todaysLog); // Debug log
+    const nameInput = document.getElementById('newMetricName');
+    const unitInput = document.getElementById('newMetricUnit');
+    const directionSelect = document.getElementById('newMetricDirection');
+    const targetInput = document.getElementById('newMetricTarget');
+    const overallInput = document.getElementById('newMetricOverall');
 
-    if (!todaysLog) return;
+    const name = nameInput.value.trim();
+    if (!name) {
+      this.showError('Please enter a name for the metric');
+      return;
+    }
+    const target = this.parseMetricTarget(targetInput);
+    if (target === null) return;
 
-    // Load form values - Make sure we're targeting the right elements
-    const weightInput = document.getElementById('todayWeight');
-    const stepsInput = document.getElementById('todaySteps');
-    const exerciseInput = document.getElementById('todayExerciseMinutes');
-    const waterInput = document.getElementById('todayWater');
+    const metrics = CustomMetrics.getAll(this.currentUser);
+    await this.saveCustomMetrics([
+      ...metrics,
+      {
+        id: CustomMetrics.createId(name, metrics),
+        name,
+        unit: unitInput.value.trim(),
+        target,
+        direction: directionSelect.value === 'atMost' ? 'atMost' : 'atLeast',
+        countsTowardOverall: overallInput.checked,
+        // Earlier days aren't judged against the new target
+        createdDate: this.currentDate,
+      },
+    ]);
 
-    if (
-      weightInput &&
-      todaysLog.weight !== null &&
-      todaysLog.weight !== undefined
-    ) {
-      const weightUnit = this.settings?.weightUnit || 'lbs';
-      const displayWeight =
-        weightUnit === 'kg'
-          ? (todaysLog.weight * 0.453592).toFixed(1)
-          : todaysLog.weight;
-      weightInput.value = displayWeight;
-      console.log(`📝 Loaded today's weight: ${displayWeight} ${weightUnit}`);
+    [nameInput, unitInput, targetInput].forEach((input) => (input.value = ''));
+    overallInput.checked = false;
+    this.showSuccess(`Now tracking ${name}!`);
+  }
+
+  /**
+   * Update one field of a metric from the Settings editor
+   */
+  async editCustomMetric(id, input) {
+    if (!this.canSave()) return;
+    const field = input.dataset.field;
+    if (!field) return;
+
+    let value = input.type === 'checkbox' ? input.checked : input.value.trim();
+    if (field === 'target') {
+      value = this.parseMetricTarget(input);
+    } else if (field === 'name' && !value) {
+      this.showError('Metric name cannot be empty');
+      value = null;
     }
-    if (stepsInput && todaysLog.steps) {
-      stepsInput.value = todaysLog.steps;
+
+    if (value === null) {
+      this.renderCustomMetricsSettings();
+      return;
     }
-    if (exerciseInput && todaysLog.exerciseMinutes) {
-      exerciseInput.value = todaysLog.exerciseMinutes;
+
+    await this.saveCustomMetrics(
+      CustomMetrics.getAll(this.currentUser).map((metric) =>
+        metric.id === id ? { ...metric, [field]: value } : metric
+      )
+    );
+  }
+
+  /**
+   * Stop tracking a metric; logged values are kept for exports
+   */
+  async removeCustomMetric(id) {
+    if (!this.canSave()) return;
+    const metric = CustomMetrics.getAll(this.currentUser).find(
+      (existing) => existing.id === id
+    );
+    if (
+      !metric ||
+      !confirm(
+        `Stop tracking ${metric.name}? Values you've logged stay in your exports.`
+      )
+    ) {
+      return;
     }
-    if (waterInput && todaysLog.water) {
-      waterInput.value = todaysLog.water;
+
+    await this.saveCustomMetrics(
+      CustomMetrics.getAll(this.currentUser).map((existing) =>
+        existing.id === id ? { ...existing, archived: true } : existing
+      )
+    );
+  }
+
+  /**
+   * Update app information display
+   */
+  updateAppInfo() {
+    const totalEntriesEl = document.getElementById('totalDataEntries');
+    const storageUsedEl = document.getElementById('storageUsed');
+    const profileCreatedEl = document.getElementById('profileCreated');
+
+    if (totalEntriesEl) {
+      totalEntriesEl.textContent = Object.keys(
+        this.dailyLogs
+      ).length.toString();
     }
 
-    // Clear existing exercise type selections first
-    document
-      .querySelectorAll('.exercise-checkbox')
-      .forEach((cb) => (cb.checked = false));
+    if (storageUsedEl) {
+      const dataSize = JSON.stringify({
+        user: this.currentUser,
+        dailyLogs: this.dailyLogs,
+        streaks: this.streaks,
+        customRewards: this.customRewards,
+        achievements: this.achievements,
+        settings: this.settings,
+      }).length;
+      storageUsedEl.textContent = `~${Math.round(dataSize / 1024)} KB`;
+    }
 
-    // Load exercise types
-    if (todaysLog.exerciseTypes && todaysLog.exerciseTypes.length > 0) {
-      todaysLog.exerciseTypes.forEach((type) => {
-        const checkbox = document.getElementById(type);
-        if (checkbox) {
-          checkbox.checked = true;
-        }
-      });
+    const storageBackendEl = document.getElementById('storageBackend');
+    if (storageBackendEl && this.storage) {
+      storageBackendEl.textContent = this.storage.label;
     }
 
-    // Clear existing wellness selections first
-    document
-      .querySelectorAll('.wellness-checkbox')
-      .forEach((cb) => (cb.checked = false));
+    const appVersionEl = document.getElementById('appVersion');
+    if (appVersionEl) {
+      appVersionEl.textContent = `v${DataSchema.APP_VERSION}`;
+    }
 
-    // Load wellness items
-    if (todaysLog.wellnessItems && todaysLog.wellnessItems.length > 0) {
-      todaysLog.wellnessItems.forEach((item) => {
-        const checkbox = document.querySelector(`[data-wellness="${item}"]`);
-        if (checkbox) {
-          checkbox.checked = true;
-        }
-      });
+    const dataSchemaEl = document.getElementById('dataSchemaVersion');
+    if (dataSchemaEl) {
+      dataSchemaEl.textContent = `v${DataSchema.CURRENT_VERSION}`;
     }
 
-    // Update displays after loading data
-    this.updateWellnessScore();
-    this.updateExerciseSelection();
+    if (profileCreatedEl && this.currentUser && this.currentUser.setupDate) {
+      profileCreatedEl.textContent = this.formatDate(
+        this.currentUser.setupDate
+      );
+    }
   }
 
   /**
-   * Switch between tabs - CORRECTED VERSION
+   * Weight unit conversion methods
    */
-  switchTab(tabName) {
-    this.currentTab = tabName;
-
-    // Update tab buttons
-    document.querySelectorAll('.tab-btn').forEach((btn) => {
-      if (btn.dataset.tab === tabName) {
-        btn.classList.add('active');
-      } else {
-        btn.classList.remove('active');
-      }
-    });
-
-    // Update tab content - FIXED LOGIC
-    document.querySelectorAll('.tab-content').forEach((content) => {
-      if (content.id === `${tabName}Tab`) {
-        content.classList.remove('hidden');
-        content.classList.add('active');
-        content.style.display = 'block'; // Force display
-      } else {
-        content.classList.add('hidden');
-        content.classList.remove('active');
-        content.style.display = 'none'; // Force hide
-      }
-    });
+  convertWeight(weight, fromUnit, toUnit) {
+    return WeightUnits.convert(weight, fromUnit, toUnit);
+  }
 
-    // Load tab-specific content with error handling
-    try {
-      if (tabName === 'charts') {
-        console.log('Loading charts tab...');
-        this.loadChartsTab();
-      } else if (tabName === 'rewards') {
-        console.log('Loading rewards tab...');
-        this.loadRewardsTab();
-      } else if (tabName === 'settings') {
-        console.log('Loading settings tab...');
-        this.loadSettingsTab();
-      }
-    } catch (error) {
-      console.error(`Error loading ${tabName} tab:`, error);
-    }
+  getCurrentWeightUnit() {
+    return this.settings?.weightUnit || 'lbs';
   }
 
   /**
-   * Load charts tab content - MOBILE OPTIMIZED VERSION
+   * Format a date for display using the dateFormat setting
+   * @param {string} style - short, medium, long, dayMonth or weekday
    */
-  loadChartsTab() {
-    console.log('Loading charts tab...');
-    this.showProcessing('Loading charts...');
+  formatDate(value, style = 'medium') {
+    return DateFormat.format(value, this.settings?.dateFormat, style);
+  }
 
-    // Check if mobile device
-    const isMobile = window.innerWidth <= 768;
-    const delay = isMobile ? 300 : 100; // Longer delay on mobile
+  formatWeightDisplay(weight) {
+    if (!weight) return '';
+    return WeightUnits.format(weight, this.getCurrentWeightUnit());
+  }
 
-    // Use requestAnimationFrame for better performance
-    requestAnimationFrame(() => {
-      setTimeout(() => {
-        try {
-          // Render charts one by one on mobile to reduce load
-          if (isMobile) {
-            this.renderWeightChart();
-            setTimeout(() => this.renderActivityChart(), 150);
-            setTimeout(() => this.renderStreakCalendar(), 300);
-          } else {
-            // Render all at once on desktop
-            this.renderWeightChart();
-            this.renderActivityChart();
-            this.renderStreakCalendar();
-          }
-          console.log('Charts rendered successfully');
-          this.showProcessingSuccess('Charts loaded!');
-        } catch (error) {
-          console.error('Error rendering charts:', error);
-          this.showProcessingError('Chart loading failed');
-        }
-      }, delay);
-    });
+  getCurrentWaterUnit() {
+    return this.settings?.waterUnit || 'L';
+  }
+
+  formatWaterDisplay(liters) {
+    return WaterUnits.format(liters, this.getCurrentWaterUnit());
   }
 
   /**
-   * Set chart period and update charts
+   * Allowed daily water goal in a unit, e.g. "17-338 fl oz"
    */
-  setChartPeriod(period) {
+  getWaterGoalRangeText(waterUnit) {
+    const { min, max } = WaterUnits.goalRange(waterUnit);
+    return `${min}-${max} ${WaterUnits.get(waterUnit).label}`;
+  }
+
+  /**
+   * Relabel water inputs and redraw water amounts for the unit setting
+   */
+  updateWaterDisplays() {
+    const waterUnit = this.getCurrentWaterUnit();
+    const { name } = WaterUnits.get(waterUnit);
+    const setInput = (id, text, min, max) => {
+      const input = document.getElementById(id);
+      const label = document.querySelector(`label[for="${id}"]`);
+      if (label) label.textContent = `${text} (${name})`;
+      if (input) {
+        input.min = min;
+        input.max = max;
+        input.step = WaterUnits.step(waterUnit);
+      }
+    };
+
+    // Daily entries allow up to 20 liters
+    setInput(
+      'todayWater',
+      'Water Intake',
+      0,
+      WaterUnits.fromLiters(20, waterUnit)
+    );
+    const goalRange = WaterUnits.goalRange(waterUnit);
+    setInput('settingsWater', 'Daily Water Goal', goalRange.min, goalRange.max);
+
+    if (!this.currentUser) return;
+    this.loadSelectedLogData();
+    this.updateSettingsDisplay();
+    this.renderWaterQuickAdd();
+  }
+
+  /**
+   * Today's water total and the quick-add buttons in the sidebar
+   */
+  renderWaterQuickAdd() {
+    const totalEl = document.getElementById('waterTodayDisplay');
+    const buttonsEl = document.getElementById('waterQuickAddButtons');
+    if (!totalEl || !buttonsEl || !this.currentUser) return;
+
+    const todaysLog = this.dailyLogs[this.currentDate];
+    const water = (todaysLog && todaysLog.water) || 0;
+    const goal = StreakEngine.getGoalThresholds(
+      this.currentUser,
+      this.settings,
+      this.currentDate
+    ).water;
+
+    totalEl.textContent = `${this.formatWaterDisplay(
+      water
+    )} / ${this.formatWaterDisplay(goal)}`;
+    totalEl
+      .closest('.water-quick-add')
+      .classList.toggle('complete', water >= goal);
+
+    if (!buttonsEl.children.length) {
+      buttonsEl.innerHTML = WaterUnits.QUICK_ADD.map(
+        (amount) => `
+            <button type="button" class="btn btn-secondary btn-small" data-liters="${amount.liters}">
+                ${amount.label}
+            </button>`
+      ).join('');
+    }
+  }
+
+  /**
+   * Blank log for a day that has none yet, recording the wellness checklist
+   * it is scored against so later checklist edits don't rescore it
+   */
+  createEmptyLog(date) {
+    return {
+      date,
+      weight: null,
+      steps: 0,
+      exerciseMinutes: 0,
+      exerciseTypes: [],
+      exerciseSessions: [],
+      water: 0,
+      wellnessScore: 0,
+      wellnessItems: [],
+      wellnessItemSet: WellnessChecklist.getActiveItems(this.settings).map(
+        (item) => item.id
+      ),
+      customMetrics: {},
+    };
+  }
+
+  /**
+   * Add water to today's log without saving the rest of the form
+   */
+  async addWater(liters) {
+    if (!this.canSave()) return;
+    const date = this.currentDate;
+    const log = this.dailyLogs[date] || this.createEmptyLog(date);
+    const water = Math.round(((log.water || 0) + liters) * 1000) / 1000;
+
+    this.dailyLogs[date] = {
+      ...log,
+      water,
+      timestamp: new Date().toISOString(),
+    };
+
+    // Keep the form in step so a later save doesn't undo the quick add
+    const waterInput = document.getElementById('todayWater');
+    if (waterInput && this.selectedLogDate === date) {
+      waterInput.value = WaterUnits.fromLiters(
+        water,
+        this.getCurrentWaterUnit()
+      );
+    }
+
+    this.recalculateStreaks();
+    await Promise.all([this.saveDailyLog(date), this.saveData()]);
+    this.updateStreakDisplay();
+    this.renderWaterQuickAdd();
+    this.checkAchievements();
+    console.log(`💧 Added ${liters} L of water (${water} L today)`);
+  }
+
+  /**
+   * Convert every stored weight to the unit setting
+   * Runs when the setting changes, and on load and after a restore in
+   * case the data was saved in another unit (older data is in lbs)
+   */
+  async syncWeightUnit() {
+    const unit = this.getCurrentWeightUnit();
+    if (!this.currentUser || this.currentUser.weightUnit === unit) return;
+
+    console.log(
+      `⚖️ Converting stored weights from ${WeightUnits.ofSnapshot(
+        this.getCurrentSnapshot()
+      )} to ${unit}`
+    );
+    const converted = WeightUnits.convertSnapshot(
+      this.getCurrentSnapshot(),
+      unit
+    );
+    this.currentUser = converted.user;
+    this.dailyLogs = converted.dailyLogs;
+    this.customRewards = converted.customRewards;
+    this.achievements = converted.achievements;
+
+    await this.saveAllData();
+    this.initializeDefaultMilestones();
+  }
+
+  /**
+   * Initialize streak counters
+   */
+  initializeStreaks() {
+    return {
+      overall: 0,
+      steps: 0,
+      exercise: 0,
+      water: 0,
+      wellness: 0,
+      best: {
+        overall: 0,
+        steps: 0,
+        exercise: 0,
+        water: 0,
+        wellness: 0,
+      },
+      lastLogDate: null,
+      weeklyWeight: false,
+      lastWeightDate: null,
+    };
+  }
+
+  /**
+   * Relabel the setup weight fields for the chosen unit
+   */
+  handleSetupUnitChange(weightUnit) {
+    const { range } = WeightUnits.get(weightUnit);
+    [
+      ['startingWeight', 'Current Weight'],
+      ['goalWeight', 'Goal Weight'],
+    ].forEach(([id, text]) => {
+      const input = document.getElementById(id);
+      const label = document.querySelector(`label[for="${id}"]`);
+      if (label) label.textContent = `${text} (${weightUnit})`;
+      if (input) {
+        input.min = range.min;
+        input.max = range.max;
+      }
+    });
+  }
+
+  /**
+   * Relabel the setup water goal for the chosen unit, keeping the amount
+   */
+  handleSetupWaterUnitChange(waterUnit) {
+    const input = document.getElementById('dailyWater');
+    const label = document.querySelector('label[for="dailyWater"]');
+    if (label) {
+      label.textContent = `Daily Water Goal (${
+        WaterUnits.get(waterUnit).name
+      })`;
+    }
+    if (!input) return;
+
+    // The input remembers the unit its current value is in
+    const liters = WaterUnits.toLiters(
+      parseFloat(input.value),
+      input.dataset.unit || 'L'
+    );
+    const { min, max } = WaterUnits.goalRange(waterUnit);
+    input.min = min;
+    input.max = max;
+    input.step = WaterUnits.step(waterUnit);
+    if (liters) input.value = WaterUnits.fromLiters(liters, waterUnit);
+    input.dataset.unit = waterUnit;
+  }
+
+  /**
+   * Handle user profile setup
+   */
+  handleSetup(e) {
+    e.preventDefault();
+    if (!this.canSave()) return;
+
+    const formData = new FormData(e.target);
+
+    // Get raw values from form
+    const rawValues = {
+      startingWeight: formData.get('startingWeight'),
+      goalWeight: formData.get('goalWeight'),
+      dailySteps: formData.get('dailySteps'),
+      dailyExercise: formData.get('dailyExercise'),
+      dailyWater: formData.get('dailyWater'),
+      weightUnit: formData.get('weightUnit') || 'lbs',
+      waterUnit: formData.get('waterUnit') || 'L',
+    };
+
+    // Debug: Log raw form values
+    console.log('Raw form values:', rawValues);
+
+    // Parse with proper validation
+    const startingWeight = parseFloat(rawValues.startingWeight);
+    const goalWeight = parseFloat(rawValues.goalWeight);
+    const dailySteps = parseInt(rawValues.dailySteps);
+    const dailyExercise = parseInt(rawValues.dailyExercise);
+    const { weightUnit, waterUnit } = rawValues;
+    // Water is entered in the chosen unit and stored in liters
+    const dailyWater = WaterUnits.toLiters(
+      parseFloat(rawValues.dailyWater),
+      waterUnit
+    );
+
+    // Debug: Log parsed values
+    console.log('Parsed values:', {
+      startingWeight,
+      goalWeight,
+      dailySteps,
+      dailyExercise,
+      dailyWater,
+    });
+
+    // Check for NaN values
+    if (
+      isNaN(startingWeight) ||
+      isNaN(goalWeight) ||
+      isNaN(dailySteps) ||
+      isNaN(dailyExercise) ||
+      isNaN(dailyWater)
+    ) {
+      console.error('Form parsing failed - NaN values detected:', {
+        startingWeight,
+        goalWeight,
+        dailySteps,
+        dailyExercise,
+        dailyWater,
+      });
+      this.showError(
+        'Invalid form data. Please check all fields have valid numbers.'
+      );
+      return;
+    }
+
+    // Validate input
+    if (
+      !this.validateSetupData(
+        startingWeight,
+        goalWeight,
+        dailySteps,
+        dailyExercise,
+        dailyWater,
+        weightUnit,
+        waterUnit
+      )
+    ) {
+      return;
+    }
+
+    // Create user profile
+    this.currentUser = {
+      startingWeight,
+      goalWeight,
+      currentWeight: startingWeight,
+      dailySteps,
+      dailyExercise,
+      dailyWater,
+      weightUnit,
+      setupDate: new Date().toISOString(),
+      lastWeightUpdate: new Date().toISOString(),
+    };
+    this.settings.weightUnit = weightUnit;
+    this.settings.waterUnit = waterUnit;
+    this.saveSettings();
+    this.currentUser.goalHistory = [
+      GoalHistory.snapshot(this.currentUser, this.currentDate),
+    ];
+
+    // Initialize streaks
+    this.streaks = this.initializeStreaks();
+
+    // Save and show app
+    this.saveData();
+    this.showAppScreen();
+    this.updateDashboard();
+    this.updateWeightDisplays();
+    this.updateWaterDisplays();
+    this.initializeDefaultMilestones();
+
+    this.showSuccess(
+      'Profile created successfully! Start logging your fitness journey.'
+    );
+  }
+
+  /**
+   * Validate setup form data
+   */
+  validateSetupData(
+    startingWeight,
+    goalWeight,
+    dailySteps,
+    dailyExercise,
+    dailyWater,
+    weightUnit = 'lbs',
+    waterUnit = 'L'
+  ) {
+    // First check for NaN values
+    if (
+      isNaN(startingWeight) ||
+      isNaN(goalWeight) ||
+      isNaN(dailySteps) ||
+      isNaN(dailyExercise) ||
+      isNaN(dailyWater)
+    ) {
+      this.showError('Please enter valid numbers in all fields');
+      return false;
+    }
+    const { range, minGoalGap } = WeightUnits.get(weightUnit);
+    const rangeText = `${range.min}-${range.max} ${weightUnit}`;
+    if (startingWeight < range.min || startingWeight > range.max) {
+      this.showError(`Starting weight must be between ${rangeText}`);
+      return false;
+    }
+    if (goalWeight < range.min || goalWeight > range.max) {
+      this.showError(`Goal weight must be between ${rangeText}`);
+      return false;
+    }
+    if (Math.abs(startingWeight - goalWeight) < minGoalGap) {
+      this.showError(
+        `Starting and goal weight should be at least ${minGoalGap} ${weightUnit} apart`
+      );
+      return false;
+    }
+    if (dailySteps < 1000 || dailySteps > 50000) {
+      this.showError('Daily steps goal must be between 1,000-50,000');
+      return false;
+    }
+    if (dailyExercise < 5 || dailyExercise > 300) {
+      this.showError('Daily exercise goal must be between 5-300 minutes');
+      return false;
+    }
+    if (
+      dailyWater < WaterUnits.GOAL_RANGE.min ||
+      dailyWater > WaterUnits.GOAL_RANGE.max
+    ) {
+      this.showError(
+        `Daily water goal must be between ${this.getWaterGoalRangeText(
+          waterUnit
+        )}`
+      );
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Handle daily log submission - FIXED VERSION
+   */
+  async handleDailyLog(e) {
+    e.preventDefault();
+    if (!this.canSave()) return;
+
+    // Show processing indicator at the start
+    this.showProcessing('Saving daily log...');
+
+    try {
+      this.debugFormSave(); // Add this line for debugging
+
+      const logDate = this.selectedLogDate;
+
+      // Get form values - CORRECTED VERSION (same fix as before)
+      const weightInput = document.getElementById('todayWeight');
+      const stepsInput = document.getElementById('todaySteps');
+      const waterInput = document.getElementById('todayWater');
+
+      // Check if inputs exist and have values
+      const weight =
+        weightInput && weightInput.value !== ''
+          ? parseFloat(weightInput.value)
+          : null;
+      const steps =
+        stepsInput && stepsInput.value !== '' ? parseInt(stepsInput.value) : 0;
+      const water =
+        waterInput && waterInput.value !== ''
+          ? WaterUnits.toLiters(
+              parseFloat(waterInput.value),
+              this.getCurrentWaterUnit()
+            )
+          : 0;
+
+      // Debug what we're actually getting (you can remove these console.log lines later)
+      console.log('Input elements:', {
+        weightInput,
+        stepsInput,
+        waterInput,
+      });
+      console.log('Raw values:', {
+        weight: weightInput?.value,
+        steps: stepsInput?.value,
+        water: waterInput?.value,
+      });
+
+      // Exercise totals come from the session list
+      const exerciseSessions = this.getFormExerciseSessions();
+      const { exerciseMinutes, exerciseTypes } =
+        ExerciseSessions.totals(exerciseSessions);
+      console.log('Parsed values:', { weight, steps, exerciseMinutes, water });
+
+      // Get wellness score, along with the checklist it was scored against
+      const wellnessItems = Array.from(
+        document.querySelectorAll('.wellness-checkbox:checked')
+      ).map((cb) => cb.dataset.wellness);
+      const wellnessItemSet = Array.from(
+        document.querySelectorAll('.wellness-checkbox')
+      ).map((cb) => cb.dataset.wellness);
+      const wellnessScore = wellnessItems.length;
+
+      // Custom metric values; values for removed metrics are kept
+      const existingLog = this.dailyLogs[logDate];
+      const customMetrics = {
+        ...((existingLog && existingLog.customMetrics) || {}),
+      };
+      for (const input of document.querySelectorAll('.custom-metric-input')) {
+        const value = parseFloat(input.value);
+        if (input.value === '') {
+          delete customMetrics[input.dataset.metric];
+        } else if (isNaN(value) || value < 0) {
+          this.hideProcessing();
+          this.showError(
+            `Please enter a valid number for ${input.dataset.name}`
+          );
+          return;
+        } else {
+          customMetrics[input.dataset.metric] = value;
+        }
+      }
+
+      // Debug log to see what we're getting
+      console.log('Form data collected:', {
+        weight,
+        steps,
+        exerciseMinutes,
+        water,
+        exerciseTypes,
+        wellnessScore,
+      });
+
+      // Validate data
+      if (
+        !(await this.validateDailyLog(weight, steps, exerciseMinutes, water))
+      ) {
+        // Hide processing indicator if validation fails
+        this.hideProcessing();
+        return;
+      }
+
+      // Update processing message
+      this.showProcessing('Processing data...');
+
+      // Create daily log entry
+      const logEntry = {
+        date: logDate,
+        weight,
+        steps,
+        exerciseMinutes,
+        exerciseTypes,
+        exerciseSessions,
+        water,
+        wellnessScore,
+        wellnessItems,
+        wellnessItemSet,
+        customMetrics,
+        timestamp: new Date().toISOString(),
+      };
+
+      // Keep workouts attached from GPX/TCX/FIT files while their session
+      // is still listed
+      if (existingLog && existingLog.workouts) {
+        const linked = exerciseSessions.map((session) => session.workoutId);
+        const workouts = existingLog.workouts.filter((workout) =>
+          linked.includes(workout.id)
+        );
+        if (workouts.length) logEntry.workouts = workouts;
+      }
+
+      console.log('Saving log entry:', logEntry); // Debug log
+
+      // Save log entry
+      this.dailyLogs[logDate] = logEntry;
+
+      // Current weight always follows the most recent weigh-in, which may
+      // not be this entry when backfilling an older day
+      this.updateCurrentWeightFromLogs();
+
+      // Recompute streaks from the full history so edits to past days count
+      this.recalculateStreaks();
+
+      // Save the day's log and the derived data
+      await Promise.all([this.saveDailyLog(logDate), this.saveData()]);
+
+      // Update dashboard
+      this.updateDashboard();
+
+      // Check for achievements
+      this.checkAchievements();
+
+      // Show success processing indicator
+      this.showProcessingSuccess('Daily log saved!');
+
+      // Performance check for large datasets (IndexedDB stores one record
+      // per day, so only the localStorage fallback slows down)
+      const logCount = Object.keys(this.dailyLogs).length;
+      if (this.storage.name === 'localStorage' && logCount > 365) {
+        // More than 1 year of data
+        console.log(`Performance: Managing ${logCount} daily logs`);
+        // Optionally compress old data or suggest export
+        if (logCount > 730 && logCount % 30 === 0) {
+          // Every 30 entries after 2 years
+          this.showSuccess(
+            `Daily log saved! You have ${logCount} entries. Consider exporting older data for better performance.`
+          );
+          return;
+        }
+      }
+
+      this.showSuccess(
+        logDate === this.currentDate
+          ? 'Daily log saved successfully!'
+          : `Log for ${this.formatDate(logDate)} saved successfully!`
+      );
+    } catch (error) {
+      console.error('Daily log save error:', error);
+      this.showProcessingError('Save failed');
+      this.showError('Failed to save daily log');
+    }
+  }
+
+  /**
+   * Validate daily log data with confirmation prompts for unusual values
+   */
+  async validateDailyLog(weight, steps, exerciseMinutes, water) {
+    // Validate weight
+    const weightUnit = this.getCurrentWeightUnit();
+    const weightRange = WeightUnits.get(weightUnit).range;
+    if (weight && (weight < weightRange.min || weight > weightRange.max)) {
+      if (!(await this.confirmUnusualValue('weight', weight, weightUnit)))
+        return false;
+    }
+
+    // Validate steps
+    if (steps > this.validationRanges.steps.max) {
+      if (!(await this.confirmUnusualValue('steps', steps, 'steps')))
+        return false;
+    }
+
+    // Validate exercise minutes
+    if (exerciseMinutes > this.validationRanges.exercise.max) {
+      if (
+        !(await this.confirmUnusualValue(
+          'exercise',
+          exerciseMinutes,
+          'minutes'
+        ))
+      )
+        return false;
+    }
+
+    // Validate water
+    if (water > this.validationRanges.water.max) {
+      const waterUnit = this.getCurrentWaterUnit();
+      if (
+        !(await this.confirmUnusualValue(
+          'water',
+          WaterUnits.fromLiters(water, waterUnit),
+          WaterUnits.get(waterUnit).label
+        ))
+      )
+        return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Show confirmation dialog for unusual values
+   */
+  confirmUnusualValue(type, value, unit) {
+    return new Promise((resolve) => {
+      const message = `The ${type} value of ${value} ${unit} seems unusually high. Please confirm this is correct.`;
+      if (confirm(message)) {
+        resolve(true);
+      } else {
+        resolve(false);
+      }
+    });
+  }
+
+  /**
+   * Derive all streak counters from the full log history
+   */
+  recalculateStreaks() {
+    if (!this.currentUser) {
+      this.streaks = this.initializeStreaks();
+      return;
+    }
+
+    this.streaks = StreakEngine.compute(
+      this.dailyLogs,
+      this.currentUser,
+      this.settings,
+      {
+        today: this.currentDate,
+        since: this.currentUser.streakResetDate || null,
+        getDateOffset: this.getDateOffset.bind(this),
+        getWeekStart: this.getWeekStart.bind(this),
+      }
+    );
+  }
+
+  /**
+   * Set current weight from the latest log that has a weight entry
+   */
+  updateCurrentWeightFromLogs() {
+    if (!this.currentUser) return;
+
+    const latestWeightLog = Object.values(this.dailyLogs)
+      .filter((log) => log.weight !== null && log.weight !== undefined)
+      .sort((a, b) => b.date.localeCompare(a.date))[0];
+
+    if (latestWeightLog) {
+      this.currentUser.currentWeight = latestWeightLog.weight;
+      this.currentUser.lastWeightUpdate = latestWeightLog.timestamp;
+    }
+  }
+
+  /**
+   * Check if weight requirement is met for this week
+   */
+  checkWeeklyWeight(date) {
+    const currentWeekStart = this.getWeekStart(date);
+    const weekDates = [];
+
+    // Get all dates in current week
+    for (let i = 0; i < 7; i++) {
+      weekDates.push(this.getDateOffset(currentWeekStart, i));
+    }
+
+    // Check if weight was logged any day this week
+    return weekDates.some((weekDate) => {
+      const log = this.dailyLogs[weekDate];
+      return log && log.weight !== null;
+    });
+  }
+
+  /**
+   * Get the start of the week for a given date, per the weekStart setting
+   */
+  getWeekStart(dateString) {
+    return DateUtils.getWeekStart(dateString, this.settings?.weekStart);
+  }
+
+  /**
+   * Get date with offset
+   */
+  getDateOffset(dateString, offset) {
+    return DateUtils.addDays(dateString, offset);
+  }
+
+  /**
+   * Inputs for the user's custom metrics on the daily log form
+   */
+  renderCustomMetricInputs() {
+    const container = document.getElementById('customMetricInputs');
+    if (!container) return;
+
+    const log = this.dailyLogs[this.selectedLogDate];
+    container.innerHTML = CustomMetrics.getActive(this.currentUser)
+      .map((metric) => {
+        const id = this.escapeHtml(metric.id);
+        const inputId = `customMetric-${id}`;
+        const name = this.escapeHtml(metric.name);
+        const unit = metric.unit ? ` (${this.escapeHtml(metric.unit)})` : '';
+        const target = this.escapeHtml(CustomMetrics.describeTarget(metric));
+        const value = CustomMetrics.getValue(log, metric.id);
+        return `
+            <div class="form-group">
+                <label for="${inputId}" class="form-label">${name}${unit}</label>
+                <input type="number" id="${inputId}" class="form-input custom-metric-input"
+                    data-metric="${id}" data-name="${name}"
+                    min="0" step="any" placeholder="Goal: ${target}"
+                    value="${value === null ? '' : value}">
+            </div>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Render the wellness checklist for the selected day
+   * Past days keep the habits they were logged with; today and unlogged
+   * days use the current checklist
+   */
+  renderWellnessChecklist() {
+    const listEl = document.getElementById('wellnessChecklist');
+    if (!listEl) return;
+
+    const log = this.dailyLogs[this.selectedLogDate];
+    const itemSet =
+      log && this.selectedLogDate !== this.currentDate
+        ? WellnessChecklist.getItemSet(log, this.settings)
+        : WellnessChecklist.getActiveItems(this.settings).map(
+            (item) => item.id
+          );
+    const completed = (log && log.wellnessItems) || [];
+
+    listEl.innerHTML = itemSet
+      .map((id) => {
+        const item = WellnessChecklist.getItem(this.settings, id);
+        const checked = completed.includes(id) ? 'checked' : '';
+        const title = this.escapeHtml(item.title);
+        const description = this.escapeHtml(item.description || '');
+        return `
+            <li class="wellness-item">
+                <input type="checkbox" class="wellness-checkbox"
+                    data-wellness="${this.escapeHtml(id)}" ${checked}>
+                <div class="wellness-content">
+                    <div class="wellness-title">${title}</div>
+                    <div class="wellness-description">${description}</div>
+                </div>
+            </li>`;
+      })
+      .join('');
+
+    this.updateWellnessScore();
+  }
+
+  /**
+   * Update wellness score display
+   */
+  updateWellnessScore() {
+    const checkedBoxes = document.querySelectorAll(
+      '.wellness-checkbox:checked'
+    );
+    const score = checkedBoxes.length;
+    const total = document.querySelectorAll('.wellness-checkbox').length;
+
+    // Update score indicators, one per habit on the checklist
+    const indicatorsEl = document.getElementById('wellnessScoreIndicators');
+    if (indicatorsEl) {
+      indicatorsEl.innerHTML = Array.from(
+        { length: total },
+        (_, index) =>
+          `<div class="score-indicator ${index < score ? 'active' : ''}"></div>`
+      ).join('');
+    }
+
+    // Update score text
+    const scoreText = document.getElementById('wellnessScoreText');
+    if (scoreText) {
+      scoreText.textContent = `${score}/${total}`;
+    }
+
+    const thresholdText = document.getElementById('wellnessThresholdText');
+    if (thresholdText) {
+      const required = WellnessChecklist.requiredPoints(
+        WellnessChecklist.getThreshold(this.settings),
+        total
+      );
+      thresholdText.textContent = `Need ${required}+ points for daily streak`;
+    }
+
+    // Update wellness items styling
+    const wellnessItems = document.querySelectorAll('.wellness-item');
+    wellnessItems.forEach((item, index) => {
+      const checkbox = item.querySelector('.wellness-checkbox');
+      if (checkbox && checkbox.checked) {
+        item.classList.add('completed');
+      } else {
+        item.classList.remove('completed');
+      }
+    });
+  }
+
+  /**
+   * Add a session row to the daily log form
+   */
+  addExerciseSessionRow(session = {}) {
+    const container = document.getElementById('exerciseSessions');
+    if (!container) return;
+
+    const typeOptions = ActivityTypes.EXERCISE_TYPES.map(
+      (type) =>
+        `<option value="${type.id}" ${
+          type.id === (session.type || 'cardio') ? 'selected' : ''
+        }>${type.icon} ${type.label}</option>`
+    ).join('');
+    const intensityOptions = ExerciseSessions.INTENSITIES.map(
+      (intensity) =>
+        `<option value="${intensity.id}" ${
+          intensity.id === session.intensity ? 'selected' : ''
+        }>${intensity.label}</option>`
+    ).join('');
+
+    const row = document.createElement('div');
+    row.className = 'exercise-session';
+    if (session.workoutId) row.dataset.workoutId = session.workoutId;
+    if (session.estimated) row.dataset.estimated = 'true';
+    row.innerHTML = `
+        <select class="form-input session-type" aria-label="Exercise type">${typeOptions}</select>
+        <input type="number" class="form-input session-minutes" min="0" max="1440"
+            placeholder="Minutes" aria-label="Minutes">
+        <select class="form-input session-intensity" aria-label="Intensity">
+            <option value="">Intensity (optional)</option>
+            ${intensityOptions}
+        </select>
+        <button type="button" class="session-remove" title="Remove session">✕</button>
+        <input type="text" class="form-input session-notes" maxlength="200"
+            placeholder="Notes (optional)" aria-label="Notes">`;
+    row.querySelector('.session-minutes').value = session.minutes || '';
+    row.querySelector('.session-notes').value = session.notes || '';
+
+    // Editing a guessed split makes it the user's own numbers
+    row.addEventListener('change', () => delete row.dataset.estimated);
+
+    container.appendChild(row);
+    this.updateExerciseSessionsTotal();
+  }
+
+  /**
+   * Remove a session row, keeping one empty row to type into
+   */
+  removeExerciseSessionRow(row) {
+    row.remove();
+    if (!document.querySelector('#exerciseSessions .exercise-session')) {
+      this.addExerciseSessionRow();
+    }
+    this.updateExerciseSessionsTotal();
+  }
+
+  /**
+   * Sessions entered in the daily log form; rows without minutes are ignored
+   */
+  getFormExerciseSessions() {
+    return Array.from(
+      document.querySelectorAll('#exerciseSessions .exercise-session')
+    )
+      .map((row) => {
+        const session = {
+          type: row.querySelector('.session-type').value,
+          minutes: parseInt(row.querySelector('.session-minutes').value) || 0,
+          intensity: row.querySelector('.session-intensity').value || null,
+          notes: row.querySelector('.session-notes').value.trim(),
+        };
+        if (row.dataset.workoutId) session.workoutId = row.dataset.workoutId;
+        if (row.dataset.estimated) session.estimated = true;
+        return session;
+      })
+      .filter((session) => session.minutes > 0);
+  }
+
+  /**
+   * Show the total of the sessions in the form
+   */
+  updateExerciseSessionsTotal() {
+    const totalEl = document.getElementById('exerciseSessionsTotal');
+    if (totalEl) {
+      totalEl.textContent = ExerciseSessions.totals(
+        this.getFormExerciseSessions()
+      ).exerciseMinutes;
+    }
+  }
+
+  /**
+   * Update dashboard display
+   */
+  updateDashboard() {
+    this.updateStreakDisplay();
+    this.renderWaterQuickAdd();
+    this.updateQuickStats();
+    this.updateWeightStatus();
+    this.loadSelectedLogData();
+    this.updateWellnessScore();
+  }
+
+  /**
+   * Update streak display in sidebar
+   */
+  updateStreakDisplay() {
+    // Main streak counter
+    const currentStreakEl = document.getElementById('currentStreak');
+    if (currentStreakEl) {
+      currentStreakEl.textContent = this.streaks.overall;
+    }
+
+    const bestStreakEl = document.getElementById('bestStreak');
+    if (bestStreakEl) {
+      bestStreakEl.textContent = `Best: ${this.streaks.best.overall} days`;
+    }
+
+    // Individual streak counters
+    const streakTypes = ['steps', 'exercise', 'water', 'wellness'];
+    streakTypes.forEach((type) => {
+      const streakEl = document.getElementById(`${type}Streak`);
+      if (streakEl) {
+        const valueEl = streakEl.querySelector('.streak-value');
+        if (valueEl) {
+          valueEl.textContent = this.streaks[type];
+        }
+        streakEl.title = `Best: ${this.streaks.best[type]} days`;
+
+        // Add active class if streak > 0
+        if (this.streaks[type] > 0) {
+          streakEl.classList.add('active');
+        } else {
+          streakEl.classList.remove('active');
+        }
+      }
+    });
+
+    this.renderCustomMetricStreaks();
+  }
+
+  /**
+   * Streak cards for the user's custom metrics, after the built-in ones
+   */
+  renderCustomMetricStreaks() {
+    const grid = document.getElementById('streakGrid');
+    if (!grid) return;
+
+    grid
+      .querySelectorAll('.custom-metric-streak')
+      .forEach((card) => card.remove());
+
+    CustomMetrics.getActive(this.currentUser).forEach((metric) => {
+      const key = CustomMetrics.streakKey(metric);
+      const streak = this.streaks[key] || 0;
+      const best = (this.streaks.best && this.streaks.best[key]) || 0;
+
+      const card = document.createElement('div');
+      card.className = `streak-item custom-metric-streak ${
+        streak > 0 ? 'active' : ''
+      }`;
+      card.dataset.metric = metric.id;
+      card.title = `${CustomMetrics.describeTarget(
+        metric
+      )} · Best: ${best} days`;
+      card.innerHTML = `
+          <div class="streak-value">${streak}</div>
+          <div class="streak-type">${this.escapeHtml(metric.name)}</div>`;
+      grid.appendChild(card);
+    });
+  }
+
+  /**
+   * Update quick stats display
+   */
+  updateQuickStats() {
+    const currentWeightEl = document.getElementById('currentWeightDisplay');
+    const goalWeightEl = document.getElementById('goalWeightDisplay');
+    const weightToGoEl = document.getElementById('weightToGoDisplay');
+
+    const weightUnit = this.getCurrentWeightUnit();
+
+    if (currentWeightEl && this.currentUser) {
+      currentWeightEl.textContent = WeightUnits.format(
+        this.currentUser.currentWeight,
+        weightUnit
+      );
+    }
+
+    if (goalWeightEl && this.currentUser) {
+      goalWeightEl.textContent = WeightUnits.format(
+        this.currentUser.goalWeight,
+        weightUnit
+      );
+    }
+
+    if (weightToGoEl && this.currentUser) {
+      const weightToGo = Math.abs(
+        this.currentUser.currentWeight - this.currentUser.goalWeight
+      );
+      weightToGoEl.textContent = `${weightToGo.toFixed(1)} ${weightUnit}`;
+    }
+
+    this.updateGoalProjection();
+  }
+
+  /**
+   * Projected goal date and its likely range in the quick stats
+   */
+  updateGoalProjection() {
+    const dateEl = document.getElementById('goalProjectionDisplay');
+    const rangeEl = document.getElementById('goalProjectionRange');
+    if (!dateEl || !rangeEl || !this.currentUser) return;
+
+    const projection = this.getGoalProjection();
+    const text = {
+      reached: ['Goal reached 🎉', '--'],
+      distant: [
+        `More than ${Math.round(WeightTrend.MAX_PROJECTION_DAYS / 365)} years`,
+        '--',
+      ],
+      away: ['Trending away', '--'],
+      unknown: ['--', '--'],
+    }[projection.status] || [
+      this.formatDate(projection.date),
+      `${this.formatDate(projection.earliest, 'short')} – ${
+        projection.latest ? this.formatDate(projection.latest, 'short') : '?'
+      }`,
+    ];
+
+    dateEl.textContent = text[0];
+    rangeEl.textContent = text[1];
+    dateEl.title = projection.rate
+      ? `Based on ${this.formatWeightRate(
+          projection.rate.perWeek
+        )} over the last ${WeightTrend.RATE_WINDOW_DAYS} days`
+      : `Log at least ${WeightTrend.MIN_RATE_POINTS} weigh-ins within ${WeightTrend.RATE_WINDOW_DAYS} days to see a projection`;
+  }
+
+  /**
+   * Goal date projected from the smoothed weight trend
+   */
+  getGoalProjection() {
+    return WeightTrend.project(
+      this.getWeightEntries(),
+      this.currentUser.goalWeight,
+      this.currentDate
+    );
+  }
+
+  /**
+   * Weekly rate of change for display, e.g. "-0.8 lbs/week"
+   */
+  formatWeightRate(perWeek) {
+    const sign = perWeek > 0 ? '+' : '';
+    return `${sign}${perWeek.toFixed(1)} ${this.getCurrentWeightUnit()}/week`;
+  }
+
+  /**
+   * Update weight status indicator
+   */
+  updateWeightStatus() {
+    const weightStatusEl = document.getElementById('weightStatus');
+    if (!weightStatusEl) return;
+
+    const weeklyWeightMet = this.checkWeeklyWeight(this.selectedLogDate);
+    if (weeklyWeightMet) {
+      weightStatusEl.textContent = '✅ Logged this week';
+      weightStatusEl.style.color = 'var(--accent-success)';
+    } else {
+      weightStatusEl.textContent = '⚠️ Not logged this week';
+      weightStatusEl.style.color = 'var(--accent-warning)';
+    }
+  }
+
+  /**
+   * Select which day the daily log form edits
+   */
+  selectLogDate(date) {
+    if (!date) {
+      date = this.currentDate;
+    }
+
+    if (date > this.currentDate) {
+      this.showError("You can't log a day that hasn't happened yet");
+      date = this.currentDate;
+    }
+
+    this.selectedLogDate = date;
+    this.updateWeightStatus();
+    this.loadSelectedLogData();
+  }
+
+  /**
+   * Open the daily log form for a specific day (e.g. from the calendar)
+   */
+  editLogForDate(date) {
+    this.switchTab('dashboard');
+    this.selectLogDate(date);
+
+    const dailyLogForm = document.getElementById('dailyLogForm');
+    if (dailyLogForm) {
+      dailyLogForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  /**
+   * Update log date picker, form title and save button for the selected day
+   */
+  updateLogDateDisplay() {
+    const isToday = this.selectedLogDate === this.currentDate;
+
+    const logDateInput = document.getElementById('logDate');
+    if (logDateInput) {
+      logDateInput.value = this.selectedLogDate;
+      logDateInput.max = this.currentDate;
+    }
+
+    const titleEl = document.getElementById('dailyLogTitle');
+    if (titleEl) {
+      titleEl.textContent = isToday
+        ? "Today's Log"
+        : `Log for ${this.formatDate(this.selectedLogDate, 'weekday')}`;
+    }
+
+    const saveBtn = document.getElementById('saveLogBtn');
+    if (saveBtn) {
+      saveBtn.textContent = isToday
+        ? "Save Today's Log"
+        : `Save Log for ${this.formatDate(this.selectedLogDate)}`;
+    }
+
+    const todayBtn = document.getElementById('logTodayBtn');
+    if (todayBtn) {
+      todayBtn.classList.toggle('hidden', isToday);
+    }
+  }
+
+  /**
+   * Clear all daily log form inputs
+   */
+  resetDailyLogForm() {
+    ['todayWeight', 'todaySteps', 'todayWater'].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) input.value = '';
+    });
+
+    document
+      .querySelectorAll('.wellness-checkbox')
+      .forEach((cb) => (cb.checked = false));
+
+    const sessionsEl = document.getElementById('exerciseSessions');
+    if (sessionsEl) sessionsEl.innerHTML = '';
+  }
+
+  /**
+   * Load the selected day's data into the form
+   */
+  loadSelectedLogData() {
+    const todaysLog = this.dailyLogs[this.selectedLogDate];
+
+    console.log('Loading log data for:', this.selectedLogDate, todaysLog); // Debug log
+
+    this.updateLogDateDisplay();
+    this.resetDailyLogForm();
+    this.renderWorkoutList();
+    this.renderWellnessChecklist();
+    this.renderCustomMetricInputs();
+
+    // Load exercise sessions, with an empty row to add another
+    ExerciseSessions.getSessions(todaysLog).forEach((session) =>
+      this.addExerciseSessionRow(session)
+    );
+    this.addExerciseSessionRow();
+
+    if (!todaysLog) return;
+
+    // Load form values - Make sure we're targeting the right elements
+    const weightInput = document.getElementById('todayWeight');
+    const stepsInput = document.getElementById('todaySteps');
+    const waterInput = document.getElementById('todayWater');
+
+    if (
+      weightInput &&
+      todaysLog.weight !== null &&
+      todaysLog.weight !== undefined
+    ) {
+      weightInput.value = todaysLog.weight;
+      console.log(
+        `📝 Loaded weight: ${this.formatWeightDisplay(todaysLog.weight)}`
+      );
+    }
+    if (stepsInput && todaysLog.steps) {
+      stepsInput.value = todaysLog.steps;
+    }
+    if (waterInput && todaysLog.water) {
+      waterInput.value = WaterUnits.fromLiters(
+        todaysLog.water,
+        this.getCurrentWaterUnit()
+      );
+    }
+  }
+
+  /**
+   * Parse dropped or chosen workout files and attach each to its day's log
+   */
+  async importWorkoutFiles(files) {
+    if (!this.canSave()) return;
+    if (!this.currentUser) {
+      this.showError('Please set up your profile before adding workouts');
+      return;
+    }
+    if (files.length === 0) return;
+
+    this.showProcessing('Reading workout files...');
+
+    const added = [];
+    const failed = [];
+    let duplicates = 0;
+
+    for (const file of files) {
+      try {
+        const workout = await WorkoutFileParser.parse(file);
+        if (workout.date > this.currentDate) {
+          throw new Error('Workout is dated in the future');
+        }
+
+        if (this.attachWorkout(workout)) {
+          added.push(workout);
+        } else {
+          duplicates++;
+        }
+      } catch (error) {
+        console.error(`Workout import error (${file.name}):`, error);
+        failed.push(file.name);
+      }
+    }
+
+    try {
+      if (added.length) {
+        const dates = [...new Set(added.map((workout) => workout.date))];
+        this.recalculateStreaks();
+        await Promise.all([
+          ...dates.map((date) => this.saveDailyLog(date)),
+          this.saveData(),
+        ]);
+
+        this.updateDashboard();
+        this.checkAchievements();
+        this.selectLogDate(dates.sort()[dates.length - 1]);
+      }
+
+      const minutes = added.reduce(
+        (total, workout) => total + workout.durationMinutes,
+        0
+      );
+      const plural = (count, word) =>
+        `${count} ${word}${count === 1 ? '' : 's'}`;
+      const message = [`Added ${plural(added.length, 'workout')}`];
+      if (added.length) message[0] += ` (${Math.round(minutes)} min)`;
+      if (duplicates) message.push(`${duplicates} already added`);
+
+      this.showProcessingSuccess('Workouts processed');
+      this.showSuccess(message.join(', '));
+      if (failed.length) {
+        this.showError(`Couldn't read: ${failed.join(', ')}`);
+      }
+    } catch (error) {
+      console.error('Workout save error:', error);
+      this.showProcessingError('Save failed');
+      this.showError('Failed to save workouts. Please try again.');
+    }
+  }
+
+  /**
+   * Add a workout to its day's log as an exercise session
+   * @returns {boolean} false if the workout was already attached
+   */
+  attachWorkout(workout) {
+    const log =
+      this.dailyLogs[workout.date] || this.createEmptyLog(workout.date);
+    const workouts = log.workouts || [];
+
+    if (workouts.some((existing) => existing.id === workout.id)) {
+      return false;
+    }
+
+    this.dailyLogs[workout.date] = {
+      ...ExerciseSessions.apply(log, [
+        ...ExerciseSessions.getSessions(log),
+        ExerciseSessions.fromWorkout(workout),
+      ]),
+      workouts: [...workouts, workout],
+      timestamp: new Date().toISOString(),
+    };
+    return true;
+  }
+
+  /**
+   * Remove an attached workout and its session from a day's log
+   */
+  async removeWorkout(date, workoutId) {
+    if (!this.canSave()) return;
+    const log = this.dailyLogs[date];
+    const workout = log && (log.workouts || []).find((w) => w.id === workoutId);
+    if (!workout) return;
+
+    this.dailyLogs[date] = {
+      ...ExerciseSessions.apply(
+        log,
+        ExerciseSessions.getSessions(log).filter(
+          (session) => session.workoutId !== workoutId
+        )
+      ),
+      workouts: log.workouts.filter((w) => w.id !== workoutId),
+      timestamp: new Date().toISOString(),
+    };
+
+    this.recalculateStreaks();
+    await Promise.all([this.saveDailyLog(date), this.saveData()]);
+    this.updateDashboard();
+    this.loadSelectedLogData();
+  }
+
+  /**
+   * List the workouts attached to the day shown in the log form
+   */
+  renderWorkoutList() {
+    const listEl = document.getElementById('workoutList');
+    if (!listEl) return;
+
+    const log = this.dailyLogs[this.selectedLogDate];
+    const workouts = (log && log.workouts) || [];
+    const useMiles = this.getCurrentWeightUnit() === 'lbs';
+
+    listEl.innerHTML = workouts
+      .map((workout) => {
+        const distance = useMiles
+          ? `${(workout.distanceKm * 0.621371).toFixed(1)} mi`
+          : `${workout.distanceKm.toFixed(1)} km`;
+        const details = [
+          `${Math.round(workout.durationMinutes)} min`,
+          workout.distanceKm ? distance : '',
+        ].filter(Boolean);
+
+        return `
+            <li class="workout-item">
+                <span>${ActivityTypes.get(workout.type).icon} ${this.escapeHtml(
+          workout.name
+        )}</span>
+                <span class="workout-details">${details.join(' · ')}</span>
+                <button type="button" class="workout-remove" title="Remove workout"
+                    onclick="app.removeWorkout('${workout.date}', '${
+          workout.id
+        }')">✕</button>
+            </li>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Switch between tabs - CORRECTED VERSION
+   */
+  switchTab(tabName) {
+    this.currentTab = tabName;
+
+    // Update tab buttons
+    document.querySelectorAll('.tab-btn').forEach((btn) => {
+      if (btn.dataset.tab === tabName) {
+        btn.classList.add('active');
+      } else {
+        btn.classList.remove('active');
+      }
+    });
+
+    // Update tab content - FIXED LOGIC
+    document.querySelectorAll('.tab-content').forEach((content) => {
+      if (content.id === `${tabName}Tab`) {
+        content.classList.remove('hidden');
+        content.classList.add('active');
+        content.style.display = 'block'; // Force display
+      } else {
+        content.classList.add('hidden');
+        content.classList.remove('active');
+        content.style.display = 'none'; // Force hide
+      }
+    });
+
+    // Load tab-specific content with error handling
+    try {
+      if (tabName === 'charts') {
+        console.log('Loading charts tab...');
+        this.loadChartsTab();
+      } else if (tabName === 'rewards') {
+        console.log('Loading rewards tab...');
+        this.loadRewardsTab();
+      } else if (tabName === 'settings') {
+        console.log('Loading settings tab...');
+        this.loadSettingsTab();
+      }
+    } catch (error) {
+      console.error(`Error loading ${tabName} tab:`, error);
+    }
+  }
+
+  /**
+   * Load charts tab content - MOBILE OPTIMIZED VERSION
+   */
+  loadChartsTab() {
+    console.log('Loading charts tab...');
+    this.showProcessing('Loading charts...');
+    this.updateChartRangeControls();
+
+    // Check if mobile device
+    const isMobile = window.innerWidth <= 768;
+    const delay = isMobile ? 300 : 100; // Longer delay on mobile
+
+    // Use requestAnimationFrame for better performance
+    requestAnimationFrame(() => {
+      setTimeout(() => {
+        try {
+          // Render charts one by one on mobile to reduce load
+          if (isMobile) {
+            this.renderWeightChart();
+            setTimeout(() => this.renderActivityChart(), 150);
+            setTimeout(() => this.renderExerciseTypeChart(), 175);
+            setTimeout(() => this.renderWellnessHabitChart(), 185);
+            setTimeout(() => this.renderCustomMetricChart(), 200);
+            setTimeout(() => this.renderStreakCalendar(), 300);
+            setTimeout(() => this.renderGoalHeatmap(), 400);
+            setTimeout(() => this.renderPeriodReport(), 450);
+          } else {
+            // Render all at once on desktop
+            this.renderWeightChart();
+            this.renderActivityChart();
+            this.renderExerciseTypeChart();
+            this.renderWellnessHabitChart();
+            this.renderCustomMetricChart();
+            this.renderStreakCalendar();
+            this.renderGoalHeatmap();
+            this.renderPeriodReport();
+          }
+          console.log('Charts rendered successfully');
+          this.showProcessingSuccess('Charts loaded!');
+        } catch (error) {
+          console.error('Error rendering charts:', error);
+          this.showProcessingError('Chart loading failed');
+        }
+      }, delay);
+    });
+  }
+
+  /**
+   * Set chart period and update charts
+   */
+  setChartPeriod(period) {
     this.chartPeriod = period;
+    this.chartRange = null;
+    this.refreshCharts();
+  }
+
+  /**
+   * Show a custom from-to range (date pickers, zoom and pan)
+   */
+  setChartRange(range) {
+    this.chartPeriod = 'custom';
+    this.chartRange = range;
+    this.refreshCharts();
+  }
+
+  /**
+   * Apply the from-to date pickers, swapping them if entered backwards
+   */
+  handleChartRangeInput() {
+    const from = document.getElementById('chartRangeFrom').value;
+    const to = document.getElementById('chartRangeTo').value;
+    if (!from || !to) return;
+    this.setChartRange(from <= to ? { from, to } : { from: to, to: from });
+  }
+
+  /**
+   * Re-render the charts for a new range
+   */
+  refreshCharts() {
+    this.updateChartRangeControls();
+    this.renderWeightChart();
+    this.renderActivityChart();
+    this.renderExerciseTypeChart();
+    this.renderWellnessHabitChart();
+    this.renderCustomMetricChart();
+  }
+
+  /**
+   * Highlight the period button and show the range in the date pickers
+   */
+  updateChartRangeControls() {
+    const period = this.chartPeriod;
+
+    // Update chart button states
+    document.querySelectorAll('.chart-btn').forEach((btn) => {
+      if (
+        (btn.dataset.period && parseInt(btn.dataset.period) === period) ||
+        (btn.dataset.period === 'all' && period === 'all')
+      ) {
+        btn.classList.add('active');
+      } else {
+        btn.classList.remove('active');
+      }
+    });
+
+    // The pickers always show the range on screen
+    const range = this.getChartRange();
+    const fromInput = document.getElementById('chartRangeFrom');
+    const toInput = document.getElementById('chartRangeTo');
+    if (fromInput) fromInput.value = range.from;
+    if (toInput) toInput.value = range.to;
+  }
+
+  /**
+   * The from-to days the charts show
+   */
+  getChartRange() {
+    if (this.chartPeriod === 'custom' && this.chartRange) {
+      return this.chartRange;
+    }
+    return ChartRange.forPeriod(
+      this.chartPeriod,
+      this.currentDate,
+      this.getFirstLogDate()
+    );
+  }
+
+  /**
+   * Days zoom and pan can move within: every logged day up to today,
+   * widened to take in the range on screen
+   */
+  getChartBounds() {
+    const range = this.getChartRange();
+    const all = ChartRange.forPeriod(
+      'all',
+      this.currentDate,
+      this.getFirstLogDate()
+    );
+    return {
+      from: range.from < all.from ? range.from : all.from,
+      to: range.to > all.to ? range.to : all.to,
+    };
+  }
+
+  getFirstLogDate() {
+    return Object.keys(this.dailyLogs).sort()[0] || null;
+  }
+
+  /**
+   * Entries (anything with a date) inside the chart range
+   */
+  filterByChartRange(entries) {
+    const range = this.getChartRange();
+    return entries.filter((entry) => ChartRange.contains(range, entry.date));
+  }
+
+  /**
+   * Label for the range on screen, e.g. "Last 7 Days"
+   */
+  getChartRangeLabel() {
+    if (this.chartPeriod === 'all') return 'All Time';
+    if (this.chartPeriod !== 'custom') return `Last ${this.chartPeriod} Days`;
+
+    const { from, to } = this.getChartRange();
+    return `${this.formatDate(from, 'short')} – ${this.formatDate(
+      to,
+      'short'
+    )}`;
+  }
+
+  /**
+   * Hover/tap tooltips, drag to pan and pinch or Ctrl+scroll to zoom
+   */
+  setupChartInteractions(canvas) {
+    const pointers = new Map();
+    let gesture = null;
+    let frame = null;
+
+    // Canvas position in chart coordinates (the canvas is scaled by CSS)
+    const toChartX = (e) => {
+      const layout = this.chartLayouts[canvas.id];
+      const rect = canvas.getBoundingClientRect();
+      const scale = layout && rect.width ? layout.width / rect.width : 1;
+      return (e.clientX - rect.left) * scale;
+    };
+    const fractionAcross = (x) => {
+      const layout = this.chartLayouts[canvas.id];
+      if (!layout) return 0.5;
+      const fraction = (x - layout.left) / (layout.right - layout.left);
+      return Math.min(1, Math.max(0, fraction));
+    };
+    // Re-render at most once per frame while a gesture is moving
+    const applyRange = (range) => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => this.setChartRange(range));
+    };
+    const zoomAt = (factor, x, range = this.getChartRange()) => {
+      applyRange(
+        ChartRange.zoom(range, factor, fractionAcross(x), this.getChartBounds())
+      );
+    };
+    const pinchDistance = () => {
+      const [a, b] = [...pointers.values()];
+      return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+      canvas.setPointerCapture?.(e.pointerId);
+      pointers.set(e.pointerId, { x: toChartX(e), y: e.clientY });
+      const range = this.getChartRange();
+
+      if (pointers.size === 2) {
+        const [a, b] = [...pointers.values()];
+        gesture = {
+          type: 'pinch',
+          range,
+          distance: pinchDistance(),
+          anchor: (a.x + b.x) / 2,
+        };
+        this.hideChartTooltip(canvas);
+      } else {
+        gesture = { type: 'tap', range, startX: toChartX(e), moved: false };
+      }
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (!pointers.has(e.pointerId)) {
+        // Plain mouse hover
+        if (e.pointerType === 'mouse')
+          this.showChartTooltip(canvas, toChartX(e));
+        return;
+      }
+      pointers.set(e.pointerId, { x: toChartX(e), y: e.clientY });
+
+      if (gesture && gesture.type === 'pinch' && pointers.size === 2) {
+        zoomAt(
+          gesture.distance / pinchDistance(),
+          gesture.anchor,
+          gesture.range
+        );
+      } else if (gesture && gesture.type === 'tap') {
+        const layout = this.chartLayouts[canvas.id];
+        const dx = toChartX(e) - gesture.startX;
+        if (Math.abs(dx) > 5) gesture.moved = true;
+        if (gesture.moved && layout) {
+          // Dragging right shows earlier days
+          const daysPerPixel =
+            ChartRange.length(gesture.range) / (layout.right - layout.left);
+          const days = Math.round(-dx * daysPerPixel);
+          applyRange(
+            ChartRange.pan(gesture.range, days, this.getChartBounds())
+          );
+          this.hideChartTooltip(canvas);
+        }
+      }
+    });
+
+    const endPointer = (e) => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+      if (gesture && gesture.type === 'tap' && !gesture.moved) {
+        this.showChartTooltip(canvas, toChartX(e));
+      }
+      if (pointers.size === 0) gesture = null;
+    };
+    canvas.addEventListener('pointerup', endPointer);
+    canvas.addEventListener('pointercancel', endPointer);
+    canvas.addEventListener('pointerleave', (e) => {
+      if (e.pointerType === 'mouse') this.hideChartTooltip(canvas);
+    });
+
+    // Trackpad pinches arrive as Ctrl+wheel; plain scrolling keeps
+    // scrolling the page
+    canvas.addEventListener(
+      'wheel',
+      (e) => {
+        if (!e.ctrlKey && !e.metaKey) return;
+        e.preventDefault();
+        zoomAt(e.deltaY > 0 ? 1.25 : 0.8, toChartX(e));
+      },
+      { passive: false }
+    );
+    canvas.addEventListener('dblclick', (e) => zoomAt(0.5, toChartX(e)));
+  }
+
+  /**
+   * Show the values of the plotted day nearest to a chart x position
+   */
+  showChartTooltip(canvas, x) {
+    const layout = this.chartLayouts[canvas.id];
+    if (!layout || layout.points.length === 0) return;
+
+    const point = layout.points.reduce((nearest, candidate) =>
+      Math.abs(candidate.x - x) < Math.abs(nearest.x - x) ? candidate : nearest
+    );
+
+    const container = canvas.parentElement;
+    let tooltip = container.querySelector('.chart-tooltip');
+    if (!tooltip) {
+      tooltip = document.createElement('div');
+      tooltip.className = 'chart-tooltip';
+      tooltip.setAttribute('role', 'status');
+      container.appendChild(tooltip);
+    }
+
+    const rows = layout
+      .describe(point.data)
+      .map(
+        ([label, value]) =>
+          `<div class="chart-tooltip-row"><span>${this.escapeHtml(
+            label
+          )}</span><strong>${this.escapeHtml(String(value))}</strong></div>`
+      )
+      .join('');
+    tooltip.innerHTML = `
+            <div class="chart-tooltip-date">${this.formatDate(
+              point.data.date,
+              'weekday'
+            )}</div>
+            ${rows}`;
+
+    // Position over the point, flipping left near the right edge
+    const scale = canvas.clientWidth / layout.width || 1;
+    const left = canvas.offsetLeft + point.x * scale;
+    tooltip.style.top = `${canvas.offsetTop + layout.top * scale}px`;
+    tooltip.classList.toggle('flipped', left > container.clientWidth / 2);
+    tooltip.style.left = `${left}px`;
+    tooltip.classList.remove('hidden');
+  }
+
+  hideChartTooltip(canvas) {
+    const tooltip = canvas.parentElement.querySelector('.chart-tooltip');
+    if (tooltip) tooltip.classList.add('hidden');
+  }
+
+  /**
+   * Size a chart canvas to its container and return a scaled, cleared context
+   * Mobile renders at 1x for performance; elsewhere at the device pixel ratio
+   */
+  prepareChartCanvas(canvas) {
+    const container = canvas.parentElement;
+    const isMobile = window.innerWidth <= 768;
+    const pixelRatio = isMobile ? 1 : window.devicePixelRatio || 1;
+    const width = container.offsetWidth || (isMobile ? 350 : 800);
+    const height = container.offsetHeight || (isMobile ? 250 : 400);
+
+    canvas.width = width * pixelRatio;
+    canvas.height = height * pixelRatio;
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(pixelRatio, pixelRatio);
+    ctx.clearRect(0, 0, width, height);
+    return { ctx, width, height };
+  }
+
+  /**
+   * Render weight progress chart using Canvas - FIXED SIZING
+   */
+  renderWeightChart() {
+    const canvas = document.getElementById('weightChart');
+    if (!canvas) return;
+
+    const { ctx, width, height } = this.prepareChartCanvas(canvas);
+
+    // Rest of your chart code continues here...
+    const padding = { top: 40, right: 40, bottom: 60, left: 60 };
+    // ... continue with existing chart code
+
+    // Get weight data - ADD THIS HERE
+    const weightData = this.getWeightData();
+    this.chartLayouts.weightChart = null;
+    this.hideChartTooltip(canvas);
+    if (weightData.length === 0) {
+      this.drawNoDataMessage(ctx, width, height, 'No weight data available');
+      return;
+    }
+
+    // Clear canvas
+    ctx.clearRect(0, 0, width, height);
+
+    // Calculate scales
+    const weightUnit = this.getCurrentWeightUnit();
+    const weights = weightData.flatMap((d) => [d.weight, d.trend]);
+    const goalWeightForChart = this.currentUser.goalWeight;
+    const startingWeightForChart = this.currentUser.startingWeight;
+
+    const minWeight = Math.min(...weights, goalWeightForChart) - 5;
+    const maxWeight = Math.max(...weights, startingWeightForChart) + 5;
+
+    console.log(
+      `📊 Chart scale: ${minWeight.toFixed(1)} - ${maxWeight.toFixed(
+        1
+      )} ${weightUnit}`
+    );
+
+    // Calculate chart area dimensions
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+
+    // Define scale functions
+    const xScale = (index) =>
+      padding.left + (index / (weightData.length - 1)) * chartWidth;
+
+    const yScale = (weight) =>
+      padding.top +
+      (1 - (weight - minWeight) / (maxWeight - minWeight)) * chartHeight;
+
+    // Draw grid lines
+    ctx.strokeStyle = getComputedStyle(
+      document.documentElement
+    ).getPropertyValue('--border-color');
+    ctx.lineWidth = 1;
+
+    // Horizontal grid lines
+    for (let i = 0; i <= 5; i++) {
+      const weight = minWeight + (maxWeight - minWeight) * (i / 5);
+      const y = yScale(weight);
+      ctx.beginPath();
+      ctx.moveTo(padding.left, y);
+      ctx.lineTo(width - padding.right, y);
+      ctx.stroke();
+
+      // Weight labels
+      ctx.fillStyle = getComputedStyle(
+        document.documentElement
+      ).getPropertyValue('--text-secondary');
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(
+        `${weight.toFixed(0)} ${weightUnit}`,
+        padding.left - 10,
+        y + 4
+      );
+    }
+
+    // Draw goal line
+    if (goalWeightForChart >= minWeight && goalWeightForChart <= maxWeight) {
+      const goalY = yScale(goalWeightForChart);
+      ctx.strokeStyle = getComputedStyle(
+        document.documentElement
+      ).getPropertyValue('--accent-success');
+      ctx.lineWidth = 2;
+      ctx.setLineDash([5, 5]);
+      ctx.beginPath();
+      ctx.moveTo(padding.left, goalY);
+      ctx.lineTo(width - padding.right, goalY);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      // Goal label
+      ctx.fillStyle = getComputedStyle(
+        document.documentElement
+      ).getPropertyValue('--accent-success');
+      ctx.font = 'bold 12px sans-serif';
+      ctx.textAlign = 'left';
+      ctx.fillText(
+        `Goal: ${WeightUnits.format(goalWeightForChart, weightUnit, 0)}`,
+        width - padding.right - 100,
+        goalY - 10
+      );
+    }
+
+    // Draw weight line
+    ctx.strokeStyle = getComputedStyle(
+      document.documentElement
+    ).getPropertyValue('--accent-primary');
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    weightData.forEach((data, index) => {
+      const x = xScale(index);
+      const y = yScale(data.weight);
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.stroke();
+
+    // Draw data points
+    ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue(
+      '--accent-primary'
+    );
+    weightData.forEach((data, index) => {
+      const x = xScale(index);
+      const y = yScale(data.weight);
+      ctx.beginPath();
+      ctx.arc(x, y, 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    // Draw the smoothed trend over the weigh-ins
+    if (weightData.length > 1) {
+      const trendColor = getComputedStyle(
+        document.documentElement
+      ).getPropertyValue('--accent-warning');
+      ctx.strokeStyle = trendColor;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([8, 4]);
+      ctx.beginPath();
+      weightData.forEach((data, index) => {
+        const x = xScale(index);
+        const y = yScale(data.trend);
+        if (index === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      const last = weightData[weightData.length - 1];
+      ctx.fillStyle = trendColor;
+      ctx.font = 'bold 12px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(
+        `Trend: ${WeightUnits.format(last.trend, weightUnit)}`,
+        width - padding.right,
+        padding.top - 10
+      );
+    }
+
+    // Plotted points for hover/tap tooltips
+    this.chartLayouts.weightChart = {
+      width,
+      top: padding.top,
+      left: padding.left,
+      right: width - padding.right,
+      points: weightData.map((data, index) => ({ x: xScale(index), data })),
+      describe: (data) => [
+        ['Weight', WeightUnits.format(data.weight, weightUnit)],
+        ['Trend', WeightUnits.format(data.trend, weightUnit)],
+      ],
+    };
+
+    // Draw trend indicator
+    this.updateWeightTrend();
+  }
+
+  /**
+   * Every weigh-in, oldest first
+   */
+  getWeightEntries() {
+    return Object.values(this.dailyLogs)
+      .filter((log) => log.weight !== null && log.weight !== undefined)
+      .map((log) => ({
+        date: log.date,
+        weight: log.weight,
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Get weight data in the chart range, with the smoothed
+   * trend (smoothed over all weigh-ins so the period start isn't reset)
+   */
+  getWeightData() {
+    return this.filterByChartRange(WeightTrend.smooth(this.getWeightEntries()));
+  }
+
+  /**
+   * Update weight trend indicator from the fitted weekly rate, so a single
+   * heavy or light day doesn't flip the arrow
+   */
+  updateWeightTrend() {
+    const trendEl = document.getElementById('weightTrend');
+    if (!trendEl) return;
+
+    const projection = this.getGoalProjection();
+    const { rate } = projection;
+    if (!rate) {
+      trendEl.textContent = '';
+      trendEl.title = '';
+      return;
+    }
+
+    // Green when heading toward the goal, whichever way that is
+    const towardGoal =
+      Math.sign(rate.perWeek) ===
+      Math.sign(this.currentUser.goalWeight - this.currentUser.currentWeight);
+    const rateText = this.formatWeightRate(rate.perWeek).replace(/^[+-]/, '');
+    if (Math.abs(rate.perWeek) < 0.1) {
+      trendEl.textContent = 'Stable';
+      trendEl.style.color = 'var(--text-secondary)';
+    } else {
+      trendEl.textContent = `${rate.perWeek < 0 ? '↓' : '↑'} ${rateText}`;
+      trendEl.style.color = towardGoal
+        ? 'var(--accent-success)'
+        : 'var(--accent-danger)';
+    }
+
+    trendEl.title =
+      projection.status === 'projected'
+        ? `Goal projected for ${this.formatDate(projection.date)}`
+        : `Fitted over the last ${WeightTrend.RATE_WINDOW_DAYS} days`;
+  }
+
+  /**
+   * Render activity summary chart using Canvas
+   */
+  renderActivityChart() {
+    const canvas = document.getElementById('activityChart');
+    if (!canvas) return;
+
+    const { ctx, width, height } = this.prepareChartCanvas(canvas);
+
+    // Get activity data
+    const activityData = this.getActivityData();
+    this.chartLayouts.activityChart = null;
+    this.hideChartTooltip(canvas);
+    if (activityData.length === 0) {
+      this.drawNoDataMessage(ctx, width, height, 'No activity data available');
+      return;
+    }
+
+    // Clear canvas
+    ctx.clearRect(0, 0, width, height);
+
+    // Define chart dimensions and padding
+    const padding = { top: 40, right: 40, bottom: 80, left: 60 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+
+    // Calculate bar dimensions
+    const barWidth = (chartWidth / activityData.length) * 0.8;
+    const barSpacing = (chartWidth / activityData.length) * 0.2;
+
+    // Find max values for scaling
+    const maxSteps = Math.max(
+      ...activityData.map((d) => d.steps),
+      this.currentUser.dailySteps
+    );
+    const maxExercise = Math.max(
+      ...activityData.map((d) => d.exercise),
+      this.currentUser.dailyExercise
+    );
+    const maxWater = Math.max(
+      ...activityData.map((d) => d.water),
+      this.currentUser.dailyWater
+    );
+
+    // Draw goal lines
+    this.drawGoalLines(ctx, padding, chartWidth, chartHeight, {
+      steps: this.currentUser.dailySteps / maxSteps,
+      exercise: this.currentUser.dailyExercise / maxExercise,
+      water: this.currentUser.dailyWater / maxWater,
+    });
+
+    // Draw bars
+    activityData.forEach((data, index) => {
+      const x = padding.left + index * (barWidth + barSpacing) + barSpacing / 2;
+
+      // Steps bar (normalized)
+      const stepsHeight = (data.steps / maxSteps) * chartHeight;
+      ctx.fillStyle = getComputedStyle(
+        document.documentElement
+      ).getPropertyValue('--accent-primary');
+      ctx.fillRect(
+        x,
+        padding.top + chartHeight - stepsHeight,
+        barWidth / 3,
+        stepsHeight
+      );
+
+      // Exercise bar (normalized), stacked by exercise type
+      let exerciseTop = padding.top + chartHeight;
+      Object.entries(data.exerciseByType).forEach(([type, minutes]) => {
+        const segmentHeight = (minutes / maxExercise) * chartHeight;
+        exerciseTop -= segmentHeight;
+        ctx.fillStyle = ActivityTypes.get(type).color;
+        ctx.fillRect(
+          x + barWidth / 3,
+          exerciseTop,
+          barWidth / 3,
+          segmentHeight
+        );
+      });
+
+      // Water bar (normalized)
+      const waterHeight = (data.water / maxWater) * chartHeight;
+      ctx.fillStyle = getComputedStyle(
+        document.documentElement
+      ).getPropertyValue('--accent-warning');
+      ctx.fillRect(
+        x + (barWidth * 2) / 3,
+        padding.top + chartHeight - waterHeight,
+        barWidth / 3,
+        waterHeight
+      );
+
+      // Date labels
+      ctx.fillStyle = getComputedStyle(
+        document.documentElement
+      ).getPropertyValue('--text-secondary');
+      ctx.font = '10px sans-serif';
+      ctx.textAlign = 'center';
+      const dateLabel = this.formatDate(data.date, 'dayMonth');
+      ctx.fillText(dateLabel, x + barWidth / 2, height - padding.bottom + 20);
+    });
+
+    // Draw legend with the exercise types shown in the bars
+    const exerciseTypes = [
+      ...new Set(activityData.flatMap((d) => Object.keys(d.exerciseByType))),
+    ];
+    this.drawActivityLegend(ctx, width, height, padding, exerciseTypes);
+
+    // Plotted days for hover/tap tooltips
+    this.chartLayouts.activityChart = {
+      width,
+      top: padding.top,
+      left: padding.left,
+      right: width - padding.right,
+      points: activityData.map((data, index) => ({
+        x:
+          padding.left +
+          index * (barWidth + barSpacing) +
+          barSpacing / 2 +
+          barWidth / 2,
+        data,
+      })),
+      describe: (data) => [
+        ['Steps', data.steps.toLocaleString()],
+        ['Exercise', `${data.exercise} min`],
+        ...Object.entries(data.exerciseByType).map(([type, minutes]) => [
+          `· ${ActivityTypes.get(type).label}`,
+          `${minutes} min`,
+        ]),
+        ['Water', this.formatWaterDisplay(data.water)],
+        ['Wellness', data.wellness],
+      ],
+    };
+
+    // Update period indicator
+    const periodEl = document.getElementById('activityPeriod');
+    if (periodEl) {
+      periodEl.textContent = this.getChartRangeLabel();
+    }
+  }
+
+  /**
+   * Render minutes or sessions per exercise type over the chart range
+   */
+  renderExerciseTypeChart() {
+    const canvas = document.getElementById('exerciseTypeChart');
+    if (!canvas) return;
+    const select = document.getElementById('exerciseBreakdownMeasure');
+    const measure =
+      select && select.value === 'sessions' ? 'sessions' : 'minutes';
+
+    const { ctx, width, height } = this.prepareChartCanvas(canvas);
+    const breakdown = ExerciseSessions.breakdown(
+      this.filterByChartRange(Object.values(this.dailyLogs))
+    ).sort((a, b) => b[measure] - a[measure]);
+    if (breakdown.length === 0) {
+      this.drawNoDataMessage(ctx, width, height, 'No exercise logged');
+      return;
+    }
+
+    const max = Math.max(...breakdown.map((entry) => entry[measure]));
+    this.drawBreakdownBars(
+      ctx,
+      width,
+      height,
+      breakdown.map((entry) => {
+        const type = ActivityTypes.get(entry.type);
+        const sessions = `${entry.sessions} session${
+          entry.sessions === 1 ? '' : 's'
+        }`;
+        return {
+          label: `${type.icon} ${type.label}`,
+          ratio: entry[measure] / max,
+          color: type.color,
+          value:
+            measure === 'sessions'
+              ? `${sessions} · ${entry.minutes} min`
+              : `${entry.minutes} min · ${sessions}`,
+        };
+      })
+    );
+  }
+
+  /**
+   * Render each wellness habit's hit rate over the chart range, most
+   * skipped first
+   */
+  renderWellnessHabitChart() {
+    const canvas = document.getElementById('wellnessHabitChart');
+    if (!canvas) return;
+
+    const { ctx, width, height } = this.prepareChartCanvas(canvas);
+    const rates = WellnessChecklist.hitRates(
+      this.filterByChartRange(Object.values(this.dailyLogs)),
+      this.settings
+    );
+
+    const periodEl = document.getElementById('wellnessHabitPeriod');
+    if (periodEl) periodEl.textContent = this.getChartRangeLabel();
+
+    if (rates.length === 0) {
+      this.drawNoDataMessage(ctx, width, height, 'No wellness data available');
+      return;
+    }
+
+    const cssColor = (name) =>
+      getComputedStyle(document.documentElement).getPropertyValue(name);
+    this.drawBreakdownBars(
+      ctx,
+      width,
+      height,
+      rates.map((rate) => {
+        const percent = Math.round(rate.rate * 100);
+        return {
+          label: rate.archived ? `${rate.title} (archived)` : rate.title,
+          ratio: rate.rate,
+          color: cssColor(
+            percent >= 70
+              ? '--accent-success'
+              : percent >= 40
+              ? '--accent-warning'
+              : '--accent-danger'
+          ),
+          value: `${percent}% · ${rate.hits}/${rate.days} day${
+            rate.days === 1 ? '' : 's'
+          }`,
+        };
+      })
+    );
+  }
+
+  /**
+   * Draw labelled horizontal bars, one row per { label, ratio, color, value }
+   * The label sits above its bar so long habit names fit on mobile
+   */
+  drawBreakdownBars(ctx, width, height, bars) {
+    const cssColor = (name) =>
+      getComputedStyle(document.documentElement).getPropertyValue(name);
+    const padding = { top: 20, right: 20, bottom: 20, left: 20 };
+    const chartWidth = width - padding.left - padding.right;
+    const rowHeight = Math.min(
+      48,
+      (height - padding.top - padding.bottom) / bars.length
+    );
+    const barHeight = Math.max(4, rowHeight - 26);
+
+    bars.forEach((bar, index) => {
+      const top = padding.top + index * rowHeight;
+
+      ctx.font = '12px sans-serif';
+      ctx.fillStyle = cssColor('--text-primary');
+      ctx.textAlign = 'left';
+      ctx.fillText(bar.label, padding.left, top + 12);
+      ctx.fillStyle = cssColor('--text-secondary');
+      ctx.textAlign = 'right';
+      ctx.fillText(bar.value, width - padding.right, top + 12);
+
+      // Track, then the bar itself
+      ctx.fillStyle = cssColor('--border-color');
+      ctx.fillRect(padding.left, top + 18, chartWidth, barHeight);
+      ctx.fillStyle = bar.color;
+      ctx.fillRect(padding.left, top + 18, chartWidth * bar.ratio, barHeight);
+    });
+  }
+
+  /**
+   * Render the chosen custom metric as daily bars against its target
+   */
+  renderCustomMetricChart() {
+    const card = document.getElementById('customMetricChartCard');
+    const select = document.getElementById('customMetricChartSelect');
+    const canvas = document.getElementById('customMetricChart');
+    if (!card || !select || !canvas) return;
+
+    const metrics = CustomMetrics.getActive(this.currentUser);
+    card.classList.toggle('hidden', metrics.length === 0);
+    if (metrics.length === 0) return;
+
+    // Keep the chosen metric selected when the list is rebuilt
+    const selectedId = metrics.some((metric) => metric.id === select.value)
+      ? select.value
+      : metrics[0].id;
+    select.innerHTML = metrics
+      .map((metric) => {
+        const name = this.escapeHtml(metric.name);
+        return `<option value="${this.escapeHtml(metric.id)}">${name}</option>`;
+      })
+      .join('');
+    select.value = selectedId;
+    const metric = metrics.find((m) => m.id === selectedId);
+
+    const { ctx, width, height } = this.prepareChartCanvas(canvas);
+
+    const data = this.filterByChartRange(Object.values(this.dailyLogs))
+      .map((log) => ({
+        date: log.date,
+        value: CustomMetrics.getValue(log, metric.id),
+        met: CustomMetrics.evaluate(metric, log),
+      }))
+      .filter((d) => d.value !== null)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (data.length === 0) {
+      this.drawNoDataMessage(
+        ctx,
+        width,
+        height,
+        `No ${metric.name} data available`
+      );
+      return;
+    }
+
+    ctx.clearRect(0, 0, width, height);
+
+    const cssColor = (name) =>
+      getComputedStyle(document.documentElement).getPropertyValue(name);
+    const padding = { top: 40, right: 40, bottom: 60, left: 60 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const maxValue = Math.max(...data.map((d) => d.value), metric.target) || 1;
+    const yScale = (value) =>
+      padding.top + chartHeight * (1 - value / maxValue);
+
+    // Value labels
+    ctx.fillStyle = cssColor('--text-secondary');
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'right';
+    for (let i = 0; i <= 4; i++) {
+      const value = (maxValue * i) / 4;
+      ctx.fillText(
+        `${Math.round(value * 10) / 10}`,
+        padding.left - 10,
+        yScale(value) + 4
+      );
+    }
+
+    // Bars, green when the day met its target
+    const slot = chartWidth / data.length;
+    data.forEach((d, index) => {
+      const x = padding.left + index * slot + slot * 0.1;
+      const barHeight = padding.top + chartHeight - yScale(d.value);
+      ctx.fillStyle = cssColor(d.met ? '--accent-success' : '--accent-primary');
+      ctx.fillRect(x, yScale(d.value), slot * 0.8, barHeight);
+
+      ctx.fillStyle = cssColor('--text-secondary');
+      ctx.font = '10px sans-serif';
+      ctx.textAlign = 'center';
+      const dateLabel = this.formatDate(d.date, 'dayMonth');
+      ctx.fillText(dateLabel, x + slot * 0.4, height - padding.bottom + 20);
+    });
+
+    // Target line
+    const targetY = yScale(metric.target);
+    ctx.strokeStyle = cssColor('--accent-warning');
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.beginPath();
+    ctx.moveTo(padding.left, targetY);
+    ctx.lineTo(width - padding.right, targetY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = cssColor('--accent-warning');
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(
+      `Target: ${CustomMetrics.describeTarget(metric)}`,
+      padding.left,
+      targetY - 8
+    );
+  }
+
+  /**
+   * Draw goal lines on activity chart
+   */
+  drawGoalLines(ctx, padding, chartWidth, chartHeight, goalRatios) {
+    ctx.strokeStyle = getComputedStyle(
+      document.documentElement
+    ).getPropertyValue('--text-secondary');
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+
+    Object.values(goalRatios).forEach((ratio) => {
+      const y = padding.top + chartHeight * (1 - ratio);
+      ctx.beginPath();
+      ctx.moveTo(padding.left, y);
+      ctx.lineTo(padding.left + chartWidth, y);
+      ctx.stroke();
+    });
+
+    ctx.setLineDash([]);
+  }
+
+  /**
+   * Draw activity chart legend
+   */
+  drawActivityLegend(ctx, width, height, padding, exerciseTypes = []) {
+    const legendY = height - padding.bottom + 40;
+    const cssColor = (name) =>
+      getComputedStyle(document.documentElement).getPropertyValue(name);
+    const legendItems = [
+      { color: cssColor('--accent-primary'), label: 'Steps' },
+      { color: cssColor('--accent-success'), label: 'Exercise (min)' },
+      {
+        color: cssColor('--accent-warning'),
+        label: `Water (${WaterUnits.get(this.getCurrentWaterUnit()).label})`,
+      },
+    ];
+
+    // The exercise bar is coloured by type rather than the exercise colour
+    if (exerciseTypes.length) {
+      legendItems.splice(
+        1,
+        1,
+        ...exerciseTypes.map((id) => ({
+          color: ActivityTypes.get(id).color,
+          label: `${ActivityTypes.get(id).label} (min)`,
+        }))
+      );
+    }
+
+    let legendX = padding.left;
+    let rowY = legendY;
+    legendItems.forEach((item) => {
+      ctx.font = '12px sans-serif';
+      const itemWidth = ctx.measureText(item.label).width + 40;
+      if (legendX > padding.left && legendX + itemWidth > width) {
+        legendX = padding.left;
+        rowY += 18;
+      }
+
+      // Color square
+      ctx.fillStyle = item.color;
+      ctx.fillRect(legendX, rowY, 12, 12);
+
+      // Label
+      ctx.fillStyle = cssColor('--text-primary');
+      ctx.textAlign = 'left';
+      ctx.fillText(item.label, legendX + 16, rowY + 9);
+
+      legendX += itemWidth;
+    });
+  }
+
+  /**
+   * Get activity data in the chart range
+   */
+  getActivityData() {
+    return this.filterByChartRange(Object.values(this.dailyLogs))
+      .map((log) => ({
+        date: log.date,
+        steps: log.steps || 0,
+        exercise: log.exerciseMinutes || 0,
+        exerciseByType: ExerciseSessions.minutesByType(log),
+        water: log.water || 0,
+        wellness: log.wellnessScore || 0,
+      }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  /**
+   * Draw "no data" message on canvas
+   */
+  drawNoDataMessage(ctx, width, height, message) {
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue(
+      '--text-secondary'
+    );
+    ctx.font = '16px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(message, width / 2, height / 2);
+  }
+
+  /**
+   * Render streak calendar
+   */
+  renderStreakCalendar() {
+    const calendarContainer = document.getElementById('streakCalendar');
+    if (!calendarContainer) return;
+
+    const today = new Date();
+    const currentMonth = today.getMonth();
+    const currentYear = today.getFullYear();
+
+    this.currentCalendarMonth = currentMonth;
+    this.currentCalendarYear = currentYear;
+
+    this.renderCalendarMonth(currentMonth, currentYear);
+  }
+
+  /**
+   * Navigate calendar months
+   */
+  navigateCalendar(direction) {
+    this.currentCalendarMonth += direction;
+
+    if (this.currentCalendarMonth > 11) {
+      this.currentCalendarMonth = 0;
+      this.currentCalendarYear++;
+    } else if (this.currentCalendarMonth < 0) {
+      this.currentCalendarMonth = 11;
+      this.currentCalendarYear--;
+    }
+
+    this.renderCalendarMonth(
+      this.currentCalendarMonth,
+      this.currentCalendarYear
+    );
+  }
+
+  /**
+   * Render calendar for specific month
+   */
+  renderCalendarMonth(month, year) {
+    const calendarContainer = document.getElementById('streakCalendar');
+    const monthNameEl = document.getElementById('currentMonth');
+
+    if (!calendarContainer || !monthNameEl) return;
+
+    // Update month display
+    const dateFormat = this.settings?.dateFormat;
+    monthNameEl.textContent = DateFormat.name(
+      new Date(year, month, 1),
+      dateFormat,
+      { month: 'long', year: 'numeric' }
+    );
+
+    // Clear existing calendar
+    calendarContainer.innerHTML = '';
+
+    // Create calendar grid
+    const calendarGrid = document.createElement('div');
+    calendarGrid.className = 'calendar-grid';
+
+    // Add day headers
+    const dayHeaders = document.createElement('div');
+    dayHeaders.className = 'calendar-header';
+    const firstWeekday = DateUtils.getWeekStartIndex(this.settings?.weekStart);
+    // January 2, 2000 was a Sunday
+    const weekDayNames = Array.from({ length: 7 }, (_, index) =>
+      DateFormat.name(new Date(2000, 0, 2 + firstWeekday + index), dateFormat, {
+        weekday: 'short',
+      })
+    );
+    weekDayNames.forEach((day) => {
+      const dayLabel = document.createElement('div');
+      dayLabel.className = 'calendar-day-label';
+      dayLabel.textContent = day;
+      dayHeaders.appendChild(dayLabel);
+    });
+
+    calendarContainer.appendChild(dayHeaders);
+
+    // Calculate first day of month and number of days
+    const firstDay = new Date(year, month, 1);
+    const lastDay = new Date(year, month + 1, 0);
+    const daysInMonth = lastDay.getDate();
+    const startingDayOfWeek = (firstDay.getDay() - firstWeekday + 7) % 7;
+
+    // Add empty cells for days before month starts
+    for (let i = 0; i < startingDayOfWeek; i++) {
+      const emptyDay = document.createElement('div');
+      emptyDay.className = 'calendar-day other-month';
+      calendarGrid.appendChild(emptyDay);
+    }
+
+    // Add days of the month
+    for (let day = 1; day <= daysInMonth; day++) {
+      const dayEl = document.createElement('div');
+      dayEl.className = 'calendar-day';
+      dayEl.textContent = day;
+
+      const dateString = `${year}-${String(month + 1).padStart(
+        2,
+        '0'
+      )}-${String(day).padStart(2, '0')}`;
+      const dayLog = this.dailyLogs[dateString];
+
+      // Apply styling based on streak completion
+      if (dateString === this.currentDate) {
+        dayEl.classList.add('today');
+      }
+
+      if (dateString === this.selectedLogDate) {
+        dayEl.classList.add('selected');
+      }
+
+      // Past days and today can be opened in the daily log form for editing
+      if (dateString <= this.currentDate) {
+        const action = dayLog ? 'click to edit this log' : 'click to add a log';
+        dayEl.title = `${this.formatDate(dateString, 'long')} - ${action}`;
+        dayEl.addEventListener('click', () => this.editLogForDate(dateString));
+      } else {
+        dayEl.classList.add('future');
+      }
+
+      if (dayLog) {
+        const goalsmet = this.checkDayGoalsMet(dayLog);
+        if (goalsmet.all) {
+          dayEl.classList.add('streak-complete');
+        } else if (goalsmet.some) {
+          dayEl.classList.add('partial-complete');
+        }
+      } else {
+        dayEl.classList.add('no-data');
+      }
+
+      calendarGrid.appendChild(dayEl);
+    }
+
+    calendarContainer.appendChild(calendarGrid);
+  }
+
+  /**
+   * Render the year-at-a-glance heatmap, shaded by goals met per day or
+   * by a single goal chosen in the filter
+   */
+  renderGoalHeatmap() {
+    const container = document.getElementById('goalHeatmap');
+    const select = document.getElementById('heatmapMetric');
+    if (!container || !select || !this.currentUser) return;
+
+    // Filter options: every goal together, or one goal at a time
+    const metrics = CustomMetrics.getActive(this.currentUser);
+    const filters = [
+      { id: 'all', label: 'All goals' },
+      { id: 'steps', label: 'Steps' },
+      { id: 'exercise', label: 'Exercise' },
+      { id: 'water', label: 'Water' },
+      { id: 'wellness', label: 'Wellness' },
+      { id: 'weight', label: 'Weekly weigh-in' },
+      ...metrics.map((metric) => ({
+        id: CustomMetrics.streakKey(metric),
+        label: metric.name,
+      })),
+    ];
+    const filter = filters.some((option) => option.id === select.value)
+      ? select.value
+      : 'all';
+    select.innerHTML = filters
+      .map(
+        (option) =>
+          `<option value="${this.escapeHtml(option.id)}">${this.escapeHtml(
+            option.label
+          )}</option>`
+      )
+      .join('');
+    select.value = filter;
+    const filterLabel = filters.find((option) => option.id === filter).label;
+
+    const weeks = GoalHeatmap.buildWeeks(
+      this.currentDate,
+      this.settings?.weekStart
+    );
+    const max = GoalHeatmap.MAX_LEVEL;
+
+    const cell = (date) => {
+      if (date > this.currentDate) {
+        return '<div class="heatmap-cell future"></div>';
+      }
+
+      const log = this.dailyLogs[date];
+      let level = 0;
+      let detail = 'No log';
+      if (log) {
+        const goals = StreakEngine.evaluateDay(
+          log,
+          StreakEngine.getGoalThresholds(this.currentUser, this.settings, date),
+          this.settings
+        );
+        goals.weight = this.checkWeeklyWeight(date);
+
+        if (filter === 'all') {
+          level = ['steps', 'exercise', 'water', 'wellness', 'weight'].filter(
+            (goal) => goals[goal]
+          ).length;
+          detail = `${level} of ${max} goals met`;
+        } else {
+          level = goals[filter] ? max : 0;
+          detail =
+            {
+              true: `${filterLabel} met`,
+              false: `${filterLabel} missed`,
+            }[goals[filter]] || `No ${filterLabel} logged`;
+        }
+      }
+
+      const classes = [
+        'heatmap-cell',
+        log ? `level-${level}` : 'no-data',
+        date === this.currentDate ? 'today' : '',
+      ].join(' ');
+      const title = `${this.formatDate(date, 'long')} - ${detail}`;
+      return `<div class="${classes}" data-date="${date}" title="${this.escapeHtml(
+        title
+      )}"></div>`;
+    };
+
+    // Month and weekday names follow the date format setting
+    const dateFormat = this.settings?.dateFormat;
+    const months = GoalHeatmap.monthStarts(weeks)
+      .map(({ week, month }) => {
+        const name = DateFormat.name(new Date(2000, month, 1), dateFormat, {
+          month: 'short',
+        });
+        return `<span style="grid-column: ${week + 1}">${name}</span>`;
+      })
+      .join('');
+    const dayLabels = weeks[0]
+      .map((date, index) =>
+        index % 2 === 1
+          ? DateFormat.name(date, dateFormat, { weekday: 'short' })
+          : ''
+      )
+      .map((label) => `<span>${label}</span>`)
+      .join('');
+    const columns = weeks
+      .map(
+        (days) => `<div class="heatmap-week">${days.map(cell).join('')}</div>`
+      )
+      .join('');
+
+    container.innerHTML = `
+        <div class="heatmap-scroll">
+            <div class="heatmap-months">${months}</div>
+            <div class="heatmap-body">
+                <div class="heatmap-day-labels">${dayLabels}</div>
+                <div class="heatmap-grid">${columns}</div>
+            </div>
+        </div>`;
+
+    // Show the most recent weeks first on narrow screens
+    const scroller = container.querySelector('.heatmap-scroll');
+    scroller.scrollLeft = scroller.scrollWidth;
+  }
+
+  /**
+   * The week or month the report shows
+   */
+  getReportRange() {
+    const select = document.getElementById('reportPeriod');
+    const period = select && select.value === 'month' ? 'month' : 'week';
+    return {
+      period,
+      range: PeriodReport.range(
+        period,
+        this.reportDate || this.currentDate,
+        this.settings?.weekStart
+      ),
+    };
+  }
+
+  /**
+   * Step the report back or forward a period, stopping at the current one
+   */
+  shiftPeriodReport(steps) {
+    const { period, range } = this.getReportRange();
+    const next = PeriodReport.shift(
+      period,
+      range,
+      steps,
+      this.settings?.weekStart
+    );
+    this.reportDate = next.from > this.currentDate ? null : next.from;
+    this.renderPeriodReport();
+  }
+
+  /**
+   * Label for a report period, e.g. "Oct 12 – Oct 18, 2026" or "October 2026"
+   */
+  formatReportPeriod(period, range) {
+    if (period === 'month') {
+      return DateFormat.name(range.from, this.settings?.dateFormat, {
+        month: 'long',
+        year: 'numeric',
+      });
+    }
+    return `${this.formatDate(range.from, 'dayMonth')} – ${this.formatDate(
+      range.to
+    )}`;
+  }
+
+  /**
+   * Render the weekly or monthly report against the comparison period
+   */
+  renderPeriodReport() {
+    const container = document.getElementById('periodReport');
+    if (!container || !this.currentUser) return;
+
+    const compareSelect = document.getElementById('reportCompare');
+    const compare = compareSelect ? compareSelect.value : 'previous';
+    const weekStart = this.settings?.weekStart;
+    const { period, range } = this.getReportRange();
+    const previousRange = PeriodReport.comparison(
+      period,
+      range,
+      compare,
+      weekStart
+    );
+
+    const options = {
+      today: this.currentDate,
+      firstDate: this.getFirstLogDate(),
+      weights: this.getWeightEntries(),
+      evaluate: (log) =>
+        StreakEngine.evaluateDay(
+          log,
+          StreakEngine.getGoalThresholds(
+            this.currentUser,
+            this.settings,
+            log.date
+          ),
+          this.settings
+        ),
+    };
+    const current = PeriodReport.summarize(this.dailyLogs, range, options);
+    const previous = PeriodReport.summarize(
+      this.dailyLogs,
+      previousRange,
+      options
+    );
+
+    const label = document.getElementById('reportLabel');
+    if (label) label.textContent = this.formatReportPeriod(period, range);
+    const next = document.getElementById('reportNext');
+    if (next) next.disabled = range.to >= this.currentDate;
+
+    // Losing is better when the goal is below the starting weight
+    const losing =
+      this.currentUser.goalWeight < this.currentUser.startingWeight;
+    const unit = this.getCurrentWeightUnit();
+    const percent = (value) => `${Math.round(value)}%`;
+    const rows = [
+      { label: 'Days logged', value: (s) => s.days, format: (v) => `${v}` },
+      {
+        label: 'Avg steps',
+        value: (s) => s.steps,
+        format: (v) => Math.round(v).toLocaleString(),
+      },
+      {
+        label: 'Exercise',
+        value: (s) => s.exercise,
+        format: (v) => `${Math.round(v)} min`,
+      },
+      {
+        label: 'Avg water',
+        value: (s) => s.water,
+        format: (v) => this.formatWaterDisplay(v),
+      },
+      {
+        label: 'Avg wellness',
+        value: (s) => s.wellness,
+        format: (v) => v.toFixed(1),
+      },
+      ...[
+        ['steps', 'Steps goal'],
+        ['exercise', 'Exercise goal'],
+        ['water', 'Water goal'],
+        ['wellness', 'Wellness goal'],
+      ].map(([goal, goalLabel]) => ({
+        label: goalLabel,
+        value: (s) => s.goals[goal],
+        format: percent,
+        deltaFormat: (v) => `${Math.round(v)} pts`,
+      })),
+      {
+        label: 'Weight change',
+        value: (s) => s.weightChange,
+        format: (v) => `${v > 0 ? '+' : ''}${WeightUnits.format(v, unit)}`,
+        deltaFormat: (v) => WeightUnits.format(v, unit),
+        lowerIsBetter: losing,
+      },
+    ];
+
+    const cellText = (row, value) =>
+      value === null || value === undefined ? '—' : row.format(value);
+    const deltaCell = (row) => {
+      const delta = PeriodReport.delta(row.value(current), row.value(previous));
+      if (delta === null) return '<td class="report-delta">—</td>';
+
+      const shown = (row.deltaFormat || row.format)(Math.abs(delta));
+      if (shown === (row.deltaFormat || row.format)(0)) {
+        return '<td class="report-delta flat">no change</td>';
+      }
+      const better = row.lowerIsBetter ? delta < 0 : delta > 0;
+      return `<td class="report-delta ${better ? 'better' : 'worse'}">${
+        delta > 0 ? '▲' : '▼'
+      } ${this.escapeHtml(shown)}</td>`;
+    };
+
+    const inProgress = range.to > this.currentDate;
+    const periodName = period === 'month' ? 'month' : 'week';
+    const previousName =
+      compare === 'lastYear'
+        ? `Same ${periodName} last year`
+        : `Previous ${periodName}`;
+
+    container.innerHTML = `
+        <table class="report-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>${this.escapeHtml(
+                      this.formatReportPeriod(period, range)
+                    )}${inProgress ? ' (so far)' : ''}</th>
+                    <th title="${this.escapeHtml(
+                      this.formatReportPeriod(period, previousRange)
+                    )}">${previousName}</th>
+                    <th>Change</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows
+                  .map(
+                    (row) => `
+                <tr>
+                    <th>${row.label}</th>
+                    <td>${this.escapeHtml(
+                      cellText(row, row.value(current))
+                    )}</td>
+                    <td>${this.escapeHtml(
+                      cellText(row, row.value(previous))
+                    )}</td>
+                    ${deltaCell(row)}
+                </tr>`
+                  )
+                  .join('')}
+            </tbody>
+        </table>`;
+  }
+
+  /**
+   * Check if day's goals were met (with settings consideration)
+   */
+  checkDayGoalsMet(dayLog) {
+    const thresholds = StreakEngine.getGoalThresholds(
+      this.currentUser,
+      this.settings,
+      dayLog.date
+    );
+    const goalsmet = StreakEngine.evaluateDay(
+      dayLog,
+      thresholds,
+      this.settings
+    );
+
+    const weeklyWeight = this.checkWeeklyWeight(dayLog.date);
+
+    return {
+      some: Object.values(goalsmet).some((met) => met),
+      all: StreakEngine.isOverallMet(goalsmet, thresholds) && weeklyWeight,
+    };
+  }
+
+  /**
+   * Load rewards tab content
+   */
+  loadRewardsTab() {
+    this.renderDefaultMilestones();
+    this.renderCustomRewards();
+    this.renderAchievementHistory();
+  }
+
+  /**
+   * Initialize default milestones
+   */
+  initializeDefaultMilestones() {
+    this.defaultMilestones = [
+      // Streak milestones
+      {
+        type: 'streak',
+        value: 7,
+        title: '7 Day Streak',
+        description: 'Complete 7 consecutive days of goals',
+      },
+      {
+        type: 'streak',
+        value: 14,
+        title: '2 Week Streak',
+        description: 'Complete 14 consecutive days of goals',
+      },
+      {
+        type: 'streak',
+        value: 30,
+        title: '30 Day Streak',
+        description: 'Complete 30 consecutive days of goals',
+      },
+      {
+        type: 'streak',
+        value: 50,
+        title: '50 Day Streak',
+        description: 'Complete 50 consecutive days of goals',
+      },
+      {
+        type: 'streak',
+        value: 100,
+        title: '100 Day Streak',
+        description: 'Complete 100 consecutive days of goals',
+      },
+
+      // Weight loss milestones (steps depend on the weight unit)
+      ...this.generateWeightMilestones(),
+    ].map((milestone) => ({
+      ...milestone,
+      id: WeightUnits.milestoneId(
+        milestone.type,
+        milestone.value,
+        this.getCurrentWeightUnit()
+      ),
+    }));
+  }
+
+  /**
+   * Generate weight loss milestones based on user's goals (with custom rewards integration - no duplicates)
+   */
+  generateWeightMilestones() {
+    if (!this.currentUser) return [];
+
+    const milestones = [];
+    const totalWeightToLose =
+      this.currentUser.startingWeight - this.currentUser.goalWeight;
+
+    if (totalWeightToLose <= 0) return milestones;
+
+    const {
+      label,
+      name,
+      milestones: steps,
+    } = WeightUnits.get(this.getCurrentWeightUnit());
+
+    // Add default weight milestones (every 10 lbs / 5 kg)
+    for (
+      let lost = steps.regular;
+      lost <= totalWeightToLose;
+      lost += steps.regular
+    ) {
+      milestones.push({
+        type: 'weight',
+        value: lost,
+        title: `${lost} ${label} Lost`,
+        description: `Lost ${lost} ${name} from starting weight`,
+      });
+    }
+
+    // Add bonus milestones (every 25 lbs / 10 kg)
+    for (
+      let lost = steps.bonus;
+      lost <= totalWeightToLose;
+      lost += steps.bonus
+    ) {
+      milestones.push({
+        type: 'weight',
+        value: lost,
+        title: `${lost} ${label} Lost - BIG WIN!`,
+        description: `Amazing achievement: Lost ${lost} ${name}!`,
+        isBig: true,
+      });
+    }
+
+    // Add major milestones (every 50 lbs / 25 kg)
+    for (
+      let lost = steps.major;
+      lost <= totalWeightToLose;
+      lost += steps.major
+    ) {
+      milestones.push({
+        type: 'weight',
+        value: lost,
+        title: `${lost} ${label} Lost - MAJOR MILESTONE!`,
+        description: `Incredible transformation: Lost ${lost} ${name}!`,
+        isMajor: true,
+      });
+    }
+
+    // Add custom rewards ONLY if they don't match default milestone values
+    const defaultMilestoneIds = new Set();
+
+    // Collect all default milestone ids (weight milestones + streak milestones)
+    milestones.forEach((milestone) =>
+      defaultMilestoneIds.add(
+        WeightUnits.milestoneId(
+          milestone.type,
+          milestone.value,
+          this.getCurrentWeightUnit()
+        )
+      )
+    );
+
+    // Add default streak values
+    [7, 14, 30, 50, 100].forEach((days) =>
+      defaultMilestoneIds.add(`streak-${days}`)
+    );
+
+    this.customRewards.forEach((reward) => {
+      // Combo rewards need both criteria, so they never overlap a default
+      if (reward.type === 'combo') {
+        if (reward.streakDays && reward.weightLoss) {
+          milestones.push({
+            type: 'combo',
+            value: `${reward.streakDays}-${reward.weightLoss}`,
+            streakDays: reward.streakDays,
+            weightLoss: reward.weightLoss,
+            title: `${
+              reward.streakDays
+            } Day Streak + ${this.formatWeightDisplay(reward.weightLoss)} Lost`,
+            description: `Custom combo milestone: ${reward.description}`,
+            isCustom: true,
+            customReward: reward,
+          });
+        }
+        return;
+      }
+
+      // Only add as separate milestone if it's NOT a default milestone value
+      if (!defaultMilestoneIds.has(this.getRewardMilestoneId(reward))) {
+        if (reward.type === 'weight' && reward.weightLoss) {
+          milestones.push({
+            type: 'weight',
+            value: reward.weightLoss,
+            title: `${this.formatWeightDisplay(
+              reward.weightLoss
+            )} Lost - Custom Reward`,
+            description: `Custom milestone: ${reward.description}`,
+            isCustom: true,
+            customReward: reward,
+          });
+        } else if (reward.type === 'streak' && reward.streakDays) {
+          milestones.push({
+            type: 'streak',
+            value: reward.streakDays,
+            title: `${reward.streakDays} Day Streak - Custom Reward`,
+            description: `Custom milestone: ${reward.description}`,
+            isCustom: true,
+            customReward: reward,
+          });
+        }
+      }
+    });
+
+    console.log(
+      `🎯 Generated ${milestones.length} milestones (excluded ${
+        this.customRewards.length - milestones.filter((m) => m.isCustom).length
+      } duplicate default rewards)`
+    );
+
+    return milestones;
+  }
+
+  /**
+   * Render default milestones
+   */
+  renderDefaultMilestones() {
+    const container = document.getElementById('defaultMilestones');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    // Initialize default milestones if they don't exist
+    if (!this.defaultMilestones) {
+      this.initializeDefaultMilestones();
+    }
+
+    // Safety check in case defaultMilestones is still undefined
+    if (!this.defaultMilestones || !Array.isArray(this.defaultMilestones)) {
+      container.innerHTML =
+        '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">Unable to load milestones. Please refresh the page.</p>';
+      return;
+    }
+
+    this.defaultMilestones.forEach((milestone) => {
+      const milestoneEl = this.createMilestoneElement(milestone);
+      container.appendChild(milestoneEl);
+    });
+  }
+
+  /**
+   * Create milestone element with editing capability
+   */
+  createMilestoneElement(milestone) {
+    const el = document.createElement('div');
+    el.className = 'milestone-item';
+
+    const isAchieved = this.isMilestoneAchieved(milestone);
+    const isClaimed = this.isMilestoneClaimedInAchievements(milestone);
+
+    if (isAchieved && !isClaimed) {
+      el.classList.add('achieved');
+    } else if (isClaimed) {
+      el.classList.add('claimed');
+    }
+
+    const statusText = isClaimed
+      ? 'Claimed'
+      : isAchieved
+      ? 'Achieved'
+      : 'Pending';
+    const statusClass = isClaimed
+      ? 'claimed'
+      : isAchieved
+      ? 'achieved'
+      : 'pending';
+
+    const customReward = this.getCustomRewardForMilestone(milestone);
+    const rewardText = customReward
+      ? customReward.description
+      : 'Set custom reward...';
+
+    const isEditable = !customReward; // Only allow editing if no custom reward exists
+
+    const progressHtml =
+      milestone.type === 'combo' && !isClaimed
+        ? this.createMilestoneProgressHtml(milestone)
+        : '';
+
+    el.innerHTML = `
+      <div class="milestone-header">
+        <div class="milestone-title">${milestone.title}</div>
+        <div class="milestone-status ${statusClass}">${statusText}</div>
+      </div>
+      <div class="milestone-description">${milestone.description}</div>
+      ${progressHtml}
+      <div class="milestone-reward">
+        <div class="reward-text ${isEditable ? 'editable' : ''}" 
+            data-milestone-id="${milestone.id}"
+            ${isEditable ? 'onclick="app.editMilestoneReward(this)"' : ''}>
+          ${rewardText}
+        </div>
+        ${
+          isAchieved && !isClaimed
+            ? `<button class="claim-btn" onclick="app.claimMilestone('${milestone.id}')">Claim Reward</button>`
+            : ''
+        }
+      </div>
+    `;
+
+    return el;
+  }
+
+  /**
+   * Create progress bars for each criterion of a combo milestone
+   */
+  createMilestoneProgressHtml(milestone) {
+    const rows = this.getMilestoneProgress(milestone).map((item) => {
+      const percent = Math.min(100, (item.current / item.target) * 100);
+      const fillClass = item.current >= item.target ? 'complete' : '';
+
+      return `
+          <div class="milestone-progress-row">
+            <span>${item.label}: ${item.current}/${item.target} ${item.unit}</span>
+            <div class="milestone-progress-bar">
+              <div class="milestone-progress-fill ${fillClass}" style="width: ${percent}%"></div>
+            </div>
+          </div>`;
+    });
+
+    return `<div class="milestone-progress">${rows.join('')}</div>`;
+  }
+
+  /**
+   * Edit milestone reward (make it customizable)
+   */
+  editMilestoneReward(element) {
+    if (!this.canSave()) return;
+    const milestone = this.defaultMilestones.find(
+      (m) => m.id === element.dataset.milestoneId
+    );
+    if (!milestone) return;
+    const milestoneType = milestone.type;
+    const milestoneValue = milestone.value;
+
+    // Check if this milestone already has a custom reward
+    if (this.getCustomRewardForMilestone(milestone)) {
+      this.showError(
+        'This milestone already has a custom reward. Delete it first to create a new one.'
+      );
+      return;
+    }
+
+    // Prompt for custom reward
+    const rewardDescription = prompt(
+      `Set your custom reward for this milestone:\n\n${
+        milestoneType === 'weight'
+          ? this.formatWeightDisplay(milestoneValue) + ' lost'
+          : milestoneValue + ' day streak'
+      }`,
+      'Enter your reward (e.g., "Spa day", "New workout clothes", "Cheat meal")'
+    );
+
+    if (
+      !rewardDescription ||
+      rewardDescription.trim() === '' ||
+      rewardDescription ===
+        'Enter your reward (e.g., "Spa day", "New workout clothes", "Cheat meal")'
+    ) {
+      return; // User cancelled or entered placeholder text
+    }
+
+    // Create custom reward
+    const customReward = {
+      type: milestoneType,
+      description: rewardDescription.trim(),
+      createdDate: new Date().toISOString(),
+    };
+
+    // Add type-specific criteria
+    if (milestoneType === 'weight') {
+      customReward.weightLoss = milestoneValue;
+    } else if (milestoneType === 'streak') {
+      customReward.streakDays = milestoneValue;
+    }
+
+    // Add to custom rewards
+    this.customRewards.push(customReward);
+    this.saveData();
+
+    // Regenerate milestones to include the new custom reward
+    this.initializeDefaultMilestones();
+    this.renderDefaultMilestones();
+    this.renderCustomRewards(); // Update the custom rewards list too
+
+    this.showSuccess(`Custom reward added: "${rewardDescription}"`);
+  }
+
+  /**
+   * Check if milestone is achieved
+   */
+  isMilestoneAchieved(milestone) {
+    if (milestone.type === 'streak') {
+      // Best streak counts, so a milestone isn't lost if the streak breaks
+      // before the reward is claimed
+      return this.streaks.best.overall >= milestone.value;
+    } else if (milestone.type === 'weight') {
+      return this.getWeightLost() >= milestone.value;
+    } else if (milestone.type === 'combo') {
+      return (
+        this.streaks.best.overall >= milestone.streakDays &&
+        this.getWeightLost() >= milestone.weightLoss
+      );
+    }
+    return false;
+  }
+
+  /**
+   * Get weight lost since the starting weight
+   */
+  getWeightLost() {
+    return this.currentUser.startingWeight - this.currentUser.currentWeight;
+  }
+
+  /**
+   * Get progress towards each criterion of a combo milestone
+   */
+  getMilestoneProgress(milestone) {
+    const weightLost = Math.max(0, this.getWeightLost());
+
+    return [
+      {
+        label: 'Streak',
+        current: Math.min(this.streaks.best.overall, milestone.streakDays),
+        target: milestone.streakDays,
+        unit: 'days',
+      },
+      {
+        label: 'Weight lost',
+        current:
+          Math.round(Math.min(weightLost, milestone.weightLoss) * 10) / 10,
+        target: Math.round(milestone.weightLoss * 10) / 10,
+        unit: this.getCurrentWeightUnit(),
+      },
+    ];
+  }
+
+  /**
+   * Check if milestone has been claimed (exists in achievements)
+   */
+  isMilestoneClaimedInAchievements(milestone) {
+    return this.achievements.some(
+      (achievement) => achievement.milestoneId === milestone.id
+    );
+  }
+
+  /**
+   * Get custom reward for milestone
+   */
+  getCustomRewardForMilestone(milestone) {
+    // Check if the milestone already has a custom reward attached
+    if (milestone.customReward) {
+      return milestone.customReward;
+    }
+
+    // Otherwise, search for matching custom reward
+    return this.customRewards.find(
+      (reward) => this.getRewardMilestoneId(reward) === milestone.id
+    );
+  }
+
+  /**
+   * Id of the milestone a custom reward's criteria point at
+   */
+  getRewardMilestoneId(reward) {
+    const value =
+      reward.type === 'combo'
+        ? `${reward.streakDays}-${reward.weightLoss}`
+        : reward.weightLoss || reward.streakDays;
+    return WeightUnits.milestoneId(
+      reward.type,
+      value,
+      this.getCurrentWeightUnit()
+    );
+  }
+
+  /**
+   * Claim milestone reward
+   */
+  claimMilestone(milestoneId) {
+    if (!this.canSave()) return;
+    const milestone = this.defaultMilestones.find((m) => m.id === milestoneId);
+    if (!milestone || !this.isMilestoneAchieved(milestone)) return;
+
+    // Add to achievements
+    const achievement = {
+      milestoneId: milestone.id,
+      type: milestone.type,
+      value: milestone.value,
+      title: milestone.title,
+      description: milestone.description,
+      customReward: this.getCustomRewardForMilestone(milestone),
+      claimedDate: new Date().toISOString(),
+      claimedStreak: this.streaks.overall,
+      claimedWeight: this.currentUser.currentWeight,
+    };
+
+    this.achievements.push(achievement);
+    this.saveData();
+
+    // Show celebration modal
+    this.showAchievementModal(achievement);
+
+    // Re-render milestones
+    this.renderDefaultMilestones();
+    this.renderAchievementHistory();
+  }
+
+  /**
+   * Handle custom reward form submission
+   */
+  handleCustomReward(e) {
+    e.preventDefault();
+    if (!this.canSave()) return;
+
+    const formData = new FormData(e.target);
+    const rewardType = formData.get('rewardType');
+    const description = formData.get('rewardDescription');
+
+    if (!rewardType || !description) {
+      this.showError('Please fill in all required fields');
+      return;
+    }
+
+    const reward = {
+      type: rewardType,
+      description: description,
+      createdDate: new Date().toISOString(),
+    };
+
+    // Add type-specific criteria
+    if (rewardType === 'streak') {
+      reward.streakDays = parseInt(formData.get('streakDays'));
+      if (!reward.streakDays || reward.streakDays < 1) {
+        this.showError('Please enter valid streak days');
+        return;
+      }
+    } else if (rewardType === 'weight') {
+      reward.weightLoss = parseFloat(formData.get('weightLoss'));
+      if (!reward.weightLoss || reward.weightLoss < 0.1) {
+        this.showError('Please enter valid weight loss amount');
+        return;
+      }
+    } else if (rewardType === 'combo') {
+      reward.streakDays = parseInt(formData.get('comboStreak'));
+      reward.weightLoss = parseFloat(formData.get('comboWeight'));
+      if (!reward.streakDays || !reward.weightLoss) {
+        this.showError('Please enter valid streak days and weight loss');
+        return;
+      }
+    }
+
+    this.customRewards.push(reward);
+    this.saveData();
+
+    // Reset form and update display
+    e.target.reset();
+    this.updateRewardCriteria();
+    this.renderCustomRewards();
+
+    // Force regenerate milestones to include the new custom reward
+    this.initializeDefaultMilestones();
+    this.renderDefaultMilestones();
+
+    this.showSuccess('Custom reward added successfully!');
+  }
+
+  /**
+   * Update reward criteria form visibility
+   */
+  updateRewardCriteria() {
+    const rewardType = document.getElementById('rewardType').value;
+    const criteriaElements = document.querySelectorAll('.reward-criteria');
+
+    criteriaElements.forEach((el) => el.classList.add('hidden'));
+
+    if (rewardType) {
+      const targetCriteria = document.getElementById(`${rewardType}Criteria`);
+      if (targetCriteria) {
+        targetCriteria.classList.remove('hidden');
+      }
+    }
+  }
+
+  /**
+   * Render custom rewards list
+   */
+  renderCustomRewards() {
+    const container = document.getElementById('customRewardsList');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.customRewards.length === 0) {
+      container.innerHTML =
+        '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">No custom rewards added yet.</p>';
+      return;
+    }
+
+    this.customRewards.forEach((reward, index) => {
+      const rewardEl = this.createCustomRewardElement(reward, index);
+      container.appendChild(rewardEl);
+    });
+  }
+
+  /**
+   * Create custom reward element
+   */
+  createCustomRewardElement(reward, index) {
+    const el = document.createElement('div');
+    el.className = 'reward-item';
+
+    let criteriaText = '';
+    if (reward.type === 'streak') {
+      criteriaText = `${reward.streakDays} day streak`;
+    } else if (reward.type === 'weight') {
+      criteriaText = `${this.formatWeightDisplay(reward.weightLoss)} lost`;
+    } else if (reward.type === 'combo') {
+      criteriaText = `${
+        reward.streakDays
+      } day streak + ${this.formatWeightDisplay(reward.weightLoss)} lost`;
+    }
+
+    el.innerHTML = `
+            <div class="reward-info">
+                <div class="reward-title">${reward.description}</div>
+                <div class="reward-criteria-text">${criteriaText}</div>
+            </div>
+            <div class="reward-actions">
+                <button class="btn btn-small btn-danger" onclick="app.deleteCustomReward(${index})">Delete</button>
+            </div>
+        `;
+
+    return el;
+  }
+
+  /**
+   * Delete custom reward
+   */
+  deleteCustomReward(index) {
+    if (!this.canSave()) return;
+    if (confirm('Are you sure you want to delete this reward?')) {
+      this.customRewards.splice(index, 1);
+      this.saveData();
+      this.renderCustomRewards();
+
+      // Regenerate milestones so custom and combo milestones disappear too
+      this.initializeDefaultMilestones();
+      this.renderDefaultMilestones();
+      this.showSuccess('Custom reward deleted.');
+    }
+  }
+
+  /**
+   * Render achievement history
+   */
+  renderAchievementHistory() {
+    const container = document.getElementById('achievementHistory');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.achievements.length === 0) {
+      container.innerHTML =
+        '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">No achievements yet. Keep working towards your goals!</p>';
+      return;
+    }
+
+    // Sort achievements by date (newest first)
+    const sortedAchievements = [...this.achievements].sort(
+      (a, b) => new Date(b.claimedDate) - new Date(a.claimedDate)
+    );
+
+    sortedAchievements.forEach((achievement) => {
+      const achievementEl = this.createAchievementElement(achievement);
+      container.appendChild(achievementEl);
+    });
+  }
+
+  /**
+   * Create achievement element
+   */
+  createAchievementElement(achievement) {
+    const el = document.createElement('div');
+    el.className = 'achievement-item';
+
+    const claimedDate = this.formatDate(achievement.claimedDate);
+    const rewardText = achievement.customReward
+      ? ` - Reward: ${achievement.customReward.description}`
+      : '';
+
+    el.innerHTML = `
+            <div class="achievement-header">
+                <div class="achievement-title">${achievement.title}</div>
+                <div class="achievement-date">${claimedDate}</div>
+            </div>
+            <div class="achievement-description">
+                ${achievement.description}${rewardText}
+            </div>
+        `;
+
+    return el;
+  }
+
+  /**
+   * Check for new achievements after daily log
+   */
+  checkAchievements() {
+    const newAchievements = [];
+
+    // Check streak, weight and combo (streak + weight) milestones
+    ['streak', 'weight', 'combo'].forEach((type) => {
+      this.defaultMilestones
+        .filter((m) => m.type === type)
+        .forEach((milestone) => {
+          if (
+            this.isMilestoneAchieved(milestone) &&
+            !this.isMilestoneClaimedInAchievements(milestone)
+          ) {
+            newAchievements.push(milestone);
+          }
+        });
+    });
+
+    // Show achievement notifications
+    if (newAchievements.length > 0) {
+      newAchievements.forEach((achievement) => {
+        this.showAchievementNotification(achievement);
+      });
+    }
+  }
+
+  /**
+   * Show achievement notification
+   */
+  showAchievementNotification(milestone) {
+    const customReward = this.getCustomRewardForMilestone(milestone);
+    const rewardText = customReward
+      ? ` Your reward: ${customReward.description}`
+      : '';
+
+    const message = `🎉 Achievement Unlocked: ${milestone.title}!${rewardText} Visit the Rewards tab to claim it.`;
+    this.showSuccess(message, 5000);
+  }
+
+  /**
+   * Show achievement modal with celebration
+   */
+  showAchievementModal(achievement) {
+    // Create modal if it doesn't exist
+    let modal = document.getElementById('achievementModal');
+    if (!modal) {
+      modal = this.createAchievementModal();
+      document.body.appendChild(modal);
+    }
+
+    // Update modal content
+    const title = modal.querySelector('.modal-title');
+    const message = modal.querySelector('.modal-message');
+
+    title.textContent = '🎉 Achievement Claimed!';
+
+    const rewardText = achievement.customReward
+      ? ` Enjoy your reward: ${achievement.customReward.description}`
+      : ` Consider setting a custom reward for future milestones!`;
+
+    message.textContent = `${achievement.title} - ${achievement.description}.${rewardText}`;
+
+    // Show modal with celebration animation
+    modal.classList.add('show');
+    document.body.classList.add('celebrating');
+
+    setTimeout(() => {
+      document.body.classList.remove('celebrating');
+    }, 600);
+  }
+
+  /**
+   * Create achievement modal
+   */
+  createAchievementModal() {
+    const modal = document.createElement('div');
+    modal.id = 'achievementModal';
+    modal.className = 'modal';
+
+    modal.innerHTML = `
+            <div class="modal-content">
+                <h2 class="modal-title">Achievement!</h2>
+                <p class="modal-message"></p>
+                <button class="modal-btn" onclick="app.closeAchievementModal()">Awesome!</button>
+            </div>
+        `;
+
+    return modal;
+  }
+
+  /**
+   * Close achievement modal
+   */
+  closeAchievementModal() {
+    const modal = document.getElementById('achievementModal');
+    if (modal) {
+      modal.classList.remove('show');
+    }
+  }
+
+  /**
+   * Toggle theme between light and dark
+   */
+  toggleTheme() {
+    const currentTheme = document.documentElement.getAttribute('data-theme');
+    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+
+    document.documentElement.setAttribute('data-theme', newTheme);
+    localStorage.setItem('byf_theme', newTheme);
+
+    this.updateThemeToggle(newTheme);
+
+    // Update settings if user manually toggles (override system preference)
+    this.settings.themePreference = newTheme;
+    this.saveSettings();
+
+    // Update radio button in settings
+    const themeRadio = document.querySelector(`input[value="${newTheme}"]`);
+    if (themeRadio) {
+      themeRadio.checked = true;
+    }
+  }
+
+  /**
+   * Update theme toggle button text
+   */
+  updateThemeToggle(theme) {
+    const themeToggle = document.getElementById('themeToggle');
+    if (themeToggle) {
+      themeToggle.textContent =
+        theme === 'dark' ? '☀️ Light Mode' : '🌙 Dark Mode';
+    }
+  }
+
+  /**
+   * Update current date display
+   */
+  updateCurrentDate() {
+    const currentDateEl = document.getElementById('currentDate');
+    if (currentDateEl) {
+      currentDateEl.textContent = this.formatDate(this.currentDate, 'long');
+    }
+  }
+
+  /**
+   * Show setup screen
+   */
+  showSetupScreen() {
+    document.getElementById('setupScreen').classList.remove('hidden');
+    document.getElementById('appScreen').classList.add('hidden');
+  }
+
+  /**
+   * Show main app screen - UPDATED VERSION
+   */
+  showAppScreen() {
+    document.getElementById('setupScreen').classList.add('hidden');
+    document.getElementById('appScreen').classList.remove('hidden');
+
+    // Initialize default milestones when showing app
+    this.initializeDefaultMilestones();
+  }
+
+  /**
+   * Show success message
+   */
+  showSuccess(message, duration = 3000) {
+    // Remove existing success messages
+    const existingMessages = document.querySelectorAll('.success-message');
+    existingMessages.forEach((msg) => msg.remove());
+
+    // Create new success message
+    const successEl = document.createElement('div');
+    successEl.className = 'success-message';
+    successEl.textContent = message;
+
+    document.body.appendChild(successEl);
+
+    // Show message
+    setTimeout(() => {
+      successEl.classList.add('show');
+    }, 100);
+
+    // Hide and remove message
+    setTimeout(() => {
+      successEl.classList.remove('show');
+      setTimeout(() => {
+        if (successEl.parentNode) {
+          successEl.parentNode.removeChild(successEl);
+        }
+      }, 300);
+    }, duration);
+  }
+
+  /**
+   * Show error message
+   */
+  showError(message) {
+    alert(`Error: ${message}`);
+  }
+
+  /**
+   * Show processing indicator
+   */
+  showProcessing(message = 'Processing...') {
+    const processingEl = document.getElementById('processingStatus');
+    const iconEl = processingEl?.querySelector('.processing-icon');
+    const textEl = processingEl?.querySelector('.processing-text');
+
+    if (processingEl && iconEl && textEl) {
+      iconEl.textContent = '⏳';
+      textEl.textContent = message;
+      processingEl.className = 'processing-status processing';
+      processingEl.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Hide processing indicator
+   */
+  hideProcessing() {
+    const processingEl = document.getElementById('processingStatus');
+    if (processingEl) {
+      processingEl.classList.add('hidden');
+      processingEl.className = 'processing-status hidden';
+    }
+  }
+
+  /**
+   * Show processing success briefly
+   */
+  showProcessingSuccess(message = 'Complete!', duration = 2000) {
+    const processingEl = document.getElementById('processingStatus');
+    const iconEl = processingEl?.querySelector('.processing-icon');
+    const textEl = processingEl?.querySelector('.processing-text');
+
+    if (processingEl && iconEl && textEl) {
+      iconEl.textContent = '✅';
+      textEl.textContent = message;
+      processingEl.className = 'processing-status success';
+      processingEl.classList.remove('hidden');
+
+      setTimeout(() => {
+        this.hideProcessing();
+      }, duration);
+    }
+  }
+
+  /**
+   * Show processing error briefly
+   */
+  showProcessingError(message = 'Error occurred', duration = 3000) {
+    const processingEl = document.getElementById('processingStatus');
+    const iconEl = processingEl?.querySelector('.processing-icon');
+    const textEl = processingEl?.querySelector('.processing-text');
+
+    if (processingEl && iconEl && textEl) {
+      iconEl.textContent = '❌';
+      textEl.textContent = message;
+      processingEl.className = 'processing-status error';
+      processingEl.classList.remove('hidden');
+
+      setTimeout(() => {
+        this.hideProcessing();
+      }, duration);
+    }
+  }
+
+  /**
+   * Export data as JSON
+   */
+  exportData() {
+    const exportData = DataSchema.createExport('complete', {
+      user: this.currentUser,
+      dailyLogs: this.dailyLogs,
+      streaks: this.streaks,
+      customRewards: this.customRewards,
+      achievements: this.achievements,
+      settings: this.settings,
+    });
+
+    const dataStr = JSON.stringify(exportData, null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `bribeYourselfFit_backup_${DateUtils.today()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    this.showSuccess('Data exported successfully!');
+  }
+
+  /**
+   * Reset all data (updated version)
+   */
+  async resetAllData() {
+    if (
+      !confirm(
+        'This will delete ALL data including your profile, logs, and achievements. This cannot be undone. Are you sure?'
+      )
+    ) {
+      return;
+    }
+
+    if (!confirm('Really sure? This will permanently delete everything!')) {
+      return;
+    }
+
+    // Clear stored fitness data, then settings and theme from localStorage
+    try {
+      await this.storage.clear();
+    } catch (error) {
+      console.error('Error clearing storage:', error);
+    }
+    ['byf_settings', 'byf_theme'].forEach((key) =>
+      localStorage.removeItem(key)
+    );
+
+    // Reset app state
+    this.currentUser = null;
+    this.dailyLogs = {};
+    this.streaks = {};
+    this.customRewards = [];
+    this.achievements = [];
+    this.settings = this.getDefaultSettings(); // Add this line
+
+    this.showSuccess('All data has been reset. Redirecting to setup...');
+
+    // Refresh page after short delay
+    setTimeout(() => {
+      location.reload();
+    }, 2000);
+  }
+
+  /**
+   * Get app statistics for debugging/info
+   */
+  getAppStats() {
+    const startTime = performance.now(); // Add this line
+    const totalLogs = Object.keys(this.dailyLogs).length;
+    const weightLogs = Object.values(this.dailyLogs).filter(
+      (log) => log.weight !== null
+    ).length;
+    const totalExerciseMinutes = Object.values(this.dailyLogs).reduce(
+      (sum, log) => sum + (log.exerciseMinutes || 0),
+      0
+    );
+    const totalSteps = Object.values(this.dailyLogs).reduce(
+      (sum, log) => sum + (log.steps || 0),
+      0
+    );
+    const totalWater = Object.values(this.dailyLogs).reduce(
+      (sum, log) => sum + (log.water || 0),
+      0
+    );
+
+    const stats = {
+      profileCreated: this.currentUser?.setupDate,
+      totalDaysLogged: totalLogs,
+      weightEntriesLogged: weightLogs,
+      currentStreak: this.streaks.overall,
+      longestStreak: Math.max(...Object.values(this.streaks.best)),
+      totalExerciseMinutes,
+      totalSteps,
+      totalWaterLiters: totalWater,
+      achievementsUnlocked: this.achievements.length,
+      customRewards: this.customRewards.length,
+    };
+
+    if (this.currentUser) {
+      stats.weightProgress = {
+        starting: this.currentUser.startingWeight,
+        current: this.currentUser.currentWeight,
+        goal: this.currentUser.goalWeight,
+        lost: this.currentUser.startingWeight - this.currentUser.currentWeight,
+        remaining: Math.abs(
+          this.currentUser.currentWeight - this.currentUser.goalWeight
+        ),
+      };
+    }
 
-    // Update chart button states
-    document.querySelectorAll('.chart-btn').forEach((btn) => {
-      if (
-        (btn.dataset.period && parseInt(btn.dataset.period) === period) ||
-        (btn.dataset.period === 'all' && period === 'all')
-      ) {
-        btn.classList.add('active');
-      } else {
-        btn.classList.remove('active');
+    const loadTime = performance.now() - startTime;
+    stats.performanceMs = Math.round(loadTime * 100) / 100;
+
+    console.table(stats);
+    return stats;
+  }
+
+  /**
+   * Reset functions for danger zone
+   */
+  resetStreaks() {
+    if (!this.canSave()) return;
+    if (
+      !confirm(
+        'This will reset all your streaks to 0 and start counting again from today. Continue?'
+      )
+    )
+      return;
+
+    // Streaks are derived from the logs, so ignore everything before today
+    this.currentUser.streakResetDate = this.currentDate;
+    this.recalculateStreaks();
+    this.saveData();
+    this.updateDashboard();
+    this.showSuccess('All streaks have been reset');
+  }
+
+  clearTodaysLog() {
+    if (!this.canSave()) return;
+    if (!confirm("This will clear today's fitness log. Continue?")) return;
+
+    delete this.dailyLogs[this.currentDate];
+    this.updateCurrentWeightFromLogs();
+    this.recalculateStreaks();
+    this.saveDailyLog(this.currentDate);
+    this.saveData();
+    this.updateDashboard();
+    this.showSuccess("Today's log has been cleared");
+  }
+
+  resetProfile() {
+    if (!this.canSave()) return;
+    if (!confirm('This will reset your profile but keep your logs. Continue?'))
+      return;
+
+    // Save current logs and achievements
+    const savedLogs = { ...this.dailyLogs };
+    const savedAchievements = [...this.achievements];
+
+    // Reset to setup screen
+    this.currentUser = null;
+    this.saveData();
+    this.showSetupScreen();
+
+    this.showSuccess('Profile reset. Please set up your goals again.');
+  }
+
+  resetLogs() {
+    if (!this.canSave()) return;
+    if (
+      !confirm(
+        'This will delete ALL daily logs but keep your profile. Continue?'
+      )
+    )
+      return;
+    if (!confirm('Are you sure? This cannot be undone!')) return;
+
+    this.dailyLogs = {};
+    this.streaks = this.initializeStreaks();
+    this.achievements = [];
+    this.saveAllDailyLogs();
+    this.saveData();
+    this.updateDashboard();
+    this.showSuccess('All daily logs have been cleared');
+  }
+
+  /**
+   * Debug method to check form and data state
+   */
+  debugFormState() {
+    console.log('=== FORM DEBUG INFO ===');
+    console.log('Current date:', this.currentDate);
+    console.log("Today's log:", this.dailyLogs[this.currentDate]);
+    console.log('All daily logs:', this.dailyLogs);
+
+    // Check form elements
+    const weightInput = document.getElementById('todayWeight');
+    const stepsInput = document.getElementById('todaySteps');
+    const waterInput = document.getElementById('todayWater');
+
+    console.log('Form elements found:', {
+      weight: !!weightInput,
+      steps: !!stepsInput,
+      water: !!waterInput,
+    });
+
+    console.log('Form values:', {
+      weight: weightInput?.value,
+      steps: stepsInput?.value,
+      water: waterInput?.value,
+    });
+
+    console.log('Exercise sessions:', this.getFormExerciseSessions());
+
+    console.log(
+      'Wellness checkboxes:',
+      Array.from(document.querySelectorAll('.wellness-checkbox:checked')).map(
+        (cb) => cb.dataset.wellness
+      )
+    );
+    console.log('=====================');
+  }
+}
+
+// Initialize the application when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  // Create global app instance
+  window.app = new BribeYourselfFit();
+
+  // Add some helpful global functions for development
+  window.exportData = () => app.exportData();
+  window.resetData = () => app.resetAllData();
+  window.getStats = () => app.getAppStats();
+  window.debugForm = () => app.debugFormState();
+
+  // Add import function handler
+  window.handleFileImport = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      app.importData(file);
+    }
+  };
+
+  console.log('🎉 BribeYourselfFit initialized successfully!');
+  console.log('Development commands available:');
+  console.log('- exportData() - Export your data');
+  console.log('- resetData() - Reset all data (careful!)');
+  console.log('- getStats() - View app statistics');
+  console.log('- debugForm() - Debug form state and data');
+});
+
+/**
+ * Handle keyboard shortcuts for accessibility
+ */
+document.addEventListener('keydown', (e) => {
+  if (e.altKey) {
+    switch (e.key) {
+      case '1':
+        e.preventDefault();
+        if (window.app) window.app.switchTab('dashboard');
+        break;
+      case '2':
+        e.preventDefault();
+        if (window.app) window.app.switchTab('charts');
+        break;
+      case '3':
+        e.preventDefault();
+        if (window.app) window.app.switchTab('rewards');
+        break;
+      case '4':
+        e.preventDefault();
+        if (window.app) window.app.switchTab('settings');
+        break;
+      case 't':
+        e.preventDefault();
+        if (window.app) window.app.toggleTheme();
+        break;
+    }
+  }
+});
+
+/**
+ * Handle window beforeunload to prevent data loss
+ */
+window.addEventListener('beforeunload', (e) => {
+  // Check if there are unsaved changes (basic check)
+  const forms = document.querySelectorAll('form');
+  let hasUnsavedData = false;
+
+  forms.forEach((form) => {
+    const formData = new FormData(form);
+    for (let [key, value] of formData.entries()) {
+      if (value && value.toString().trim() !== '') {
+        hasUnsavedData = true;
+        break;
+      }
+    }
+  });
+
+  if (hasUnsavedData) {
+    e.preventDefault();
+    e.returnValue = 'You have unsaved data. Are you sure you want to leave?';
+    return e.returnValue;
+  }
+});
+
+/**
+ * Performance monitoring
+ */
+const performanceObserver = new PerformanceObserver((list) => {
+  const entries = list.getEntries();
+  entries.forEach((entry) => {
+    if (entry.entryType === 'navigation') {
+      console.log(
+        `Page load time: ${entry.loadEventEnd - entry.loadEventStart}ms`
+      );
+    }
+  });
+});
+
+if (typeof PerformanceObserver !== 'undefined') {
+  performanceObserver.observe({ entryTypes: ['navigation'] });
+}
+
+/**
+ * Error handling for uncaught errors
+ */
+window.addEventListener('error', (e) => {
+  console.error('Uncaught error:', e.error);
+  if (window.app) {
+    window.app.showError(
+      'An unexpected error occurred. Please refresh the page.'
+    );
+  }
+});
+
+window.addEventListener('unhandledrejection', (e) => {
+  console.error('Unhandled promise rejection:', e.reason);
+  if (window.app) {
+    window.app.showError('An unexpected error occurred. Please try again.');
+  }
+});
+
+// Fix for PWA install prompt errors
+BribeYourselfFit.prototype.showInstallPrompt = function () {
+  if (this.deferredPrompt) {
+    // Only show install button if user hasn't dismissed it
+    const existingBtn = document.getElementById('pwa-install-btn');
+    if (existingBtn) return; // Don't create multiple buttons
+
+    const installBtn = document.createElement('button');
+    installBtn.id = 'pwa-install-btn';
+    installBtn.textContent = '📱 Install App';
+    installBtn.className = 'btn btn-primary';
+    installBtn.style.cssText =
+      'position: fixed; bottom: 20px; right: 20px; z-index: 1000; opacity: 0.9;';
+
+    installBtn.addEventListener('click', async () => {
+      try {
+        if (this.deferredPrompt) {
+          this.deferredPrompt.prompt();
+          const result = await this.deferredPrompt.userChoice;
+          console.log('PWA install result:', result);
+          this.deferredPrompt = null;
+          installBtn.remove();
+        }
+      } catch (error) {
+        console.error('Install prompt error:', error);
+        installBtn.remove();
       }
     });
 
-    // Re-render charts
-    this.renderWeightChart();
-    this.renderActivityChart();
+    // Auto-remove after 15 seconds
+    setTimeout(() => {
+      if (installBtn.parentNode) {
+        installBtn.remove();
+      }
+    }, 15000);
+
+    document.body.appendChild(installBtn);
   }
+};
 
-  /**
-   * Render weight progress chart using Canvas - FIXED SIZING
-   */
-  renderWeightChart() {
-    const canvas = document.getElementById('weightChart');
-    if (!canvas) return;
+// Debug function to check form state before saving
+BribeYourselfFit.prototype.debugFormSave = function () {
+  console.log('=== FORM SAVE DEBUG ===');
+  console.log('Current date:', this.currentDate);
+  console.log('Form elements:', {
+    weight: document.getElementById('todayWeight')?.value,
+    steps: document.getElementById('todaySteps')?.value,
+    exercise: this.getFormExerciseSessions(),
+    water: document.getElementById('todayWater')?.value,
+  });
+  console.log('Current user:', this.currentUser);
+  console.log('Daily logs before save:', Object.keys(this.dailyLogs).length);
+  console.log('=====================');
+};
 
-    // Force canvas to have dimensions BEFORE getting context
-    const container = canvas.parentElement;
-    const isMobile = window.innerWidth <= 768;
+/**
+ * Utility functions for date manipulation and formatting
+ */
+const DateUtils = {
+  // Indexed like Date.getDay(); the weekStart setting uses these names
+  DAY_NAMES: [
+    'sunday',
+    'monday',
+    'tuesday',
+    'wednesday',
+    'thursday',
+    'friday',
+    'saturday',
+  ],
 
-    // Use lower resolution on mobile for better performance
-    const pixelRatio = isMobile ? 1 : window.devicePixelRatio || 1;
-    const containerWidth = container.offsetWidth || (isMobile ? 350 : 800);
-    const containerHeight = container.offsetHeight || (isMobile ? 250 : 400);
+  /**
+   * Local calendar day of a Date as a YYYY-MM-DD key
+   */
+  toDateKey(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    const month = pad(date.getMonth() + 1);
+    return `${date.getFullYear()}-${month}-${pad(date.getDate())}`;
+  },
 
-    // Set canvas size with pixel ratio optimization
-    canvas.width = containerWidth * pixelRatio;
-    canvas.height = containerHeight * pixelRatio;
-    canvas.style.width = containerWidth + 'px';
-    canvas.style.height = containerHeight + 'px';
+  /**
+   * Today's key in the user's timezone
+   * (toISOString() would give the UTC day, which is tomorrow in the
+   * evening west of UTC)
+   */
+  today() {
+    return this.toDateKey(new Date());
+  },
 
-    const ctx = canvas.getContext('2d');
-    ctx.scale(pixelRatio, pixelRatio);
-    const width = containerWidth;
-    const height = containerHeight;
+  /**
+   * Local midnight of a YYYY-MM-DD key
+   */
+  parseDateKey(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  },
 
-    // Rest of your chart code continues here...
-    const padding = { top: 40, right: 40, bottom: 60, left: 60 };
-    // ... continue with existing chart code
+  /**
+   * Key of the day a number of calendar days away
+   * Steps by calendar day rather than 24 hours, so DST changes can't skip
+   * or repeat a day
+   */
+  addDays(dateString, days) {
+    const date = this.parseDateKey(dateString);
+    date.setDate(date.getDate() + days);
+    return this.toDateKey(date);
+  },
 
-    // Get weight data - ADD THIS HERE
-    const weightData = this.getWeightData();
-    if (weightData.length === 0) {
-      this.drawNoDataMessage(ctx, width, height, 'No weight data available');
-      return;
-    }
+  /**
+   * Signed number of calendar days from one key to another
+   */
+  diffDays(fromDate, toDate) {
+    return Math.round(
+      (this.parseDateKey(toDate) - this.parseDateKey(fromDate)) / 86400000
+    );
+  },
 
-    // Clear canvas
-    ctx.clearRect(0, 0, width, height);
+  /**
+   * Milliseconds from now until the next local midnight
+   */
+  msUntilNextDay(now = new Date()) {
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight - now;
+  },
 
-    // Calculate scales
-    const weightUnit = this.settings?.weightUnit || 'lbs';
-    const weights = weightData.map((d) => d.weight);
-
-    // Convert goal and starting weights for proper chart scaling
-    const goalWeightForChart =
-      weightUnit === 'kg'
-        ? this.currentUser.goalWeight * 0.453592
-        : this.currentUser.goalWeight;
-    const startingWeightForChart =
-      weightUnit === 'kg'
-        ? this.currentUser.startingWeight * 0.453592
-        : this.currentUser.startingWeight;
+  /**
+   * Days between two YYYY-MM-DD dates, in either order
+   */
+  daysBetween(date1, date2) {
+    return Math.abs(this.diffDays(date1, date2));
+  },
 
-    const minWeight = Math.min(...weights, goalWeightForChart) - 5;
-    const maxWeight = Math.max(...weights, startingWeightForChart) + 5;
+  /**
+   * Check if date is today
+   */
+  isToday(dateString) {
+    return dateString === this.today();
+  },
 
-    console.log(
-      `📊 Chart scale: ${minWeight.toFixed(1)} - ${maxWeight.toFixed(
-        1
-      )} ${weightUnit}`
-    );
+  /**
+   * Week of the year for a YYYY-MM-DD date
+   */
+  getWeekNumber(dateString, weekStart = 'sunday') {
+    const date = this.parseDateKey(dateString);
+    const firstDayOfYear = new Date(date.getFullYear(), 0, 1);
+    const pastDaysOfYear = (date - firstDayOfYear) / 86400000;
+    const leadingDays =
+      (firstDayOfYear.getDay() - this.getWeekStartIndex(weekStart) + 7) % 7;
+    return Math.ceil((pastDaysOfYear + leadingDays + 1) / 7);
+  },
 
-    // Calculate chart area dimensions
-    const chartWidth = width - padding.left - padding.right;
-    const chartHeight = height - padding.top - padding.bottom;
+  /**
+   * Day index (0 = Sunday, like Date.getDay) of a weekStart setting
+   */
+  getWeekStartIndex(weekStart) {
+    return Math.max(this.DAY_NAMES.indexOf(weekStart), 0);
+  },
 
-    // Define scale functions
-    const xScale = (index) =>
-      padding.left + (index / (weightData.length - 1)) * chartWidth;
+  /**
+   * First day of the week containing a YYYY-MM-DD date
+   * @param {string} weekStart - Day name from settings, e.g. 'monday'
+   */
+  getWeekStart(dateString, weekStart = 'sunday') {
+    const day = this.parseDateKey(dateString).getDay();
+    const offset = (day - this.getWeekStartIndex(weekStart) + 7) % 7;
+    return this.addDays(dateString, -offset);
+  },
+};
 
-    const yScale = (weight) =>
-      padding.top +
-      (1 - (weight - minWeight) / (maxWeight - minWeight)) * chartHeight;
+// Make DateUtils available globally
+window.DateUtils = DateUtils;
 
-    // Draw grid lines
-    ctx.strokeStyle = getComputedStyle(
-      document.documentElement
-    ).getPropertyValue('--border-color');
-    ctx.lineWidth = 1;
+/**
+ * Date display - formats dates per the dateFormat setting
+ *
+ * US and EU use their usual day/month order, ISO uses YYYY-MM-DD and
+ * 'locale' follows the browser's language. Styles:
+ * - short: 10/19/2026, 19/10/2026, 2026-10-19
+ * - medium: Oct 19, 2026, 19 Oct 2026, 2026-10-19
+ * - long: Monday, October 19, 2026, Monday 19 October 2026, Monday, 2026-10-19
+ * - dayMonth (chart axes): Oct 19, 19 Oct, 10-19
+ * - weekday: medium with a short weekday, e.g. Mon, Oct 19, 2026
+ */
+const DateFormat = {
+  LOCALES: { US: 'en-US', EU: 'en-GB', locale: undefined },
+
+  STYLES: {
+    short: { year: 'numeric', month: '2-digit', day: '2-digit' },
+    medium: { year: 'numeric', month: 'short', day: 'numeric' },
+    long: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
+    dayMonth: { month: 'short', day: 'numeric' },
+    weekday: {
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    },
+  },
 
-    // Horizontal grid lines
-    for (let i = 0; i <= 5; i++) {
-      const weight = minWeight + (maxWeight - minWeight) * (i / 5);
-      const y = yScale(weight);
-      ctx.beginPath();
-      ctx.moveTo(padding.left, y);
-      ctx.lineTo(width - padding.right, y);
-      ctx.stroke();
+  /**
+   * Date for a YYYY-MM-DD key (local midnight), timestamp or Date
+   */
+  toDate(value) {
+    if (value instanceof Date) return value;
+    return /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? DateUtils.parseDateKey(value)
+      : new Date(value);
+  },
 
-      // Weight labels
-      ctx.fillStyle = getComputedStyle(
-        document.documentElement
-      ).getPropertyValue('--text-secondary');
-      ctx.font = '12px sans-serif';
-      ctx.textAlign = 'right';
-      const weightUnit = this.settings?.weightUnit || 'lbs';
-      ctx.fillText(
-        `${weight.toFixed(0)} ${weightUnit}`,
-        padding.left - 10,
-        y + 4
-      );
+  /**
+   * Format a date for display
+   * @param {string|Date} value - YYYY-MM-DD key, timestamp or Date
+   * @param {string} format - dateFormat setting: US, EU, ISO or locale
+   * @param {string} style - short, medium, long, dayMonth or weekday
+   */
+  format(value, format = 'US', style = 'medium') {
+    const date = this.toDate(value);
+    if (isNaN(date)) return '';
+    const options = this.STYLES[style] || this.STYLES.medium;
+
+    if (format === 'ISO') {
+      const key = DateUtils.toDateKey(date);
+      const text = style === 'dayMonth' ? key.slice(5) : key;
+      if (!options.weekday) return text;
+      const weekday = date.toLocaleDateString('en-US', {
+        weekday: options.weekday,
+      });
+      return `${weekday}, ${text}`;
     }
 
-    // Draw goal line
-    if (goalWeightForChart >= minWeight && goalWeightForChart <= maxWeight) {
-      const goalY = yScale(goalWeightForChart);
-      ctx.strokeStyle = getComputedStyle(
-        document.documentElement
-      ).getPropertyValue('--accent-success');
-      ctx.lineWidth = 2;
-      ctx.setLineDash([5, 5]);
-      ctx.beginPath();
-      ctx.moveTo(padding.left, goalY);
-      ctx.lineTo(width - padding.right, goalY);
-      ctx.stroke();
-      ctx.setLineDash([]);
+    return date.toLocaleDateString(this.getLocale(format), options);
+  },
 
-      // Goal label
-      ctx.fillStyle = getComputedStyle(
-        document.documentElement
-      ).getPropertyValue('--accent-success');
-      ctx.font = 'bold 12px sans-serif';
-      ctx.textAlign = 'left';
-      const goalWeight =
-        weightUnit === 'kg'
-          ? (this.currentUser.goalWeight * 0.453592).toFixed(0)
-          : this.currentUser.goalWeight;
-      ctx.fillText(
-        `Goal: ${goalWeight} ${weightUnit}`,
-        width - padding.right - 100,
-        goalY - 10
-      );
-    }
+  /**
+   * Month or weekday name for labels, e.g. { month: 'short' } gives "Oct"
+   * ISO has no names of its own, so it uses English ones as format() does
+   */
+  name(value, format = 'US', options = { month: 'short' }) {
+    const date = this.toDate(value);
+    if (isNaN(date)) return '';
+    return date.toLocaleDateString(this.getLocale(format), options);
+  },
 
-    // Draw weight line
-    ctx.strokeStyle = getComputedStyle(
-      document.documentElement
-    ).getPropertyValue('--accent-primary');
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    weightData.forEach((data, index) => {
-      const x = xScale(index);
-      const y = yScale(data.weight);
-      if (index === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
-    });
-    ctx.stroke();
+  /**
+   * Locale for a dateFormat setting; undefined means the browser's own
+   */
+  getLocale(format) {
+    return format in this.LOCALES ? this.LOCALES[format] : 'en-US';
+  },
 
-    // Draw data points
-    ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue(
-      '--accent-primary'
-    );
-    weightData.forEach((data, index) => {
-      const x = xScale(index);
-      const y = yScale(data.weight);
-      ctx.beginPath();
-      ctx.arc(x, y, 4, 0, Math.PI * 2);
-      ctx.fill();
+  /**
+   * Date and time of a timestamp, e.g. "Oct 19, 2026, 9:15 PM"
+   * ISO uses a 24-hour clock
+   */
+  formatDateTime(value, format = 'US') {
+    const date = this.toDate(value);
+    if (isNaN(date)) return '';
+    const locale = format in this.LOCALES ? this.LOCALES[format] : 'en-GB';
+    const time = date.toLocaleTimeString(locale, {
+      hour: 'numeric',
+      minute: '2-digit',
     });
-
-    // Draw trend indicator
-    this.updateWeightTrend(weightData);
-  }
+    return `${this.format(date, format)}, ${time}`;
+  },
 
   /**
-   * Get filtered weight data based on chart period with unit conversion
+   * CSV date format matching the setting; the locale setting exports ISO
+   * since the importer only reads these three
    */
-  getWeightData() {
-    const weightUnit = this.settings?.weightUnit || 'lbs';
-
-    const weightEntries = Object.values(this.dailyLogs)
-      .filter((log) => log.weight !== null)
-      .map((log) => {
-        const displayWeight =
-          weightUnit === 'kg' ? log.weight * 0.453592 : log.weight;
-        return {
-          date: log.date,
-          weight: displayWeight,
-        };
-      })
-      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  csvDateFormat(format) {
+    return { US: 'MM/DD/YYYY', EU: 'DD/MM/YYYY' }[format] || 'YYYY-MM-DD';
+  },
+};
 
-    if (this.chartPeriod === 'all') {
-      return weightEntries;
-    }
+// Make DateFormat available globally
+window.DateFormat = DateFormat;
 
-    const cutoffDate = this.getDateOffset(this.currentDate, -this.chartPeriod);
-    return weightEntries.filter((entry) => entry.date >= cutoffDate);
-  }
+/**
+ * Weight units - weights are stored in the unit the user has chosen
+ *
+ * The profile's weightUnit records the unit of every stored weight: logs,
+ * starting/current/goal weight, weight-loss reward thresholds and claimed
+ * weight achievements. Switching units converts all of them. Claims are
+ * matched to milestones by an id in lbs, so they survive switching back.
+ */
+const WeightUnits = {
+  KG_PER_LB: 0.453592,
+
+  UNITS: {
+    lbs: {
+      label: 'lbs',
+      name: 'pounds',
+      range: { min: 50, max: 1000 },
+      minGoalGap: 1,
+      milestones: { regular: 10, bonus: 25, major: 50 },
+    },
+    kg: {
+      label: 'kg',
+      name: 'kilograms',
+      range: { min: 22.7, max: 453.6 },
+      minGoalGap: 0.5,
+      milestones: { regular: 5, bonus: 10, major: 25 },
+    },
+  },
 
   /**
-   * Update weight trend indicator
+   * Definition of a unit; unknown units count as lbs
    */
-  updateWeightTrend(weightData) {
-    const trendEl = document.getElementById('weightTrend');
-    if (!trendEl || weightData.length < 2) return;
+  get(unit) {
+    return this.UNITS[unit] || this.UNITS.lbs;
+  },
 
-    const firstWeight = weightData[0].weight;
-    const lastWeight = weightData[weightData.length - 1].weight;
-    const change = lastWeight - firstWeight;
+  /**
+   * Convert a weight between units, rounded to a number of decimals
+   */
+  convert(weight, fromUnit, toUnit, decimals = 1) {
+    if (!weight || fromUnit === toUnit) return weight;
 
-    if (Math.abs(change) < 0.1) {
-      trendEl.textContent = 'Stable';
-      trendEl.style.color = 'var(--text-secondary)';
-    } else if (change < 0) {
-      trendEl.textContent = `↓ ${Math.abs(change).toFixed(1)} lbs`;
-      trendEl.style.color = 'var(--accent-success)';
-    } else {
-      trendEl.textContent = `↑ ${change.toFixed(1)} lbs`;
-      trendEl.style.color = 'var(--accent-danger)';
-    }
-  }
+    const factor = 10 ** decimals;
+    const converted =
+      fromUnit === 'lbs' && toUnit === 'kg'
+        ? weight * this.KG_PER_LB
+        : fromUnit === 'kg' && toUnit === 'lbs'
+        ? weight / this.KG_PER_LB
+        : weight;
+    return Math.round(converted * factor) / factor;
+  },
 
   /**
-   * Render activity summary chart using Canvas
+   * Weight with its unit for display, e.g. "81.6 kg"
    */
-  renderActivityChart() {
-    const canvas = document.getElementById('activityChart');
-    if (!canvas) return;
-
-    // Force canvas to have dimensions BEFORE getting context
-    const container = canvas.parentElement;
-    const isMobile = window.innerWidth <= 768;
+  format(weight, unit, decimals = 1) {
+    const factor = 10 ** decimals;
+    return `${Math.round(weight * factor) / factor} ${this.get(unit).label}`;
+  },
 
-    // Use lower resolution on mobile for better performance
-    const pixelRatio = isMobile ? 1 : window.devicePixelRatio || 1;
-    const containerWidth = container.offsetWidth || (isMobile ? 350 : 800);
-    const containerHeight = container.offsetHeight || (isMobile ? 250 : 400);
+  /**
+   * Weight in lbs at one decimal, for matching weights saved in different
+   * units; the decimal absorbs the rounding of converting there and back
+   */
+  toPounds(weight, unit) {
+    const pounds = unit === 'kg' ? weight / this.KG_PER_LB : weight;
+    return Math.round(pounds * 10) / 10;
+  },
 
-    // Set canvas size with pixel ratio optimization
-    canvas.width = containerWidth * pixelRatio;
-    canvas.height = containerHeight * pixelRatio;
-    canvas.style.width = containerWidth + 'px';
-    canvas.style.height = containerHeight + 'px';
+  /**
+   * Id of a milestone that is the same whatever the weight unit, e.g.
+   * "weight-22" for 10 kg or "combo-30-20" for a 30 day streak + 20 lbs
+   */
+  milestoneId(type, value, unit) {
+    if (type === 'weight') return `weight-${this.toPounds(value, unit)}`;
+    if (type === 'combo') {
+      const [streakDays, weightLoss] = String(value).split('-');
+      return `combo-${streakDays}-${this.toPounds(Number(weightLoss), unit)}`;
+    }
+    return `${type}-${value}`;
+  },
 
-    // Scale context for crisp rendering
-    const ctx = canvas.getContext('2d');
-    ctx.scale(pixelRatio, pixelRatio);
-    const width = containerWidth;
-    const height = containerHeight;
+  /**
+   * Unit of the weights in a snapshot or backup
+   * Data from before weights were stored per unit is in lbs
+   */
+  ofSnapshot(data) {
+    return (data.user && data.user.weightUnit) || data.weightUnit || 'lbs';
+  },
 
-    // Get activity data
-    const activityData = this.getActivityData();
-    if (activityData.length === 0) {
-      this.drawNoDataMessage(ctx, width, height, 'No activity data available');
-      return;
+  /**
+   * Copy of a snapshot with every stored weight in another unit
+   * Stored values keep two decimals so switching back and forth doesn't
+   * drift at the displayed precision
+   */
+  convertSnapshot(data, toUnit) {
+    const fromUnit = this.ofSnapshot(data);
+    const converted = JSON.parse(JSON.stringify(data));
+    if (converted.user) converted.user.weightUnit = toUnit;
+    else converted.weightUnit = toUnit;
+    if (fromUnit === toUnit) return converted;
+
+    const convert = (weight) =>
+      typeof weight === 'number'
+        ? this.convert(weight, fromUnit, toUnit, 2)
+        : weight;
+
+    if (converted.user) {
+      ['startingWeight', 'currentWeight', 'goalWeight'].forEach((field) => {
+        converted.user[field] = convert(converted.user[field]);
+      });
     }
+    Object.values(converted.dailyLogs || {}).forEach((log) => {
+      log.weight = convert(log.weight);
+    });
+    (converted.customRewards || []).forEach((reward) => {
+      reward.weightLoss = convert(reward.weightLoss);
+    });
+    // Claims keep their milestoneId, which doesn't depend on the unit
+    (converted.achievements || []).forEach((achievement) => {
+      if (achievement.type === 'weight') {
+        achievement.value = convert(achievement.value);
+      } else if (achievement.type === 'combo') {
+        const [streakDays, weightLoss] = String(achievement.value).split('-');
+        achievement.value = `${streakDays}-${convert(Number(weightLoss))}`;
+      }
+      achievement.claimedWeight = convert(achievement.claimedWeight);
+    });
+    return converted;
+  },
+};
 
-    // Clear canvas
-    ctx.clearRect(0, 0, width, height);
+// Make WeightUnits available globally
+window.WeightUnits = WeightUnits;
 
-    // Define chart dimensions and padding
-    const padding = { top: 40, right: 40, bottom: 80, left: 60 };
-    const chartWidth = width - padding.left - padding.right;
-    const chartHeight = height - padding.top - padding.bottom;
+/**
+ * Water units - water is stored in liters and converted for entry, goals,
+ * charts and exports in the unit the user has chosen
+ */
+const WaterUnits = {
+  UNITS: {
+    L: {
+      label: 'L',
+      name: 'liters',
+      csvName: 'liters',
+      liters: 1,
+      decimals: 1,
+    },
+    floz: {
+      label: 'fl oz',
+      name: 'fluid ounces',
+      csvName: 'fl_oz',
+      liters: 0.0295735,
+      decimals: 0,
+    },
+    cups: {
+      label: 'cups',
+      name: 'cups',
+      csvName: 'cups',
+      liters: 0.236588,
+      decimals: 1,
+    },
+    glasses: {
+      label: 'glasses',
+      name: 'glasses (250 ml)',
+      csvName: 'glasses',
+      liters: 0.25,
+      decimals: 1,
+    },
+  },
 
-    // Calculate bar dimensions
-    const barWidth = (chartWidth / activityData.length) * 0.8;
-    const barSpacing = (chartWidth / activityData.length) * 0.2;
+  // Daily goal range, in liters
+  GOAL_RANGE: { min: 0.5, max: 10 },
 
-    // Find max values for scaling
-    const maxSteps = Math.max(
-      ...activityData.map((d) => d.steps),
-      this.currentUser.dailySteps
-    );
-    const maxExercise = Math.max(
-      ...activityData.map((d) => d.exercise),
-      this.currentUser.dailyExercise
-    );
-    const maxWater = Math.max(
-      ...activityData.map((d) => d.water),
-      this.currentUser.dailyWater
-    );
+  // Dashboard buttons that add to today's water
+  QUICK_ADD: [
+    { label: '+1 glass', liters: 0.25 },
+    { label: '+1 cup', liters: 0.236588 },
+    { label: '+500 ml', liters: 0.5 },
+    { label: '+1 L', liters: 1 },
+  ],
 
-    // Draw goal lines
-    this.drawGoalLines(ctx, padding, chartWidth, chartHeight, {
-      steps: this.currentUser.dailySteps / maxSteps,
-      exercise: this.currentUser.dailyExercise / maxExercise,
-      water: this.currentUser.dailyWater / maxWater,
-    });
+  /**
+   * Definition of a unit; unknown units count as liters
+   */
+  get(unit) {
+    return this.UNITS[unit] || this.UNITS.L;
+  },
 
-    // Draw bars
-    activityData.forEach((data, index) => {
-      const x = padding.left + index * (barWidth + barSpacing) + barSpacing / 2;
+  /**
+   * Liters in an amount entered in a unit
+   */
+  toLiters(amount, unit) {
+    if (!amount) return amount;
+    return Math.round(amount * this.get(unit).liters * 1000) / 1000;
+  },
 
-      // Steps bar (normalized)
-      const stepsHeight = (data.steps / maxSteps) * chartHeight;
-      ctx.fillStyle = getComputedStyle(
-        document.documentElement
-      ).getPropertyValue('--accent-primary');
-      ctx.fillRect(
-        x,
-        padding.top + chartHeight - stepsHeight,
-        barWidth / 3,
-        stepsHeight
-      );
+  /**
+   * Amount in a unit, rounded to the unit's precision by default
+   */
+  fromLiters(liters, unit, decimals = this.get(unit).decimals) {
+    if (!liters) return liters;
+    const perUnit = this.get(unit).liters;
+    const factor = 10 ** decimals;
+    return Math.round((liters / perUnit) * factor) / factor;
+  },
 
-      // Exercise bar (normalized)
-      const exerciseHeight = (data.exercise / maxExercise) * chartHeight;
-      ctx.fillStyle = getComputedStyle(
-        document.documentElement
-      ).getPropertyValue('--accent-success');
-      ctx.fillRect(
-        x + barWidth / 3,
-        padding.top + chartHeight - exerciseHeight,
-        barWidth / 3,
-        exerciseHeight
-      );
+  /**
+   * Input step for a unit - one unit of its display precision
+   */
+  step(unit) {
+    return 1 / 10 ** this.get(unit).decimals;
+  },
 
-      // Water bar (normalized)
-      const waterHeight = (data.water / maxWater) * chartHeight;
-      ctx.fillStyle = getComputedStyle(
-        document.documentElement
-      ).getPropertyValue('--accent-warning');
-      ctx.fillRect(
-        x + (barWidth * 2) / 3,
-        padding.top + chartHeight - waterHeight,
-        barWidth / 3,
-        waterHeight
-      );
+  /**
+   * Allowed daily goal in a unit, rounded inwards so both ends are valid
+   */
+  goalRange(unit) {
+    const { liters, decimals } = this.get(unit);
+    const factor = 10 ** decimals;
+    return {
+      min: Math.ceil((this.GOAL_RANGE.min / liters) * factor) / factor,
+      max: Math.floor((this.GOAL_RANGE.max / liters) * factor) / factor,
+    };
+  },
 
-      // Date labels
-      ctx.fillStyle = getComputedStyle(
-        document.documentElement
-      ).getPropertyValue('--text-secondary');
-      ctx.font = '10px sans-serif';
-      ctx.textAlign = 'center';
-      const dateLabel = new Date(data.date).toLocaleDateString('en-US', {
-        month: 'short',
-        day: 'numeric',
-      });
-      ctx.fillText(dateLabel, x + barWidth / 2, height - padding.bottom + 20);
-    });
+  /**
+   * Water amount with its unit for display, e.g. "64 fl oz"
+   */
+  format(liters, unit) {
+    return `${this.fromLiters(liters || 0, unit) || 0} ${this.get(unit).label}`;
+  },
+
+  /**
+   * Guess the unit of a spreadsheet column from its header
+   */
+  detectUnit(header) {
+    if (/oz|ounce/i.test(header)) return 'floz';
+    if (/cup/i.test(header)) return 'cups';
+    if (/glass/i.test(header)) return 'glasses';
+    if (/lit|(^|[^a-z])l($|[^a-z])/i.test(header)) return 'L';
+    return null;
+  },
+};
 
-    // Draw legend
-    this.drawActivityLegend(ctx, width, height, padding);
+// Make WaterUnits available globally
+window.WaterUnits = WaterUnits;
 
-    // Update period indicator
-    const periodEl = document.getElementById('activityPeriod');
-    if (periodEl) {
-      periodEl.textContent =
-        this.chartPeriod === 'all'
-          ? 'All Time'
-          : `Last ${this.chartPeriod} Days`;
-    }
-  }
+/**
+ * Weight trend - smooths out day-to-day noise (water, salt) so the trend
+ * and goal projection follow real change rather than the last weigh-in
+ *
+ * Works on [{ date, weight }] sorted by date, in whatever unit the weights
+ * are stored in.
+ */
+const WeightTrend = {
+  // Share of each new weigh-in in the trend, per day since the last one
+  SMOOTHING: 0.1,
+  // Days of weigh-ins the weekly rate is fitted over
+  RATE_WINDOW_DAYS: 28,
+  MIN_RATE_POINTS: 3,
+  // Roughly a 95% band around the fitted rate
+  CONFIDENCE_Z: 1.96,
+  // Projections further out than this aren't shown as dates
+  MAX_PROJECTION_DAYS: 3 * 365,
 
   /**
-   * Draw goal lines on activity chart
+   * Entries with an exponentially weighted moving average added as trend
+   * A gap of several days counts as several steps, so one weigh-in after
+   * a break moves the trend further than a daily one
    */
-  drawGoalLines(ctx, padding, chartWidth, chartHeight, goalRatios) {
-    ctx.strokeStyle = getComputedStyle(
-      document.documentElement
-    ).getPropertyValue('--text-secondary');
-    ctx.lineWidth = 1;
-    ctx.setLineDash([3, 3]);
+  smooth(entries) {
+    let trend = null;
+    let previousDate = null;
 
-    Object.values(goalRatios).forEach((ratio) => {
-      const y = padding.top + chartHeight * (1 - ratio);
-      ctx.beginPath();
-      ctx.moveTo(padding.left, y);
-      ctx.lineTo(padding.left + chartWidth, y);
-      ctx.stroke();
+    return entries.map((entry) => {
+      if (trend === null) {
+        trend = entry.weight;
+      } else {
+        const days = Math.max(1, DateUtils.diffDays(previousDate, entry.date));
+        const weight = 1 - (1 - this.SMOOTHING) ** days;
+        trend += weight * (entry.weight - trend);
+      }
+      previousDate = entry.date;
+      return { ...entry, trend: Math.round(trend * 100) / 100 };
     });
+  },
 
-    ctx.setLineDash([]);
-  }
+  /**
+   * Change per week fitted by least squares over the last weeks of
+   * weigh-ins, with its standard error
+   * @returns {Object|null} { perWeek, standardError, points } - null with
+   *   too few weigh-ins to fit a line
+   */
+  weeklyRate(entries) {
+    if (entries.length === 0) return null;
+    const lastDate = entries[entries.length - 1].date;
+    const points = entries
+      .map((entry) => ({
+        x: DateUtils.diffDays(lastDate, entry.date),
+        y: entry.weight,
+      }))
+      .filter((point) => point.x > -this.RATE_WINDOW_DAYS);
+    if (points.length < this.MIN_RATE_POINTS) return null;
+
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    if (sxx === 0) return null;
+
+    const slope =
+      points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / sxx;
+    const residuals = points.reduce(
+      (sum, p) => sum + (p.y - (meanY + slope * (p.x - meanX))) ** 2,
+      0
+    );
+    const standardError = Math.sqrt(residuals / (n - 2) / sxx);
+
+    return {
+      perWeek: slope * 7,
+      standardError: standardError * 7,
+      points: n,
+    };
+  },
 
   /**
-   * Draw activity chart legend
+   * Projected date the trend reaches a goal weight, with the dates for the
+   * fastest and slowest rates in the confidence band
+   * @returns {Object} { status, date, earliest, latest } - status is
+   *   'reached', 'projected', 'distant' (heading there, but further out than
+   *   MAX_PROJECTION_DAYS), 'away' (trending away from the goal) or
+   *   'unknown' (not enough data); latest is null when the slow end of the
+   *   band doesn't get there within MAX_PROJECTION_DAYS
    */
-  drawActivityLegend(ctx, width, height, padding) {
-    const legendY = height - padding.bottom + 40;
-    const legendItems = [
-      { color: '--accent-primary', label: 'Steps' },
-      { color: '--accent-success', label: 'Exercise (min)' },
-      { color: '--accent-warning', label: 'Water (L)' },
-    ];
+  project(entries, goalWeight, today) {
+    const smoothed = this.smooth(entries);
+    const rate = this.weeklyRate(entries);
+    if (smoothed.length === 0) return { status: 'unknown', rate };
+
+    const { trend, date: lastDate } = smoothed[smoothed.length - 1];
+    const remaining = goalWeight - trend;
+    if (Math.abs(remaining) < 0.1) return { status: 'reached', rate, trend };
+    if (!rate) return { status: 'unknown', rate, trend };
+
+    const direction = Math.sign(remaining);
+    if (Math.sign(rate.perWeek) === -direction) {
+      return { status: 'away', rate, trend };
+    }
+
+    // Days to the goal at a weekly rate, or null if it isn't reached within
+    // MAX_PROJECTION_DAYS (a flat or reversed rate never gets there)
+    const daysAt = (perWeek) => {
+      const days = remaining / (perWeek / 7);
+      return days > 0 && days <= this.MAX_PROJECTION_DAYS
+        ? Math.ceil(days)
+        : null;
+    };
+    const margin = this.CONFIDENCE_Z * rate.standardError;
+    const expected = daysAt(rate.perWeek);
+    if (expected === null) return { status: 'distant', rate, trend };
+
+    // Projections count from the last weigh-in, but never land before today
+    const toDate = (days) => {
+      const date = DateUtils.addDays(lastDate, days);
+      return date < today ? today : date;
+    };
+    const fastest = daysAt(rate.perWeek + direction * margin);
+    const slowest = daysAt(rate.perWeek - direction * margin);
 
-    let legendX = padding.left;
-    legendItems.forEach((item) => {
-      // Color square
-      ctx.fillStyle = getComputedStyle(
-        document.documentElement
-      ).getPropertyValue(item.color);
-      ctx.fillRect(legendX, legendY, 12, 12);
+    return {
+      status: 'projected',
+      rate,
+      trend,
+      date: toDate(expected),
+      earliest: toDate(
+        fastest === null ? expected : Math.min(fastest, expected)
+      ),
+      latest: slowest === null ? null : toDate(Math.max(slowest, expected)),
+    };
+  },
+};
 
-      // Label
-      ctx.fillStyle = getComputedStyle(
-        document.documentElement
-      ).getPropertyValue('--text-primary');
-      ctx.font = '12px sans-serif';
-      ctx.textAlign = 'left';
-      ctx.fillText(item.label, legendX + 16, legendY + 9);
+// Make WeightTrend available globally
+window.WeightTrend = WeightTrend;
 
-      legendX += ctx.measureText(item.label).width + 40;
-    });
-  }
+/**
+ * Chart range - the from-to window of days the progress charts show,
+ * shared by the period buttons, the date pickers and zoom/pan gestures
+ */
+const ChartRange = {
+  // Zooming in stops at this many days
+  MIN_DAYS: 3,
 
   /**
-   * Get filtered activity data based on chart period
+   * Range of a period button: the last 7/30 days, or everything since the
+   * first log for 'all'
    */
-  getActivityData() {
-    let logs = Object.values(this.dailyLogs);
+  forPeriod(period, today, firstDate) {
+    return {
+      from:
+        period === 'all'
+          ? firstDate && firstDate < today
+            ? firstDate
+            : today
+          : DateUtils.addDays(today, -period),
+      to: today,
+    };
+  },
 
-    if (this.chartPeriod !== 'all') {
-      const cutoffDate = this.getDateOffset(
-        this.currentDate,
-        -this.chartPeriod
-      );
-      logs = logs.filter((log) => log.date >= cutoffDate);
-    }
+  /**
+   * Number of days in a range, counting both ends
+   */
+  length(range) {
+    return DateUtils.diffDays(range.from, range.to) + 1;
+  },
 
-    return logs
-      .map((log) => ({
-        date: log.date,
-        steps: log.steps || 0,
-        exercise: log.exerciseMinutes || 0,
-        water: log.water || 0,
-        wellness: log.wellnessScore || 0,
-      }))
-      .sort((a, b) => new Date(a.date) - new Date(b.date));
-  }
+  contains(range, date) {
+    return date >= range.from && date <= range.to;
+  },
 
   /**
-   * Draw "no data" message on canvas
+   * Keep a range inside the days there is data for, preserving its length
+   * where it fits
    */
-  drawNoDataMessage(ctx, width, height, message) {
-    ctx.clearRect(0, 0, width, height);
-    ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue(
-      '--text-secondary'
-    );
-    ctx.font = '16px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText(message, width / 2, height / 2);
-  }
+  clamp(range, bounds) {
+    const days = Math.min(this.length(range), this.length(bounds));
+    let { from } = range;
+    if (from < bounds.from) from = bounds.from;
+    if (DateUtils.addDays(from, days - 1) > bounds.to) {
+      from = DateUtils.addDays(bounds.to, -(days - 1));
+    }
+    return { from, to: DateUtils.addDays(from, days - 1) };
+  },
 
   /**
-   * Render streak calendar
+   * Scale a range by a factor (below 1 zooms in) around an anchor point,
+   * given as a fraction of the way across the range
    */
-  renderStreakCalendar() {
-    const calendarContainer = document.getElementById('streakCalendar');
-    if (!calendarContainer) return;
+  zoom(range, factor, anchor, bounds) {
+    const days = this.length(range);
+    const zoomed = Math.max(this.MIN_DAYS, Math.round(days * factor));
+    const shift = Math.round((days - zoomed) * anchor);
+    const from = DateUtils.addDays(range.from, shift);
+    return this.clamp(
+      { from, to: DateUtils.addDays(from, zoomed - 1) },
+      bounds
+    );
+  },
 
-    const today = new Date();
-    const currentMonth = today.getMonth();
-    const currentYear = today.getFullYear();
+  /**
+   * Move a range by a number of days (negative moves back in time)
+   */
+  pan(range, days, bounds) {
+    return this.clamp(
+      {
+        from: DateUtils.addDays(range.from, days),
+        to: DateUtils.addDays(range.to, days),
+      },
+      bounds
+    );
+  },
+};
 
-    this.currentCalendarMonth = currentMonth;
-    this.currentCalendarYear = currentYear;
+// Make ChartRange available globally
+window.ChartRange = ChartRange;
 
-    this.renderCalendarMonth(currentMonth, currentYear);
-  }
+/**
+ * Goal heatmap - the year-at-a-glance grid of days on the Charts tab,
+ * one column per week with today in the last column
+ */
+const GoalHeatmap = {
+  WEEKS: 53,
+  // Steps, exercise, water and wellness, plus the week's weigh-in
+  MAX_LEVEL: 5,
 
   /**
-   * Navigate calendar months
+   * Columns of seven date keys, oldest week first
    */
-  navigateCalendar(direction) {
-    this.currentCalendarMonth += direction;
+  buildWeeks(today, weekStart = 'sunday') {
+    const firstDay = DateUtils.addDays(
+      DateUtils.getWeekStart(today, weekStart),
+      -7 * (this.WEEKS - 1)
+    );
+    return Array.from({ length: this.WEEKS }, (_, week) =>
+      Array.from({ length: 7 }, (_, day) =>
+        DateUtils.addDays(firstDay, week * 7 + day)
+      )
+    );
+  },
 
-    if (this.currentCalendarMonth > 11) {
-      this.currentCalendarMonth = 0;
-      this.currentCalendarYear++;
-    } else if (this.currentCalendarMonth < 0) {
-      this.currentCalendarMonth = 11;
-      this.currentCalendarYear--;
+  /**
+   * Columns where a new month starts, for the labels above the grid
+   * @returns {Array} [{ week, month }] - month is 0-11
+   */
+  monthStarts(weeks) {
+    const starts = [];
+    weeks.forEach((days, week) => {
+      const firstOfMonth = days.find((date) => date.endsWith('-01'));
+      if (week === 0 || firstOfMonth) {
+        const month = Number((firstOfMonth || days[0]).slice(5, 7)) - 1;
+        starts.push({ week, month });
+      }
+    });
+    // A first label squeezed against the next one is dropped
+    if (starts.length > 1 && starts[1].week - starts[0].week < 3) {
+      starts.shift();
     }
+    return starts;
+  },
+};
 
-    this.renderCalendarMonth(
-      this.currentCalendarMonth,
-      this.currentCalendarYear
-    );
-  }
+// Make GoalHeatmap available globally
+window.GoalHeatmap = GoalHeatmap;
+
+/**
+ * Period reports - weekly or monthly aggregates of the daily logs, compared
+ * with the period before or the same period a year earlier
+ *
+ * Averages are per logged day; goal hit rates count every day of the period
+ * so far (from the first log on), so unlogged days count as missed.
+ */
+const PeriodReport = {
+  GOALS: ['steps', 'exercise', 'water', 'wellness'],
 
   /**
-   * Render calendar for specific month
+   * From-to days of the week or month containing a day
    */
-  renderCalendarMonth(month, year) {
-    const calendarContainer = document.getElementById('streakCalendar');
-    const monthNameEl = document.getElementById('currentMonth');
-
-    if (!calendarContainer || !monthNameEl) return;
+  range(period, date, weekStart = 'sunday') {
+    if (period === 'month') {
+      const from = `${date.slice(0, 7)}-01`;
+      return { from, to: DateUtils.addDays(this.addMonths(from, 1), -1) };
+    }
+    const from = DateUtils.getWeekStart(date, weekStart);
+    return { from, to: DateUtils.addDays(from, 6) };
+  },
 
-    // Update month display
-    const monthNames = [
-      'January',
-      'February',
-      'March',
-      'April',
-      'May',
-      'June',
-      'July',
-      'August',
-      'September',
-      'October',
-      'November',
-      'December',
-    ];
-    monthNameEl.textContent = `${monthNames[month]} ${year}`;
+  /**
+   * First of the month `months` away from a YYYY-MM-01 key
+   */
+  addMonths(monthStart, months) {
+    const [year, month] = monthStart.split('-').map(Number);
+    const index = year * 12 + month - 1 + months;
+    const newMonth = String((index % 12) + 1).padStart(2, '0');
+    return `${Math.floor(index / 12)}-${newMonth}-01`;
+  },
 
-    // Clear existing calendar
-    calendarContainer.innerHTML = '';
+  /**
+   * The period `steps` periods away, e.g. -1 for the one before
+   */
+  shift(period, range, steps, weekStart) {
+    return period === 'month'
+      ? this.range('month', this.addMonths(range.from, steps))
+      : this.range('week', DateUtils.addDays(range.from, 7 * steps), weekStart);
+  },
 
-    // Create calendar grid
-    const calendarGrid = document.createElement('div');
-    calendarGrid.className = 'calendar-grid';
+  /**
+   * Period to compare with: the one before, or the same period a year
+   * earlier (52 weeks back for weeks, so the weekdays line up)
+   */
+  comparison(period, range, compare, weekStart) {
+    if (compare === 'lastYear') {
+      return this.shift(
+        period,
+        range,
+        period === 'month' ? -12 : -52,
+        weekStart
+      );
+    }
+    return this.shift(period, range, -1, weekStart);
+  },
 
-    // Add day headers
-    const dayHeaders = document.createElement('div');
-    dayHeaders.className = 'calendar-header';
-    const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-    dayNames.forEach((day) => {
-      const dayLabel = document.createElement('div');
-      dayLabel.className = 'calendar-day-label';
-      dayLabel.textContent = day;
-      dayHeaders.appendChild(dayLabel);
+  /**
+   * Aggregate the logs in a range
+   * @param {Object} dailyLogs - Logs keyed by YYYY-MM-DD
+   * @param {Object} range - { from, to }
+   * @param {Object} options - { today, firstDate, weights (sorted
+   *   { date, weight } entries), evaluate(log) returning the goals met }
+   * @returns {Object} { days, elapsed, steps, exercise, water, wellness,
+   *   goals, weightChange } - goals are % of elapsed days per goal, null
+   *   where there is nothing to measure
+   */
+  summarize(dailyLogs, range, { today, firstDate, weights = [], evaluate }) {
+    const logs = Object.values(dailyLogs).filter(
+      (log) => ChartRange.contains(range, log.date) && log.date <= today
+    );
+    const start = firstDate && firstDate > range.from ? firstDate : range.from;
+    const end = range.to < today ? range.to : today;
+    const elapsed = start <= end ? DateUtils.diffDays(start, end) + 1 : 0;
+
+    const total = (field) =>
+      logs.reduce((sum, log) => sum + (Number(log[field]) || 0), 0);
+    const average = (field) =>
+      logs.length ? total(field) / logs.length : null;
+
+    const goals = {};
+    const evaluated = logs.map((log) => evaluate(log));
+    this.GOALS.forEach((goal) => {
+      const met = evaluated.filter((goalsMet) => goalsMet[goal]).length;
+      goals[goal] = elapsed ? (met / elapsed) * 100 : null;
     });
 
-    calendarContainer.appendChild(dayHeaders);
+    return {
+      days: logs.length,
+      elapsed,
+      steps: average('steps'),
+      exercise: logs.length ? total('exerciseMinutes') : null,
+      water: average('water'),
+      wellness: average('wellnessScore'),
+      goals,
+      weightChange: this.weightChange(weights, range),
+    };
+  },
 
-    // Calculate first day of month and number of days
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    const daysInMonth = lastDay.getDate();
-    const startingDayOfWeek = (firstDay.getDay() + 6) % 7; // Adjust for Monday start
+  /**
+   * Change from the last weigh-in shortly before the range (or its first
+   * one) to the last weigh-in in it; null without two weigh-ins to compare
+   * A weigh-in more than a period before the range isn't a fair baseline.
+   */
+  weightChange(weights, range) {
+    const inRange = weights.filter((entry) =>
+      ChartRange.contains(range, entry.date)
+    );
+    if (inRange.length === 0) return null;
 
-    // Add empty cells for days before month starts
-    for (let i = 0; i < startingDayOfWeek; i++) {
-      const emptyDay = document.createElement('div');
-      emptyDay.className = 'calendar-day other-month';
-      calendarGrid.appendChild(emptyDay);
-    }
+    const earliest = DateUtils.addDays(range.from, -ChartRange.length(range));
+    const before = weights.filter(
+      (entry) => entry.date >= earliest && entry.date < range.from
+    );
+    const baseline = before.length ? before[before.length - 1] : inRange[0];
+    const last = inRange[inRange.length - 1];
+    if (baseline === last) return null;
+    return Math.round((last.weight - baseline.weight) * 100) / 100;
+  },
 
-    // Add days of the month
-    for (let day = 1; day <= daysInMonth; day++) {
-      const dayEl = document.createElement('div');
-      dayEl.className = 'calendar-day';
-      dayEl.textContent = day;
+  /**
+   * Difference between two values, null when either is missing
+   */
+  delta(current, previous) {
+    return current === null || previous === null ? null : current - previous;
+  },
+};
 
-      const dateString = `${year}-${String(month + 1).padStart(
-        2,
-        '0'
-      )}-${String(day).padStart(2, '0')}`;
-      const dayLog = this.dailyLogs[dateString];
+// Make PeriodReport available globally
+window.PeriodReport = PeriodReport;
 
-      // Apply styling based on streak completion
-      if (dateString === this.currentDate) {
-        dayEl.classList.add('today');
-      }
+/**
+ * Wellness checklist - the user's habits and the daily pass threshold
+ *
+ * Habits live in settings.wellnessItems as { id, title, description,
+ * archived }. Removed habits are archived rather than deleted so older
+ * entries can still show them. Each log records the habit ids it was scored
+ * against (wellnessItemSet), so changing the checklist never rescores
+ * past days.
+ */
+const WellnessChecklist = {
+  DEFAULT_ITEMS: [
+    {
+      id: 'sugary-drinks',
+      title: 'Avoided Sugary Drinks',
+      description:
+        'No soda, juice, sweetened coffee/tea, energy drinks. Reduces empty calories and blood sugar spikes.',
+    },
+    {
+      id: 'fruits-vegetables',
+      title: 'Ate 5+ Servings of Fruits & Vegetables',
+      description:
+        'Fresh, frozen, or cooked all count. Provides fiber, vitamins, and phytonutrients.',
+    },
+    {
+      id: 'portion-control',
+      title: 'Practiced Portion Control',
+      description:
+        'Used smaller plates, stopped when satisfied, followed hand-size portion guides.',
+    },
+    {
+      id: 'no-late-eating',
+      title: 'Did Not Eat After 8 PM',
+      description:
+        'No late-night snacking. Helps with digestion, sleep, and curbing mindless eating.',
+    },
+    {
+      id: 'sleep',
+      title: 'Got 7+ Hours of Sleep',
+      description:
+        'Quality rest for recovery. Impacts metabolism, hunger hormones, and decision-making.',
+    },
+  ],
+
+  DEFAULT_THRESHOLD: { mode: 'count', value: 3 },
 
-      if (dayLog) {
-        const goalsmet = this.checkDayGoalsMet(dayLog);
-        if (goalsmet.all) {
-          dayEl.classList.add('streak-complete');
-        } else if (goalsmet.some) {
-          dayEl.classList.add('partial-complete');
-        }
-      } else {
-        dayEl.classList.add('no-data');
-      }
+  /**
+   * All habits, archived ones included
+   */
+  getItems(settings = {}) {
+    return Array.isArray(settings.wellnessItems)
+      ? settings.wellnessItems
+      : this.DEFAULT_ITEMS;
+  },
 
-      calendarGrid.appendChild(dayEl);
-    }
+  /**
+   * Habits currently on the checklist, in display order
+   */
+  getActiveItems(settings = {}) {
+    return this.getItems(settings).filter((item) => !item.archived);
+  },
 
-    calendarContainer.appendChild(calendarGrid);
-  }
+  /**
+   * Habit definition by id, or a placeholder for unknown ids
+   */
+  getItem(settings, id) {
+    return (
+      this.getItems(settings).find((item) => item.id === id) || {
+        id,
+        title: id,
+        description: '',
+        archived: true,
+      }
+    );
+  },
+
+  getThreshold(settings = {}) {
+    return settings.wellnessThreshold || this.DEFAULT_THRESHOLD;
+  },
 
   /**
-   * Check if day's goals were met (with settings consideration)
+   * Habit ids a log was scored against; logs without a recorded set use
+   * the current checklist
    */
-  checkDayGoalsMet(dayLog) {
-    // Apply user's goal threshold settings
-    const stepsThreshold = this.settings?.allowPartialSteps
-      ? this.currentUser.dailySteps * 0.9
-      : this.currentUser.dailySteps;
-
-    const exerciseThreshold = this.settings?.allowPartialExercise
-      ? this.currentUser.dailyExercise * 0.8
-      : this.currentUser.dailyExercise;
-
-    const wellnessThreshold = this.settings?.strictWellness ? 4 : 3;
-
-    const goalsmet = {
-      steps: dayLog.steps >= stepsThreshold,
-      exercise: dayLog.exerciseMinutes >= exerciseThreshold,
-      water: dayLog.water >= this.currentUser.dailyWater,
-      wellness: dayLog.wellnessScore >= wellnessThreshold,
-    };
+  getItemSet(log, settings) {
+    return log && Array.isArray(log.wellnessItemSet)
+      ? log.wellnessItemSet
+      : this.getActiveItems(settings).map((item) => item.id);
+  },
 
-    const weeklyWeight = this.checkWeeklyWeight(dayLog.date);
+  /**
+   * Points needed out of a checklist of `total` habits
+   * A count threshold is capped at the checklist size
+   */
+  requiredPoints(threshold, total) {
+    if (threshold.mode === 'percent') {
+      return Math.ceil((total * threshold.value) / 100);
+    }
+    return Math.min(threshold.value, total);
+  },
 
-    return {
-      some: Object.values(goalsmet).some((met) => met),
-      all: Object.values(goalsmet).every((met) => met) && weeklyWeight,
-    };
-  }
+  /**
+   * Whether a log's wellness score meets the threshold for its own checklist
+   */
+  isMet(log, threshold, settings) {
+    const total = this.getItemSet(log, settings).length;
+    return (
+      total > 0 &&
+      (log.wellnessScore || 0) >= this.requiredPoints(threshold, total)
+    );
+  },
 
   /**
-   * Load rewards tab content
+   * Short description of the threshold, e.g. "3+ points" or "60%+ of habits"
    */
-  loadRewardsTab() {
-    this.renderDefaultMilestones();
-    this.renderCustomRewards();
-    this.renderAchievementHistory();
-  }
+  describeThreshold(threshold) {
+    return threshold.mode === 'percent'
+      ? `${threshold.value}%+ of habits`
+      : `${threshold.value}+ points`;
+  },
 
   /**
-   * Initialize default milestones
+   * Unique id for a new habit, based on its title
    */
-  initializeDefaultMilestones() {
-    this.defaultMilestones = [
-      // Streak milestones
-      {
-        type: 'streak',
-        value: 7,
-        title: '7 Day Streak',
-        description: 'Complete 7 consecutive days of goals',
-      },
-      {
-        type: 'streak',
-        value: 14,
-        title: '2 Week Streak',
-        description: 'Complete 14 consecutive days of goals',
-      },
-      {
-        type: 'streak',
-        value: 30,
-        title: '30 Day Streak',
-        description: 'Complete 30 consecutive days of goals',
-      },
-      {
-        type: 'streak',
-        value: 50,
-        title: '50 Day Streak',
-        description: 'Complete 50 consecutive days of goals',
-      },
-      {
-        type: 'streak',
-        value: 100,
-        title: '100 Day Streak',
-        description: 'Complete 100 consecutive days of goals',
-      },
+  createId(title, items) {
+    const base =
+      String(title)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '') || 'habit';
+    let id = base;
+    for (let n = 2; items.some((item) => item.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  },
 
-      // Weight loss milestones (10 lb increments)
-      ...this.generateWeightMilestones(),
+  /**
+   * Add habits from another checklist that this one doesn't know about,
+   * archived, so merged logs can still name them
+   */
+  mergeItems(items, importedItems = []) {
+    const known = new Set(items.map((item) => item.id));
+    return [
+      ...items,
+      ...importedItems
+        .filter((item) => !known.has(item.id))
+        .map((item) => ({ ...item, archived: true })),
     ];
-  }
+  },
 
   /**
-   * Generate weight loss milestones based on user's goals (with custom rewards integration - no duplicates)
+   * How often each habit was ticked on the given logs, most skipped first
+   * A day only counts towards habits on the checklist it was scored against
+   * @returns {Array} [{ id, title, archived, hits, days, rate }]
    */
-  generateWeightMilestones() {
-    if (!this.currentUser) return [];
+  hitRates(logs, settings) {
+    const rates = {};
+    logs.forEach((log) => {
+      const ticked = new Set(log.wellnessItems || []);
+      this.getItemSet(log, settings).forEach((id) => {
+        if (!rates[id]) {
+          const { title, archived } = this.getItem(settings, id);
+          rates[id] = { id, title, archived: !!archived, hits: 0, days: 0 };
+        }
+        rates[id].days++;
+        if (ticked.has(id)) rates[id].hits++;
+      });
+    });
 
-    const milestones = [];
-    const totalWeightToLose =
-      this.currentUser.startingWeight - this.currentUser.goalWeight;
+    return Object.values(rates)
+      .map((rate) => ({ ...rate, rate: rate.hits / rate.days }))
+      .sort((a, b) => a.rate - b.rate || b.days - a.days);
+  },
+};
 
-    if (totalWeightToLose <= 0) return milestones;
+// Make WellnessChecklist available globally
+window.WellnessChecklist = WellnessChecklist;
 
-    // Add default weight milestones (every 10 lbs)
-    for (let lost = 10; lost <= totalWeightToLose; lost += 10) {
-      milestones.push({
-        type: 'weight',
-        value: lost,
-        title: `${lost} lbs Lost`,
-        description: `Lost ${lost} pounds from starting weight`,
-      });
-    }
+/**
+ * Custom metrics - extra daily numbers the user tracks, e.g. pages read
+ *
+ * Definitions live on the user profile as { id, name, unit, target,
+ * direction, countsTowardOverall, createdDate, archived }; a log stores
+ * its values in customMetrics keyed by metric id. Removed metrics are
+ * archived so their logged values stay in exports.
+ */
+const CustomMetrics = {
+  DIRECTIONS: {
+    atLeast: { label: 'At least', symbol: '≥' },
+    atMost: { label: 'At most', symbol: '≤' },
+  },
 
-    // Add bonus milestones (every 25 lbs)
-    for (let lost = 25; lost <= totalWeightToLose; lost += 25) {
-      milestones.push({
-        type: 'weight',
-        value: lost,
-        title: `${lost} lbs Lost - BIG WIN!`,
-        description: `Amazing achievement: Lost ${lost} pounds!`,
-        isBig: true,
-      });
-    }
+  /**
+   * All metric definitions, archived ones included
+   */
+  getAll(user) {
+    return (user && user.customMetrics) || [];
+  },
 
-    // Add major milestones (every 50 lbs)
-    for (let lost = 50; lost <= totalWeightToLose; lost += 50) {
-      milestones.push({
-        type: 'weight',
-        value: lost,
-        title: `${lost} lbs Lost - MAJOR MILESTONE!`,
-        description: `Incredible transformation: Lost ${lost} pounds!`,
-        isMajor: true,
-      });
-    }
+  getActive(user) {
+    return this.getAll(user).filter((metric) => !metric.archived);
+  },
 
-    // Add custom rewards ONLY if they don't match default milestone values
-    const defaultMilestoneValues = new Set();
+  /**
+   * Key for the metric's streak in the streaks object
+   */
+  streakKey(metric) {
+    return `custom:${metric.id}`;
+  },
 
-    // Collect all default milestone values (weight milestones + streak milestones)
-    milestones.forEach((milestone) =>
-      defaultMilestoneValues.add(`${milestone.type}-${milestone.value}`)
-    );
+  /**
+   * Logged value for a metric, or null if the day has none
+   */
+  getValue(log, id) {
+    const value = log && log.customMetrics ? log.customMetrics[id] : null;
+    return typeof value === 'number' && !isNaN(value) ? value : null;
+  },
 
-    // Add default streak values
-    [7, 14, 30, 50, 100].forEach((days) =>
-      defaultMilestoneValues.add(`streak-${days}`)
-    );
+  /**
+   * Whether a day meets the metric's target
+   * Days before the metric was added don't count either way (null)
+   */
+  evaluate(metric, log) {
+    if (metric.createdDate && log.date < metric.createdDate) return null;
+
+    const value = this.getValue(log, metric.id);
+    if (value === null) return false;
+    return metric.direction === 'atMost'
+      ? value <= metric.target
+      : value >= metric.target;
+  },
 
-    this.customRewards.forEach((reward) => {
-      const rewardKey = `${reward.type}-${
-        reward.weightLoss || reward.streakDays
-      }`;
+  /**
+   * Target as text, e.g. "≥ 20 pages"
+   */
+  describeTarget(metric) {
+    const direction =
+      this.DIRECTIONS[metric.direction] || this.DIRECTIONS.atLeast;
+    return `${direction.symbol} ${metric.target} ${metric.unit}`.trim();
+  },
 
-      // Only add as separate milestone if it's NOT a default milestone value
-      if (!defaultMilestoneValues.has(rewardKey)) {
-        if (reward.type === 'weight' && reward.weightLoss) {
-          milestones.push({
-            type: 'weight',
-            value: reward.weightLoss,
-            title: `${reward.weightLoss} lbs Lost - Custom Reward`,
-            description: `Custom milestone: ${reward.description}`,
-            isCustom: true,
-            customReward: reward,
-          });
-        } else if (reward.type === 'streak' && reward.streakDays) {
-          milestones.push({
-            type: 'streak',
-            value: reward.streakDays,
-            title: `${reward.streakDays} Day Streak - Custom Reward`,
-            description: `Custom milestone: ${reward.description}`,
-            isCustom: true,
-            customReward: reward,
-          });
-        }
-      }
+  /**
+   * Unique id for a new metric, based on its name
+   */
+  createId(name, metrics) {
+    const base =
+      String(name)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '') || 'metric';
+    let id = base;
+    for (let n = 2; metrics.some((metric) => metric.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  },
+
+  /**
+   * Add imported metrics this device doesn't know about, archived so their
+   * values stay readable without appearing on the daily log form
+   */
+  mergeMetrics(metrics, importedMetrics = []) {
+    const known = new Set(metrics.map((metric) => metric.id));
+    return [
+      ...metrics,
+      ...importedMetrics
+        .filter((metric) => !known.has(metric.id))
+        .map((metric) => ({ ...metric, archived: true })),
+    ];
+  },
+};
+
+// Make CustomMetrics available globally
+window.CustomMetrics = CustomMetrics;
+
+/**
+ * Goal history - daily goals as dated versions
+ *
+ * user.goalHistory is a list of { effectiveDate, dailySteps, dailyExercise,
+ * dailyWater } sorted by date; each version applies from its date until the
+ * next one. The user's dailySteps etc. always mirror the latest version.
+ */
+const GoalHistory = {
+  FIELDS: ['dailySteps', 'dailyExercise', 'dailyWater'],
+
+  /**
+   * The user's current daily goals as a version starting on a date
+   */
+  snapshot(user, effectiveDate) {
+    const version = { effectiveDate };
+    this.FIELDS.forEach((field) => {
+      version[field] = user[field];
     });
+    return version;
+  },
 
-    console.log(
-      `🎯 Generated ${milestones.length} milestones (excluded ${
-        this.customRewards.length - milestones.filter((m) => m.isCustom).length
-      } duplicate default rewards)`
-    );
+  /**
+   * All goal versions, oldest first
+   * Profiles without a history have only ever had their current goals
+   */
+  getHistory(user) {
+    return Array.isArray(user.goalHistory) && user.goalHistory.length
+      ? user.goalHistory
+      : [this.snapshot(user, null)];
+  },
 
-    return milestones;
-  }
+  /**
+   * Goals in force on a date (YYYY-MM-DD); the latest goals if no date
+   * Days before the first version use the first version
+   */
+  goalsOn(user, date) {
+    const history = this.getHistory(user);
+    if (!date) return history[history.length - 1];
+
+    let goals = history[0];
+    history.forEach((version) => {
+      if (!version.effectiveDate || version.effectiveDate <= date) {
+        goals = version;
+      }
+    });
+    return goals;
+  },
 
   /**
-   * Render default milestones
+   * History with new goals taking effect on a date
+   * Saving twice on one day replaces that day's version, and a version
+   * identical to the one before it is dropped
    */
-  renderDefaultMilestones() {
-    const container = document.getElementById('defaultMilestones');
-    if (!container) return;
+  record(user, goals, date) {
+    const history = this.getHistory(user).filter(
+      (version) => version.effectiveDate !== date
+    );
+    const previous = this.goalsOn({ goalHistory: history }, date);
+    const unchanged =
+      history.length &&
+      this.FIELDS.every((field) => previous[field] === goals[field]);
+    if (unchanged) return history;
+
+    return [...history, { effectiveDate: date, ...goals }].sort((a, b) =>
+      (a.effectiveDate || '').localeCompare(b.effectiveDate || '')
+    );
+  },
+};
 
-    container.innerHTML = '';
+// Make GoalHistory available globally
+window.GoalHistory = GoalHistory;
 
-    // Initialize default milestones if they don't exist
-    if (!this.defaultMilestones) {
-      this.initializeDefaultMilestones();
-    }
+/**
+ * Streak engine - derives streaks from the full log history
+ *
+ * Pure functions: the same logs, goals and settings always produce the same
+ * streaks, no matter how often or in which order days were saved.
+ */
+const StreakEngine = {
+  METRICS: ['steps', 'exercise', 'water', 'wellness'],
 
-    // Safety check in case defaultMilestones is still undefined
-    if (!this.defaultMilestones || !Array.isArray(this.defaultMilestones)) {
-      container.innerHTML =
-        '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">Unable to load milestones. Please refresh the page.</p>';
-      return;
-    }
+  /**
+   * Get the daily thresholds for each goal (applying user's threshold settings)
+   * @param {string} [date] - Day to use the goals in force on; default today's
+   */
+  getGoalThresholds(user, settings = {}, date) {
+    const goals = GoalHistory.goalsOn(user, date);
+    return {
+      steps: settings.allowPartialSteps
+        ? goals.dailySteps * 0.9
+        : goals.dailySteps,
+      exercise: settings.allowPartialExercise
+        ? goals.dailyExercise * 0.8
+        : goals.dailyExercise,
+      water: goals.dailyWater,
+      wellness: WellnessChecklist.getThreshold(settings),
+      custom: CustomMetrics.getActive(user),
+    };
+  },
 
-    this.defaultMilestones.forEach((milestone) => {
-      const milestoneEl = this.createMilestoneElement(milestone);
-      container.appendChild(milestoneEl);
+  /**
+   * Check which daily goals a single log meets
+   * Wellness is judged against the checklist the day was logged with
+   */
+  evaluateDay(log, thresholds, settings = {}) {
+    const goalsMet = {
+      steps: (log.steps || 0) >= thresholds.steps,
+      exercise: (log.exerciseMinutes || 0) >= thresholds.exercise,
+      water: (log.water || 0) >= thresholds.water,
+      wellness: WellnessChecklist.isMet(log, thresholds.wellness, settings),
+    };
+    (thresholds.custom || []).forEach((metric) => {
+      goalsMet[CustomMetrics.streakKey(metric)] = CustomMetrics.evaluate(
+        metric,
+        log
+      );
     });
-  }
+    return goalsMet;
+  },
 
   /**
-   * Create milestone element with editing capability
+   * Whether a day's goals add up to an overall day: every built-in goal,
+   * plus the custom metrics that count toward the overall streak
    */
-  createMilestoneElement(milestone) {
-    const el = document.createElement('div');
-    el.className = 'milestone-item';
-
-    const isAchieved = this.isMilestoneAchieved(milestone);
-    const isClaimed = this.isMilestoneClaimedInAchievements(milestone);
+  isOverallMet(goalsMet, thresholds) {
+    return (
+      this.METRICS.every((metric) => goalsMet[metric]) &&
+      (thresholds.custom || [])
+        .filter((metric) => metric.countsTowardOverall)
+        .every((metric) => goalsMet[CustomMetrics.streakKey(metric)] !== false)
+    );
+  },
 
-    if (isAchieved && !isClaimed) {
-      el.classList.add('achieved');
-    } else if (isClaimed) {
-      el.classList.add('claimed');
-    }
+  /**
+   * Compute current and best streaks from all daily logs
+   *
+   * A streak is current if its last day is today or yesterday (today may not
+   * be logged yet). The overall streak also requires weight to be logged
+   * at least once in each day's week. Each day is judged against the goals
+   * in force on that date.
+   *
+   * @param {Object} dailyLogs - Logs keyed by YYYY-MM-DD
+   * @param {Object} user - User profile with daily goals
+   * @param {Object} settings - App settings (goal thresholds)
+   * @param {Object} options - today, since (ignore earlier days),
+   *   getDateOffset(date, days) and getWeekStart(date) helpers
+   */
+  compute(dailyLogs, user, settings, options) {
+    const { today, since, getDateOffset, getWeekStart } = options;
+    const types = [
+      'overall',
+      ...this.METRICS,
+      ...CustomMetrics.getActive(user).map((metric) =>
+        CustomMetrics.streakKey(metric)
+      ),
+    ];
 
-    const statusText = isClaimed
-      ? 'Claimed'
-      : isAchieved
-      ? 'Achieved'
-      : 'Pending';
-    const statusClass = isClaimed
-      ? 'claimed'
-      : isAchieved
-      ? 'achieved'
-      : 'pending';
+    const dates = Object.keys(dailyLogs)
+      .filter((date) => !since || date >= since)
+      .sort();
 
-    const customReward = this.getCustomRewardForMilestone(milestone);
-    const rewardText = customReward
-      ? customReward.description
-      : 'Set custom reward...';
+    // Weeks that have at least one weigh-in
+    const weightDates = dates.filter((date) => {
+      const weight = dailyLogs[date].weight;
+      return weight !== null && weight !== undefined;
+    });
+    const weighedWeeks = new Set(weightDates.map((date) => getWeekStart(date)));
 
-    const isEditable = !customReward; // Only allow editing if no custom reward exists
+    const current = {};
+    const best = {};
+    types.forEach((type) => {
+      current[type] = 0;
+      best[type] = 0;
+    });
 
-    el.innerHTML = `
-      <div class="milestone-header">
-        <div class="milestone-title">${milestone.title}</div>
-        <div class="milestone-status ${statusClass}">${statusText}</div>
-      </div>
-      <div class="milestone-description">${milestone.description}</div>
-      <div class="milestone-reward">
-        <div class="reward-text ${isEditable ? 'editable' : ''}" 
-            data-milestone-type="${milestone.type}" 
-            data-milestone-value="${milestone.value}"
-            ${isEditable ? 'onclick="app.editMilestoneReward(this)"' : ''}>
-          ${rewardText}
-        </div>
-        ${
-          isAchieved && !isClaimed
-            ? `<button class="claim-btn" onclick="app.claimMilestone('${milestone.type}', ${milestone.value})">Claim Reward</button>`
-            : ''
+    let previousDate = null;
+    dates.forEach((date) => {
+      const consecutive =
+        previousDate !== null && getDateOffset(previousDate, 1) === date;
+      const thresholds = this.getGoalThresholds(user, settings, date);
+      const goalsMet = this.evaluateDay(dailyLogs[date], thresholds, settings);
+      goalsMet.overall =
+        this.isOverallMet(goalsMet, thresholds) &&
+        weighedWeeks.has(getWeekStart(date));
+
+      types.forEach((type) => {
+        if (goalsMet[type]) {
+          current[type] = consecutive ? current[type] + 1 : 1;
+        } else {
+          current[type] = 0;
         }
-      </div>
-    `;
+        best[type] = Math.max(best[type], current[type]);
+      });
 
-    return el;
-  }
+      previousDate = date;
+    });
+
+    // A streak whose last logged day is before yesterday has been broken
+    const lastLogDate = previousDate;
+    const isCurrent =
+      lastLogDate !== null &&
+      (lastLogDate === today || lastLogDate === getDateOffset(today, -1));
+
+    const streaks = {};
+    types.forEach((type) => {
+      streaks[type] = isCurrent ? current[type] : 0;
+    });
+
+    return {
+      ...streaks,
+      best,
+      lastLogDate,
+      weeklyWeight: weighedWeeks.has(getWeekStart(today)),
+      lastWeightDate: weightDates.length
+        ? weightDates[weightDates.length - 1]
+        : null,
+    };
+  },
+};
+
+// Make StreakEngine available globally
+window.StreakEngine = StreakEngine;
+
+/**
+ * Versioned data schema
+ *
+ * Stored data and backups carry a schemaVersion. Data older than
+ * CURRENT_VERSION is upgraded by running each migration in turn; data from
+ * a newer version of the app is rejected rather than guessed at.
+ *
+ * A snapshot is { user, dailyLogs, streaks, customRewards, achievements,
+ * settings } - any field may be missing (e.g. logs-only exports).
+ */
+const DataSchema = {
+  CURRENT_VERSION: 8,
+  APP_VERSION: '1.2.0', // Also the service worker's cache name in sw.js
 
   /**
-   * Edit milestone reward (make it customizable)
+   * Migrations keyed by the version they upgrade from
+   * Each receives a snapshot and returns the snapshot for version + 1
    */
-  editMilestoneReward(element) {
-    const milestoneType = element.dataset.milestoneType;
-    const milestoneValue = parseInt(element.dataset.milestoneValue);
+  migrations: {
+    // v1 -> v2: normalise daily log entries and reward records
+    1(data) {
+      if (data.dailyLogs) {
+        const dailyLogs = {};
+        Object.entries(data.dailyLogs).forEach(([date, log]) => {
+          if (!log || typeof log !== 'object') return;
+
+          const wellnessItems = Array.isArray(log.wellnessItems)
+            ? log.wellnessItems
+            : [];
+          const weight = parseFloat(log.weight);
+
+          dailyLogs[date] = {
+            ...log,
+            date,
+            weight: isNaN(weight) ? null : weight,
+            steps: parseInt(log.steps) || 0,
+            exerciseMinutes: parseInt(log.exerciseMinutes) || 0,
+            exerciseTypes: Array.isArray(log.exerciseTypes)
+              ? log.exerciseTypes
+              : [],
+            water: parseFloat(log.water) || 0,
+            wellnessScore:
+              parseInt(log.wellnessScore) >= 0
+                ? parseInt(log.wellnessScore)
+                : wellnessItems.length,
+            wellnessItems,
+            timestamp: log.timestamp || null,
+          };
+        });
+        data.dailyLogs = dailyLogs;
+      }
 
-    // Check if this milestone already has a custom reward
-    const existingReward = this.customRewards.find(
-      (reward) =>
-        reward.type === milestoneType &&
-        (reward.streakDays === milestoneValue ||
-          reward.weightLoss === milestoneValue)
-    );
+      if (Array.isArray(data.customRewards)) {
+        data.customRewards = data.customRewards.map((reward) => ({
+          ...reward,
+          createdDate: reward.createdDate || null,
+        }));
+      }
 
-    if (existingReward) {
-      this.showError(
-        'This milestone already has a custom reward. Delete it first to create a new one.'
+      return data;
+    },
+
+    // v2 -> v3: exercise is stored as a list of sessions per day
+    2(data) {
+      if (data.dailyLogs) {
+        Object.values(data.dailyLogs).forEach((log) => {
+          if (!Array.isArray(log.exerciseSessions)) {
+            log.exerciseSessions = ExerciseSessions.fromLegacy(log);
+          }
+        });
+      }
+      return data;
+    },
+
+    // v3 -> v4: configurable wellness checklist - days so far were scored
+    // against the five built-in habits, and the strict wellness switch
+    // becomes a point threshold
+    3(data) {
+      const defaultIds = WellnessChecklist.DEFAULT_ITEMS.map((item) => item.id);
+      if (data.dailyLogs) {
+        Object.values(data.dailyLogs).forEach((log) => {
+          if (!Array.isArray(log.wellnessItemSet)) {
+            log.wellnessItemSet = defaultIds;
+          }
+        });
+      }
+
+      if (data.settings) {
+        const { strictWellness, ...settings } = data.settings;
+        data.settings = {
+          ...settings,
+          wellnessItems:
+            settings.wellnessItems || WellnessChecklist.DEFAULT_ITEMS,
+          wellnessThreshold:
+            'strictWellness' in data.settings
+              ? { mode: 'count', value: strictWellness ? 4 : 3 }
+              : settings.wellnessThreshold ||
+                WellnessChecklist.DEFAULT_THRESHOLD,
+        };
+      }
+      return data;
+    },
+
+    // v4 -> v5: daily goals are versioned - the goals so far are the first
+    // version, so past days keep being judged the way they were
+    4(data) {
+      if (data.user && !Array.isArray(data.user.goalHistory)) {
+        const setupDate = new Date(data.user.setupDate);
+        data.user.goalHistory = [
+          GoalHistory.snapshot(
+            data.user,
+            isNaN(setupDate) ? null : DateUtils.toDateKey(setupDate)
+          ),
+        ];
+      }
+      return data;
+    },
+
+    // v5 -> v6: "today" used to be the UTC date, so entries saved in the
+    // evening west of UTC (or early morning east of it) were filed under
+    // the wrong day. Move those back to the local day they were saved on,
+    // unless that day already has an entry.
+    5(data) {
+      if (!data.dailyLogs) return data;
+
+      const moves = Object.entries(data.dailyLogs)
+        .map(([date, log]) => {
+          const savedAt = new Date(log.timestamp);
+          if (!log.timestamp || isNaN(savedAt)) return null;
+          const utcDate = savedAt.toISOString().split('T')[0];
+          const localDate = DateUtils.toDateKey(savedAt);
+          return date === utcDate && localDate !== utcDate
+            ? { from: date, to: localDate }
+            : null;
+        })
+        .filter(Boolean);
+
+      // Free each day before moving another entry onto it: entries moving
+      // back a day go oldest first, entries moving forward newest first
+      const backward = moves
+        .filter((move) => move.to < move.from)
+        .sort((a, b) => a.from.localeCompare(b.from));
+      const forward = moves
+        .filter((move) => move.to > move.from)
+        .sort((a, b) => b.from.localeCompare(a.from));
+
+      [...backward, ...forward].forEach(({ from, to }) => {
+        if (data.dailyLogs[to]) return;
+        data.dailyLogs[to] = { ...data.dailyLogs[from], date: to };
+        delete data.dailyLogs[from];
+        console.log(`📅 Moved entry ${from} → ${to} (local date)`);
+      });
+      return data;
+    },
+
+    // v6 -> v7: weights are stored in the user's unit - until now they
+    // were always pounds whatever the unit setting
+    6(data) {
+      if (data.user) {
+        data.user.weightUnit = data.user.weightUnit || 'lbs';
+      } else if (data.dailyLogs) {
+        data.weightUnit = data.weightUnit || 'lbs';
+      }
+      return data;
+    },
+
+    // v7 -> v8: claimed achievements record the id of their milestone, so
+    // they keep matching it when the weight unit changes
+    7(data) {
+      const unit = WeightUnits.ofSnapshot(data);
+      (data.achievements || []).forEach((achievement) => {
+        achievement.milestoneId =
+          achievement.milestoneId ||
+          WeightUnits.milestoneId(achievement.type, achievement.value, unit);
+      });
+      return data;
+    },
+  },
+
+  /**
+   * Schema version of a stored snapshot or backup file
+   * Files written before versioning have no schemaVersion and count as v1
+   */
+  detectVersion(data) {
+    const version = data && data.schemaVersion;
+    return Number.isInteger(version) && version > 0 ? version : 1;
+  },
+
+  /**
+   * Upgrade a snapshot to CURRENT_VERSION
+   * @returns {Object} A migrated copy; the input is left untouched
+   * @throws {Error} SchemaVersionError if the data is from a newer app
+   */
+  migrate(data, fromVersion = this.detectVersion(data)) {
+    if (fromVersion > this.CURRENT_VERSION) {
+      const error = new Error(
+        `This data was saved by a newer version of BribeYourselfFit (data schema v${fromVersion}). ` +
+          `This app supports up to v${this.CURRENT_VERSION} - please update the app and try again.`
       );
-      return;
+      error.name = 'SchemaVersionError';
+      throw error;
     }
 
-    // Prompt for custom reward
-    const rewardDescription = prompt(
-      `Set your custom reward for this milestone:\n\n${
-        milestoneType === 'weight'
-          ? milestoneValue + ' lbs lost'
-          : milestoneValue + ' day streak'
-      }`,
-      'Enter your reward (e.g., "Spa day", "New workout clothes", "Cheat meal")'
-    );
-
-    if (
-      !rewardDescription ||
-      rewardDescription.trim() === '' ||
-      rewardDescription ===
-        'Enter your reward (e.g., "Spa day", "New workout clothes", "Cheat meal")'
-    ) {
-      return; // User cancelled or entered placeholder text
+    let migrated = JSON.parse(JSON.stringify(data));
+    for (let version = fromVersion; version < this.CURRENT_VERSION; version++) {
+      const migration = this.migrations[version];
+      if (!migration) {
+        throw new Error(`No migration from data schema v${version}`);
+      }
+      migrated = migration(migrated);
+      console.log(`🔄 Migrated data schema v${version} → v${version + 1}`);
     }
 
-    // Create custom reward
-    const customReward = {
-      type: milestoneType,
-      description: rewardDescription.trim(),
-      createdDate: new Date().toISOString(),
+    migrated.schemaVersion = this.CURRENT_VERSION;
+    return migrated;
+  },
+
+  /**
+   * Stamp an export payload with the app and schema versions
+   */
+  createExport(exportType, data) {
+    return {
+      ...data,
+      exportDate: new Date().toISOString(),
+      exportType,
+      version: this.APP_VERSION,
+      schemaVersion: this.CURRENT_VERSION,
     };
+  },
+};
 
-    // Add type-specific criteria
-    if (milestoneType === 'weight') {
-      customReward.weightLoss = milestoneValue;
-    } else if (milestoneType === 'streak') {
-      customReward.streakDays = milestoneValue;
-    }
+// Make DataSchema available globally
+window.DataSchema = DataSchema;
 
-    // Add to custom rewards
-    this.customRewards.push(customReward);
-    this.saveData();
+/**
+ * Data merger - pure helpers for combining an imported backup with the
+ * data already on this device (e.g. when logging on two phones)
+ */
+const DataMerger = {
+  /**
+   * Whether two logs for the same day hold the same values
+   * The save timestamp and key order are ignored so re-imported copies
+   * aren't conflicts
+   */
+  isSameLog(a, b) {
+    const sorted = (value) => {
+      if (Array.isArray(value)) return value.map(sorted);
+      if (!value || typeof value !== 'object') return value;
+      return Object.keys(value)
+        .sort()
+        .reduce((copy, key) => ({ ...copy, [key]: sorted(value[key]) }), {});
+    };
+    const strip = ({ timestamp, ...values }) => sorted(values);
+    return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+  },
 
-    // Regenerate milestones to include the new custom reward
-    this.initializeDefaultMilestones();
-    this.renderDefaultMilestones();
-    this.renderCustomRewards(); // Update the custom rewards list too
+  /**
+   * Days logged on both sides with different values, oldest first
+   */
+  findLogConflicts(currentLogs, importedLogs) {
+    return Object.keys(importedLogs)
+      .filter(
+        (date) =>
+          currentLogs[date] &&
+          !this.isSameLog(currentLogs[date], importedLogs[date])
+      )
+      .sort();
+  },
 
-    this.showSuccess(`Custom reward added: "${rewardDescription}"`);
-  }
+  /**
+   * Pick the side whose log was saved most recently
+   * Logs without a timestamp lose; ties keep the current log
+   */
+  newestSide(currentLog, importedLog) {
+    const currentTime = Date.parse(currentLog.timestamp) || 0;
+    const importedTime = Date.parse(importedLog.timestamp) || 0;
+    return importedTime > currentTime ? 'imported' : 'current';
+  },
 
   /**
-   * Check if milestone is achieved
+   * Union of both sets of daily logs
+   * @param {Object} choices - Optional 'current' | 'imported' per conflicting
+   *   date; unlisted conflicts go to the newest timestamp
+   * @returns {Object} { dailyLogs, added, updated, kept, conflicts }
    */
-  isMilestoneAchieved(milestone) {
-    if (milestone.type === 'streak') {
-      return this.streaks.overall >= milestone.value;
-    } else if (milestone.type === 'weight') {
-      const weightLost =
-        this.currentUser.startingWeight - this.currentUser.currentWeight;
-      return weightLost >= milestone.value;
-    }
-    return false;
-  }
+  mergeLogs(currentLogs, importedLogs, choices = {}) {
+    const dailyLogs = { ...currentLogs };
+    const conflicts = this.findLogConflicts(currentLogs, importedLogs);
+    let added = 0;
+    let updated = 0;
+
+    Object.entries(importedLogs).forEach(([date, log]) => {
+      if (!currentLogs[date]) {
+        dailyLogs[date] = log;
+        added++;
+      }
+    });
+
+    conflicts.forEach((date) => {
+      const side =
+        choices[date] || this.newestSide(currentLogs[date], importedLogs[date]);
+      if (side === 'imported') {
+        dailyLogs[date] = importedLogs[date];
+        updated++;
+      }
+    });
+
+    return {
+      dailyLogs,
+      added,
+      updated,
+      kept: conflicts.length - updated,
+      conflicts,
+    };
+  },
 
   /**
-   * Check if milestone has been claimed (exists in achievements)
+   * Identity of a custom reward: its type, criteria and description
    */
-  isMilestoneClaimedInAchievements(milestone) {
-    return this.achievements.some(
-      (achievement) =>
-        achievement.type === milestone.type &&
-        achievement.value === milestone.value
-    );
-  }
+  rewardKey(reward) {
+    return [
+      reward.type,
+      reward.streakDays || '',
+      reward.weightLoss || '',
+      (reward.description || '').trim().toLowerCase(),
+    ].join('|');
+  },
 
   /**
-   * Get custom reward for milestone
+   * Identity of a claimed achievement: the milestone it was claimed for
    */
-  getCustomRewardForMilestone(milestone) {
-    // Check if the milestone already has a custom reward attached
-    if (milestone.customReward) {
-      return milestone.customReward;
-    }
+  achievementKey(achievement) {
+    return achievement.milestoneId;
+  },
 
-    // Otherwise, search for matching custom reward
-    return this.customRewards.find(
-      (reward) =>
-        reward.type === milestone.type &&
-        (reward.streakDays === milestone.value ||
-          reward.weightLoss === milestone.value)
-    );
-  }
+  /**
+   * Append imported items whose key isn't already present
+   * @returns {Object} { items, added }
+   */
+  mergeUnique(currentItems, importedItems, getKey) {
+    const seen = new Set(currentItems.map(getKey));
+    const items = [...currentItems];
+
+    importedItems.forEach((item) => {
+      const key = getKey(item);
+      if (!seen.has(key)) {
+        seen.add(key);
+        items.push(item);
+      }
+    });
+
+    return { items, added: items.length - currentItems.length };
+  },
 
   /**
-   * Claim milestone reward
+   * Merge an imported snapshot into the current one
+   * Profile, goals and settings are always kept from the current device
    */
-  claimMilestone(type, value) {
-    const milestone = this.defaultMilestones.find(
-      (m) => m.type === type && m.value === value
+  merge(current, imported, choices = {}) {
+    const logs = this.mergeLogs(
+      current.dailyLogs || {},
+      imported.dailyLogs || {},
+      choices
+    );
+    const rewards = this.mergeUnique(
+      current.customRewards || [],
+      imported.customRewards || [],
+      (reward) => this.rewardKey(reward)
+    );
+    const achievements = this.mergeUnique(
+      current.achievements || [],
+      imported.achievements || [],
+      (achievement) => this.achievementKey(achievement)
     );
-    if (!milestone || !this.isMilestoneAchieved(milestone)) return;
 
-    // Add to achievements
-    const achievement = {
-      type: milestone.type,
-      value: milestone.value,
-      title: milestone.title,
-      description: milestone.description,
-      customReward: this.getCustomRewardForMilestone(milestone),
-      claimedDate: new Date().toISOString(),
-      claimedStreak: this.streaks.overall,
-      claimedWeight: this.currentUser.currentWeight,
+    return {
+      dailyLogs: logs.dailyLogs,
+      customRewards: rewards.items,
+      achievements: achievements.items,
+      summary: {
+        logsAdded: logs.added,
+        logsUpdated: logs.updated,
+        logsKept: logs.kept,
+        conflicts: logs.conflicts,
+        rewardsAdded: rewards.added,
+        achievementsAdded: achievements.added,
+      },
     };
+  },
+};
 
-    this.achievements.push(achievement);
-    this.saveData();
+// Make DataMerger available globally
+window.DataMerger = DataMerger;
 
-    // Show celebration modal
-    this.showAchievementModal(achievement);
+/**
+ * CSV helpers - pure functions for spreadsheet export and import
+ */
+const CsvFormat = {
+  /**
+   * Date formats the importer understands
+   */
+  DATE_FORMATS: {
+    'YYYY-MM-DD': /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/,
+    'MM/DD/YYYY': /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/,
+    'DD/MM/YYYY': /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/,
+  },
 
-    // Re-render milestones
-    this.renderDefaultMilestones();
-    this.renderAchievementHistory();
-  }
+  /**
+   * Quote a value if it contains a delimiter, quote or line break
+   */
+  escape(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
 
   /**
-   * Handle custom reward form submission
+   * Build CSV text from an array of rows (arrays of values)
    */
-  handleCustomReward(e) {
-    e.preventDefault();
+  stringify(rows) {
+    return rows
+      .map((row) => row.map((value) => this.escape(value)).join(','))
+      .join('\r\n');
+  },
 
-    const formData = new FormData(e.target);
-    const rewardType = formData.get('rewardType');
-    const description = formData.get('rewardDescription');
+  /**
+   * Parse CSV text into an array of rows
+   * Handles quoted fields, escaped quotes and CRLF line endings. The
+   * delimiter (comma, semicolon or tab) is detected from the header line.
+   */
+  parse(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const headerLine = source.split(/\r?\n/)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+      headerLine.split(candidate).length > headerLine.split(best).length
+        ? candidate
+        : best
+    );
 
-    if (!rewardType || !description) {
-      this.showError('Please fill in all required fields');
-      return;
-    }
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
 
-    const reward = {
-      type: rewardType,
-      description: description,
-      createdDate: new Date().toISOString(),
-    };
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
 
-    // Add type-specific criteria
-    if (rewardType === 'streak') {
-      reward.streakDays = parseInt(formData.get('streakDays'));
-      if (!reward.streakDays || reward.streakDays < 1) {
-        this.showError('Please enter valid streak days');
-        return;
-      }
-    } else if (rewardType === 'weight') {
-      reward.weightLoss = parseFloat(formData.get('weightLoss'));
-      if (!reward.weightLoss || reward.weightLoss < 0.1) {
-        this.showError('Please enter valid weight loss amount');
-        return;
-      }
-    } else if (rewardType === 'combo') {
-      reward.streakDays = parseInt(formData.get('comboStreak'));
-      reward.weightLoss = parseFloat(formData.get('comboWeight'));
-      if (!reward.streakDays || !reward.weightLoss) {
-        this.showError('Please enter valid streak days and weight loss');
-        return;
+      if (inQuotes) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
       }
     }
 
-    this.customRewards.push(reward);
-    this.saveData();
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
 
-    // Reset form and update display
-    e.target.reset();
-    this.updateRewardCriteria();
-    this.renderCustomRewards();
+    // Drop blank lines
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+  },
 
-    // Force regenerate milestones to include the new custom reward
-    this.initializeDefaultMilestones();
-    this.renderDefaultMilestones();
+  /**
+   * Convert a date cell to a YYYY-MM-DD key
+   * @returns {string|null} null if the value doesn't match the format
+   */
+  parseDate(value, format) {
+    const match = String(value).trim().match(this.DATE_FORMATS[format]);
+    if (!match) return null;
+
+    let year;
+    let month;
+    let day;
+    if (format === 'YYYY-MM-DD') {
+      [, year, month, day] = match;
+    } else if (format === 'MM/DD/YYYY') {
+      [, month, day, year] = match;
+    } else {
+      [, day, month, year] = match;
+    }
 
-    this.showSuccess('Custom reward added successfully!');
-  }
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    if (
+      date.getFullYear() !== Number(year) ||
+      date.getMonth() !== Number(month) - 1 ||
+      date.getDate() !== Number(day)
+    ) {
+      return null; // e.g. 31/02 or a month/day mix-up
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}`;
+  },
 
   /**
-   * Update reward criteria form visibility
+   * Guess the date format of a column from its values
+   * Picks the format that parses the most samples; on a tie (e.g. every day
+   * is 12 or less) the preferred format wins, then earlier formats
    */
-  updateRewardCriteria() {
-    const rewardType = document.getElementById('rewardType').value;
-    const criteriaElements = document.querySelectorAll('.reward-criteria');
+  detectDateFormat(values, preferred) {
+    const formats = Object.keys(this.DATE_FORMATS).sort(
+      (a, b) => (b === preferred) - (a === preferred)
+    );
+    const counts = formats.map((format) => ({
+      format,
+      parsed: values.filter((value) => this.parseDate(value, format)).length,
+    }));
+    return counts.reduce((best, count) =>
+      count.parsed > best.parsed ? count : best
+    ).format;
+  },
 
-    criteriaElements.forEach((el) => el.classList.add('hidden'));
+  /**
+   * Write a YYYY-MM-DD key in one of DATE_FORMATS
+   */
+  formatDate(dateString, format) {
+    const [year, month, day] = dateString.split('-');
+    if (format === 'MM/DD/YYYY') return `${month}/${day}/${year}`;
+    if (format === 'DD/MM/YYYY') return `${day}/${month}/${year}`;
+    return dateString;
+  },
 
-    if (rewardType) {
-      const targetCriteria = document.getElementById(`${rewardType}Criteria`);
-      if (targetCriteria) {
-        targetCriteria.classList.remove('hidden');
-      }
+  /**
+   * Parse a number cell, accepting "1,234.5", "1.234,5" and "72,5"
+   * @returns {number|null} null for empty or non-numeric cells
+   */
+  parseNumber(value) {
+    let text = String(value).trim().replace(/\s/g, '');
+    if (text === '') return null;
+
+    if (text.includes(',') && text.includes('.')) {
+      // Whichever separator comes last is the decimal point
+      text =
+        text.lastIndexOf(',') > text.lastIndexOf('.')
+          ? text.replace(/\./g, '').replace(',', '.')
+          : text.replace(/,/g, '');
+    } else if (/^-?\d{1,3}(,\d{3})+$/.test(text)) {
+      text = text.replace(/,/g, ''); // Thousands separators only
+    } else {
+      text = text.replace(',', '.');
     }
-  }
+
+    const number = parseFloat(text);
+    return isNaN(number) ? null : number;
+  },
 
   /**
-   * Render custom rewards list
+   * Parse a whole-number cell such as steps, where "12,345" and "12.345"
+   * both mean twelve thousand
    */
-  renderCustomRewards() {
-    const container = document.getElementById('customRewardsList');
-    if (!container) return;
+  parseInteger(value) {
+    const text = String(value).trim().replace(/\s/g, '');
+    if (/^\d{1,3}([.,]\d{3})+$/.test(text)) {
+      return Number(text.replace(/[.,]/g, ''));
+    }
 
-    container.innerHTML = '';
+    const number = this.parseNumber(text);
+    return number === null ? null : Math.round(number);
+  },
 
-    if (this.customRewards.length === 0) {
-      container.innerHTML =
-        '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">No custom rewards added yet.</p>';
-      return;
-    }
+  /**
+   * Whether a cell marks a checklist item as done
+   */
+  parseBoolean(value) {
+    return ['1', 'true', 'yes', 'y', 'x', '✓', '✔'].includes(
+      String(value).trim().toLowerCase()
+    );
+  },
+};
 
-    this.customRewards.forEach((reward, index) => {
-      const rewardEl = this.createCustomRewardElement(reward, index);
-      container.appendChild(rewardEl);
-    });
-  }
+// Make CsvFormat available globally
+window.CsvFormat = CsvFormat;
+
+/**
+ * Exercise types offered on the daily log, and mapping of activity names
+ * from other apps and devices (e.g. "Running",
+ * "HKWorkoutActivityTypeCycling", "Weights") onto them
+ */
+const ActivityTypes = {
+  EXERCISE_TYPES: [
+    { id: 'cardio', label: 'Cardio', icon: '🏃', color: '#ef4444' },
+    {
+      id: 'strength',
+      label: 'Strength Training',
+      icon: '🏋️',
+      color: '#8b5cf6',
+    },
+    { id: 'yoga', label: 'Yoga/Stretching', icon: '🧘', color: '#14b8a6' },
+    { id: 'sports', label: 'Sports', icon: '⚽', color: '#f97316' },
+    { id: 'walking', label: 'Walking', icon: '🚶', color: '#22c55e' },
+    { id: 'cycling', label: 'Cycling', icon: '🚴', color: '#3b82f6' },
+    { id: 'swimming', label: 'Swimming', icon: '🏊', color: '#06b6d4' },
+    { id: 'other', label: 'Other', icon: '💪', color: '#94a3b8' },
+  ],
 
   /**
-   * Create custom reward element
+   * Definition for an exercise type id; unknown ids get "Other"'s look
    */
-  createCustomRewardElement(reward, index) {
-    const el = document.createElement('div');
-    el.className = 'reward-item';
+  get(id) {
+    const other = this.EXERCISE_TYPES[this.EXERCISE_TYPES.length - 1];
+    return (
+      this.EXERCISE_TYPES.find((type) => type.id === id) || {
+        ...other,
+        id,
+        label: id,
+      }
+    );
+  },
 
-    let criteriaText = '';
-    if (reward.type === 'streak') {
-      criteriaText = `${reward.streakDays} day streak`;
-    } else if (reward.type === 'weight') {
-      criteriaText = `${reward.weightLoss} lbs lost`;
-    } else if (reward.type === 'combo') {
-      criteriaText = `${reward.streakDays} day streak + ${reward.weightLoss} lbs lost`;
-    }
+  KEYWORDS: [
+    ['cycling', ['cycl', 'bike', 'biking', 'ride', 'spin']],
+    ['walking', ['walk', 'hik']],
+    ['swimming', ['swim']],
+    ['yoga', ['yoga', 'pilates', 'stretch', 'flexibility', 'mindandbody']],
+    ['strength', ['strength', 'weight', 'crossfit', 'core']],
+    [
+      'sports',
+      [
+        'sport',
+        'soccer',
+        'football',
+        'basketball',
+        'tennis',
+        'golf',
+        'volleyball',
+        'baseball',
+        'hockey',
+        'badminton',
+        'squash',
+        'rugby',
+        'cricket',
+        'boxing',
+        'martialarts',
+      ],
+    ],
+    [
+      'cardio',
+      [
+        'run',
+        'jog',
+        'hiit',
+        'interval',
+        'elliptical',
+        'rowing',
+        'stair',
+        'cardio',
+        'aerobic',
+        'dance',
+        'jumprope',
+        'treadmill',
+      ],
+    ],
+  ],
 
-    el.innerHTML = `
-            <div class="reward-info">
-                <div class="reward-title">${reward.description}</div>
-                <div class="reward-criteria-text">${criteriaText}</div>
-            </div>
-            <div class="reward-actions">
-                <button class="btn btn-small btn-danger" onclick="app.deleteCustomReward(${index})">Delete</button>
-            </div>
-        `;
+  /**
+   * Exercise type id for an activity name; unknown activities are "other"
+   */
+  toExerciseType(name) {
+    const normalized = String(name || '')
+      .toLowerCase()
+      .replace(/^hkworkoutactivitytype/, '')
+      .replace(/[^a-z]/g, '');
+    const match = this.KEYWORDS.find(([, keywords]) =>
+      keywords.some((keyword) => normalized.includes(keyword))
+    );
+    return match ? match[0] : 'other';
+  },
+};
 
-    return el;
-  }
+// Make ActivityTypes available globally
+window.ActivityTypes = ActivityTypes;
+
+/**
+ * Exercise sessions - a day's exercise as a list of
+ * { type, minutes, intensity, notes } entries
+ *
+ * The log's exerciseMinutes and exerciseTypes are derived from its sessions
+ * so streaks, stats and exports keep working from the totals. Sessions made
+ * from an attached workout file carry its workoutId; sessions guessed from
+ * pre-session logs are flagged estimated.
+ */
+const ExerciseSessions = {
+  INTENSITIES: [
+    { id: 'light', label: 'Light' },
+    { id: 'moderate', label: 'Moderate' },
+    { id: 'vigorous', label: 'Vigorous' },
+  ],
 
   /**
-   * Delete custom reward
+   * Total minutes and the types with minutes logged
    */
-  deleteCustomReward(index) {
-    if (confirm('Are you sure you want to delete this reward?')) {
-      this.customRewards.splice(index, 1);
-      this.saveData();
-      this.renderCustomRewards();
-      this.renderDefaultMilestones();
-      this.showSuccess('Custom reward deleted.');
-    }
-  }
+  totals(sessions) {
+    const logged = sessions.filter((session) => session.minutes > 0);
+    return {
+      exerciseMinutes: logged.reduce((total, s) => total + s.minutes, 0),
+      exerciseTypes: [...new Set(logged.map((session) => session.type))],
+    };
+  },
 
   /**
-   * Render achievement history
+   * Copy of a log with new sessions and the totals derived from them
    */
-  renderAchievementHistory() {
-    const container = document.getElementById('achievementHistory');
-    if (!container) return;
+  apply(log, sessions) {
+    return { ...log, exerciseSessions: sessions, ...this.totals(sessions) };
+  },
 
-    container.innerHTML = '';
+  /**
+   * A log's sessions, building them from the totals for older logs
+   */
+  getSessions(log) {
+    if (!log) return [];
+    return Array.isArray(log.exerciseSessions)
+      ? log.exerciseSessions
+      : this.fromLegacy(log);
+  },
 
-    if (this.achievements.length === 0) {
-      container.innerHTML =
-        '<p style="color: var(--text-secondary); text-align: center; padding: 2rem;">No achievements yet. Keep working towards your goals!</p>';
-      return;
-    }
+  /**
+   * Split minutes evenly across types; the split is a guess when there is
+   * more than one type
+   */
+  split(minutes, types, notes = '') {
+    const list = types.length ? types : ['other'];
+    const base = Math.floor(minutes / list.length);
+    const extra = minutes - base * list.length;
+
+    return list
+      .map((type, index) => ({
+        type,
+        minutes: base + (index < extra ? 1 : 0),
+        intensity: null,
+        notes,
+        ...(list.length > 1 ? { estimated: true } : {}),
+      }))
+      .filter((session) => session.minutes > 0);
+  },
 
-    // Sort achievements by date (newest first)
-    const sortedAchievements = [...this.achievements].sort(
-      (a, b) => new Date(b.claimedDate) - new Date(a.claimedDate)
+  /**
+   * Sessions for a log saved before sessions existed: attached workouts
+   * become their own sessions and the remaining minutes are split across
+   * the day's other exercise types
+   */
+  fromLegacy(log) {
+    const sessions = (log.workouts || []).map((workout) =>
+      this.fromWorkout(workout)
     );
+    const remaining =
+      (parseInt(log.exerciseMinutes) || 0) -
+      sessions.reduce((total, session) => total + session.minutes, 0);
+    if (remaining <= 0) return sessions;
+
+    const types = Array.isArray(log.exerciseTypes) ? log.exerciseTypes : [];
+    const covered = sessions.map((session) => session.type);
+    const uncovered = types.filter((type) => !covered.includes(type));
+
+    return [
+      ...sessions,
+      ...this.split(remaining, uncovered.length ? uncovered : types),
+    ];
+  },
 
-    sortedAchievements.forEach((achievement) => {
-      const achievementEl = this.createAchievementElement(achievement);
-      container.appendChild(achievementEl);
+  /**
+   * Session for a workout parsed from a GPX, TCX or FIT file
+   */
+  fromWorkout(workout) {
+    return {
+      type: workout.type,
+      minutes: Math.round(workout.durationMinutes),
+      intensity: null,
+      notes: workout.name || '',
+      workoutId: workout.id,
+    };
+  },
+
+  /**
+   * Minutes, sessions and active days per exercise type across logs, most
+   * minutes first
+   * @returns {Array} [{ type, minutes, sessions, days }]
+   */
+  breakdown(logs) {
+    const byType = {};
+    logs.forEach((log) => {
+      const seen = new Set();
+      this.getSessions(log).forEach((session) => {
+        if (!(session.minutes > 0)) return;
+        const entry = byType[session.type] || {
+          type: session.type,
+          minutes: 0,
+          sessions: 0,
+          days: 0,
+        };
+        entry.minutes += session.minutes;
+        entry.sessions++;
+        if (!seen.has(session.type)) entry.days++;
+        seen.add(session.type);
+        byType[session.type] = entry;
+      });
     });
-  }
+
+    return Object.values(byType).sort(
+      (a, b) => b.minutes - a.minutes || b.sessions - a.sessions
+    );
+  },
 
   /**
-   * Create achievement element
+   * Minutes per exercise type for a log
    */
-  createAchievementElement(achievement) {
-    const el = document.createElement('div');
-    el.className = 'achievement-item';
+  minutesByType(log) {
+    return this.getSessions(log).reduce((byType, session) => {
+      if (session.minutes > 0) {
+        byType[session.type] = (byType[session.type] || 0) + session.minutes;
+      }
+      return byType;
+    }, {});
+  },
+};
+
+// Make ExerciseSessions available globally
+window.ExerciseSessions = ExerciseSessions;
+
+/**
+ * Activity merger - folds per-day totals from health apps into daily logs
+ *
+ * Unlike backup imports, imported days are merged field by field: steps and
+ * exercise minutes keep the larger value, weight only fills days without a
+ * weigh-in. Exercise minutes beyond what the day already has are added as a
+ * session of the imported types. Other fields are left alone.
+ */
+const ActivityMerger = {
+  /**
+   * @param {Object} currentLogs - Existing logs keyed by YYYY-MM-DD
+   * @param {Object} days - { date: { steps, weight, exerciseMinutes,
+   *   exerciseTypes } }, any field optional
+   * @param {Function} createLog - Blank log for a date without one
+   * @returns {Object} { changes, added, updated } - changes holds only the
+   *   new or modified logs, keyed by date
+   */
+  merge(currentLogs, days, createLog, timestamp = new Date().toISOString()) {
+    const changes = {};
+    let added = 0;
+    let updated = 0;
+
+    Object.entries(days).forEach(([date, day]) => {
+      const current = currentLogs[date];
+      const log = current ? { ...current } : createLog(date);
+
+      if (day.steps !== undefined) {
+        log.steps = Math.max(log.steps || 0, day.steps);
+      }
+      if (day.exerciseMinutes !== undefined) {
+        const sessions = ExerciseSessions.getSessions(log);
+        const missing =
+          day.exerciseMinutes -
+          ExerciseSessions.totals(sessions).exerciseMinutes;
+        if (missing > 0) {
+          Object.assign(
+            log,
+            ExerciseSessions.apply(log, [
+              ...sessions,
+              ...ExerciseSessions.split(
+                missing,
+                day.exerciseTypes || [],
+                'Imported'
+              ),
+            ])
+          );
+        }
+      }
+      if (
+        day.weight !== undefined &&
+        (log.weight === null || log.weight === undefined)
+      ) {
+        log.weight = day.weight;
+      }
 
-    const claimedDate = new Date(achievement.claimedDate).toLocaleDateString();
-    const rewardText = achievement.customReward
-      ? ` - Reward: ${achievement.customReward.description}`
-      : '';
+      if (!current) {
+        changes[date] = { ...log, timestamp };
+        added++;
+      } else if (JSON.stringify(log) !== JSON.stringify(current)) {
+        changes[date] = { ...log, timestamp };
+        updated++;
+      }
+    });
 
-    el.innerHTML = `
-            <div class="achievement-header">
-                <div class="achievement-title">${achievement.title}</div>
-                <div class="achievement-date">${claimedDate}</div>
-            </div>
-            <div class="achievement-description">
-                ${achievement.description}${rewardText}
-            </div>
-        `;
+    return { changes, added, updated };
+  },
+};
 
-    return el;
-  }
+// Make ActivityMerger available globally
+window.ActivityMerger = ActivityMerger;
+
+/**
+ * Apple Health export.xml parser
+ *
+ * Exports are often hundreds of MB, so the file is read in chunks and only
+ * per-day totals are kept. Each <Record> and <Workout> keeps its data in
+ * the opening tag's attributes, so matching opening tags is enough.
+ */
+const AppleHealthParser = {
+  CHUNK_SIZE: 4 * 1024 * 1024,
 
   /**
-   * Check for new achievements after daily log
+   * @param {Blob} file - export.xml
+   * @param {Object} options - weightUnit to store weights in,
+   *   convertWeight(weight, fromUnit, toUnit) and onProgress(fraction)
+   * @returns {Promise<Object>} Per-day totals for ActivityMerger.merge()
    */
-  checkAchievements() {
-    const newAchievements = [];
-
-    // Check streak milestones
-    this.defaultMilestones
-      .filter((m) => m.type === 'streak')
-      .forEach((milestone) => {
-        if (
-          this.isMilestoneAchieved(milestone) &&
-          !this.isMilestoneClaimedInAchievements(milestone)
-        ) {
-          newAchievements.push(milestone);
+  async parse(file, options) {
+    const stepsBySource = {}; // date -> source -> steps
+    const weights = {}; // date -> { time, weight }
+    const workouts = {}; // date -> { minutes, types }
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleTag = (tag) => {
+      const attributes = this.parseAttributes(tag);
+      const date = (attributes.startDate || '').slice(0, 10);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return;
+
+      if (tag.startsWith('<Workout')) {
+        const minutes = this.toMinutes(
+          parseFloat(attributes.duration),
+          attributes.durationUnit
+        );
+        if (!minutes) return;
+        workouts[date] = workouts[date] || { minutes: 0, types: new Set() };
+        workouts[date].minutes += minutes;
+        workouts[date].types.add(
+          ActivityTypes.toExerciseType(attributes.workoutActivityType)
+        );
+      } else if (attributes.type === 'HKQuantityTypeIdentifierStepCount') {
+        const source = attributes.sourceName || 'unknown';
+        stepsBySource[date] = stepsBySource[date] || {};
+        stepsBySource[date][source] =
+          (stepsBySource[date][source] || 0) +
+          (parseFloat(attributes.value) || 0);
+      } else if (attributes.type === 'HKQuantityTypeIdentifierBodyMass') {
+        const value = parseFloat(attributes.value);
+        if (!value) return;
+        const unit = /^lb/i.test(attributes.unit) ? 'lbs' : 'kg';
+        // Keep the last weigh-in of the day
+        if (!weights[date] || attributes.startDate > weights[date].time) {
+          weights[date] = {
+            time: attributes.startDate,
+            weight:
+              Math.round(
+                options.convertWeight(value, unit, options.weightUnit) * 10
+              ) / 10,
+          };
         }
-      });
+      }
+    };
 
-    // Check weight milestones
-    this.defaultMilestones
-      .filter((m) => m.type === 'weight')
-      .forEach((milestone) => {
-        if (
-          this.isMilestoneAchieved(milestone) &&
-          !this.isMilestoneClaimedInAchievements(milestone)
-        ) {
-          newAchievements.push(milestone);
-        }
+    for (let offset = 0; offset < file.size; offset += this.CHUNK_SIZE) {
+      const chunk = await file
+        .slice(offset, offset + this.CHUNK_SIZE)
+        .arrayBuffer();
+      buffer += decoder.decode(chunk, {
+        stream: offset + this.CHUNK_SIZE < file.size,
       });
 
-    // Show achievement notifications
-    if (newAchievements.length > 0) {
-      newAchievements.forEach((achievement) => {
-        this.showAchievementNotification(achievement);
-      });
+      // Only scan up to the last tag start; the rest may be cut off
+      const end = buffer.lastIndexOf('<');
+      const complete = end === -1 ? '' : buffer.slice(0, end);
+      buffer = end === -1 ? buffer : buffer.slice(end);
+      (complete.match(/<(Record|Workout)\s[^>]*>/g) || []).forEach(handleTag);
+
+      if (options.onProgress) {
+        options.onProgress(Math.min(1, (offset + this.CHUNK_SIZE) / file.size));
+      }
     }
-  }
+    (buffer.match(/<(Record|Workout)\s[^>]*>/g) || []).forEach(handleTag);
+
+    return this.combineDays(stepsBySource, weights, workouts);
+  },
 
   /**
-   * Show achievement notification
+   * Per-day totals from the collected samples
+   * Phone and watch both record steps, so the day's steps come from the
+   * source with the highest total rather than the sum of all sources
    */
-  showAchievementNotification(milestone) {
-    const customReward = this.getCustomRewardForMilestone(milestone);
-    const rewardText = customReward
-      ? ` Your reward: ${customReward.description}`
-      : '';
+  combineDays(stepsBySource, weights, workouts) {
+    const days = {};
+    const day = (date) => (days[date] = days[date] || {});
 
-    const message = `🎉 Achievement Unlocked: ${milestone.title}!${rewardText} Visit the Rewards tab to claim it.`;
-    this.showSuccess(message, 5000);
-  }
+    Object.entries(stepsBySource).forEach(([date, sources]) => {
+      day(date).steps = Math.round(Math.max(...Object.values(sources)));
+    });
+    Object.entries(weights).forEach(([date, { weight }]) => {
+      day(date).weight = weight;
+    });
+    Object.entries(workouts).forEach(([date, { minutes, types }]) => {
+      day(date).exerciseMinutes = Math.round(minutes);
+      day(date).exerciseTypes = [...types];
+    });
+
+    return days;
+  },
 
   /**
-   * Show achievement modal with celebration
+   * Attributes of an XML opening tag as an object
    */
-  showAchievementModal(achievement) {
-    // Create modal if it doesn't exist
-    let modal = document.getElementById('achievementModal');
-    if (!modal) {
-      modal = this.createAchievementModal();
-      document.body.appendChild(modal);
-    }
+  parseAttributes(tag) {
+    const attributes = {};
+    const pattern = /(\w+)="([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(tag))) {
+      attributes[match[1]] = match[2];
+    }
+    return attributes;
+  },
 
-    // Update modal content
-    const title = modal.querySelector('.modal-title');
-    const message = modal.querySelector('.modal-message');
+  /**
+   * Convert a workout duration to minutes
+   */
+  toMinutes(duration, unit = 'min') {
+    if (!duration) return 0;
+    if (unit === 's') return duration / 60;
+    if (unit === 'hr' || unit === 'h') return duration * 60;
+    return duration;
+  },
+};
 
-    title.textContent = '🎉 Achievement Claimed!';
+// Make AppleHealthParser available globally
+window.AppleHealthParser = AppleHealthParser;
 
-    const rewardText = achievement.customReward
-      ? ` Enjoy your reward: ${achievement.customReward.description}`
-      : ` Consider setting a custom reward for future milestones!`;
+/**
+ * Minimal zip reader for export archives - lists entries from the central
+ * directory and inflates single files with DecompressionStream, so only
+ * the files we need are ever read into memory
+ */
+const ZipArchive = {
+  /**
+   * List the archive's files as { name, method, compressedSize, offset }
+   */
+  async readEntries(blob) {
+    // End of central directory record: last 22 bytes plus a comment
+    const tailSize = Math.min(blob.size, 22 + 65535);
+    const tail = new DataView(
+      await blob.slice(blob.size - tailSize).arrayBuffer()
+    );
+    let end = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+      if (tail.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) throw new Error('Not a zip archive');
 
-    message.textContent = `${achievement.title} - ${achievement.description}.${rewardText}`;
+    const count = tail.getUint16(end + 10, true);
+    const directorySize = tail.getUint32(end + 12, true);
+    const directoryOffset = tail.getUint32(end + 16, true);
+    if (directoryOffset === 0xffffffff) {
+      throw new Error('Zip64 archives are not supported');
+    }
 
-    // Show modal with celebration animation
-    modal.classList.add('show');
-    document.body.classList.add('celebrating');
+    const directory = new DataView(
+      await blob
+        .slice(directoryOffset, directoryOffset + directorySize)
+        .arrayBuffer()
+    );
+    const decoder = new TextDecoder();
+    const entries = [];
+    let position = 0;
+
+    for (let i = 0; i < count; i++) {
+      if (directory.getUint32(position, true) !== 0x02014b50) break;
+
+      const nameLength = directory.getUint16(position + 28, true);
+      const extraLength = directory.getUint16(position + 30, true);
+      const commentLength = directory.getUint16(position + 32, true);
+      entries.push({
+        name: decoder.decode(
+          new Uint8Array(
+            directory.buffer,
+            directory.byteOffset + position + 46,
+            nameLength
+          )
+        ),
+        method: directory.getUint16(position + 10, true),
+        compressedSize: directory.getUint32(position + 20, true),
+        offset: directory.getUint32(position + 42, true),
+      });
+      position += 46 + nameLength + extraLength + commentLength;
+    }
 
-    setTimeout(() => {
-      document.body.classList.remove('celebrating');
-    }, 600);
-  }
+    return entries;
+  },
 
   /**
-   * Create achievement modal
+   * Read one entry as text (stored or deflated)
    */
-  createAchievementModal() {
-    const modal = document.createElement('div');
-    modal.id = 'achievementModal';
-    modal.className = 'modal';
-
-    modal.innerHTML = `
-            <div class="modal-content">
-                <h2 class="modal-title">Achievement!</h2>
-                <p class="modal-message"></p>
-                <button class="modal-btn" onclick="app.closeAchievementModal()">Awesome!</button>
-            </div>
-        `;
+  async readText(blob, entry) {
+    const header = new DataView(
+      await blob.slice(entry.offset, entry.offset + 30).arrayBuffer()
+    );
+    const start =
+      entry.offset +
+      30 +
+      header.getUint16(26, true) +
+      header.getUint16(28, true);
+    const data = blob.slice(start, start + entry.compressedSize);
+
+    if (entry.method === 0) {
+      return data.text();
+    }
+    if (entry.method === 8) {
+      const inflated = data
+        .stream()
+        .pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(inflated).text();
+    }
+    throw new Error(`Unsupported zip compression method ${entry.method}`);
+  },
+};
 
-    return modal;
-  }
+// Make ZipArchive available globally
+window.ZipArchive = ZipArchive;
 
-  /**
-   * Close achievement modal
-   */
-  closeAchievementModal() {
-    const modal = document.getElementById('achievementModal');
-    if (modal) {
-      modal.classList.remove('show');
-    }
-  }
+/**
+ * Google Takeout (Google Fit) and Fitbit data export parser
+ *
+ * - Google Fit: "Daily activity metrics.csv" with one row per day
+ * - Fitbit: steps-*.json, very/moderately_active_minutes-*.json,
+ *   weight-*.json and exercise-*.json, dated "MM/DD/YY HH:MM:SS"
+ *
+ * Fitbit weights are stored in the account's unit, which the export doesn't
+ * record, so they are returned separately for the caller to convert.
+ */
+const TakeoutParser = {
+  FITBIT_FILE:
+    /(?:^|\/)(steps|very_active_minutes|moderately_active_minutes|weight|exercise)-\d{4}-\d{2}-\d{2}\.json$/,
+  GOOGLE_FIT_FILE: /(?:^|\/)(Daily activity metrics|Daily Summaries)\.csv$/,
 
   /**
-   * Toggle theme between light and dark
+   * @param {Blob} file - Takeout or Fitbit export .zip
+   * @param {Object} options - weightUnit, convertWeight(weight, from, to)
+   *   and onProgress(fraction)
+   * @returns {Promise<Object>} { sources, days, fitbitWeights }
    */
-  toggleTheme() {
-    const currentTheme = document.documentElement.getAttribute('data-theme');
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+  async parse(file, options) {
+    const entries = (await ZipArchive.readEntries(file)).filter(
+      (entry) =>
+        this.FITBIT_FILE.test(entry.name) ||
+        this.GOOGLE_FIT_FILE.test(entry.name)
+    );
 
-    document.documentElement.setAttribute('data-theme', newTheme);
-    localStorage.setItem('byf_theme', newTheme);
+    const days = {};
+    const sources = new Set();
+    const fitbit = { steps: {}, activeMinutes: {}, types: {}, weights: {} };
 
-    this.updateThemeToggle(newTheme);
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const text = await ZipArchive.readText(file, entry);
 
-    // Update settings if user manually toggles (override system preference)
-    this.settings.themePreference = newTheme;
-    this.saveSettings();
+      if (this.GOOGLE_FIT_FILE.test(entry.name)) {
+        sources.add('Google Fit');
+        this.parseGoogleFit(text, days, options);
+      } else {
+        sources.add('Fitbit');
+        const kind = entry.name.match(this.FITBIT_FILE)[1];
+        this.parseFitbit(kind, JSON.parse(text), fitbit);
+      }
 
-    // Update radio button in settings
-    const themeRadio = document.querySelector(`input[value="${newTheme}"]`);
-    if (themeRadio) {
-      themeRadio.checked = true;
+      if (options.onProgress) {
+        options.onProgress((i + 1) / entries.length);
+      }
     }
-  }
 
-  /**
-   * Update theme toggle button text
-   */
-  updateThemeToggle(theme) {
-    const themeToggle = document.getElementById('themeToggle');
-    if (themeToggle) {
-      themeToggle.textContent =
-        theme === 'dark' ? '☀️ Light Mode' : '🌙 Dark Mode';
-    }
-  }
+    Object.entries(fitbit.steps).forEach(([date, steps]) =>
+      this.addDayValue(days, date, 'steps', Math.round(steps))
+    );
+    Object.entries(fitbit.activeMinutes).forEach(([date, minutes]) =>
+      this.addDayValue(days, date, 'exerciseMinutes', Math.round(minutes))
+    );
+    Object.entries(fitbit.types).forEach(([date, types]) => {
+      days[date] = days[date] || {};
+      days[date].exerciseTypes = [...types];
+    });
+
+    return { sources: [...sources], days, fitbitWeights: fitbit.weights };
+  },
 
   /**
-   * Update current date display
+   * Fold another source's value into a day, keeping the larger total
    */
-  updateCurrentDate() {
-    const currentDateEl = document.getElementById('currentDate');
-    if (currentDateEl) {
-      const today = new Date();
-      currentDateEl.textContent = today.toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-      });
-    }
-  }
+  addDayValue(days, date, field, value) {
+    days[date] = days[date] || {};
+    days[date][field] = Math.max(days[date][field] || 0, value);
+  },
 
   /**
-   * Show setup screen
+   * Google Fit daily summary: Date, Step count, Move Minutes count and
+   * Average weight (kg) columns
    */
-  showSetupScreen() {
-    document.getElementById('setupScreen').classList.remove('hidden');
-    document.getElementById('appScreen').classList.add('hidden');
-  }
+  parseGoogleFit(text, days, options) {
+    const [header, ...rows] = CsvFormat.parse(text);
+    const column = (name) =>
+      header.findIndex(
+        (cell) => cell.trim().toLowerCase() === name.toLowerCase()
+      );
+    const dateColumn = column('Date');
+    const stepsColumn = column('Step count');
+    const minutesColumn = column('Move Minutes count');
+    const weightColumn = column('Average weight (kg)');
+    if (dateColumn === -1) return;
+
+    rows.forEach((row) => {
+      const date = CsvFormat.parseDate(row[dateColumn], 'YYYY-MM-DD');
+      if (!date) return;
+
+      const steps = CsvFormat.parseNumber(row[stepsColumn] || '');
+      const minutes = CsvFormat.parseNumber(row[minutesColumn] || '');
+      const weight = CsvFormat.parseNumber(row[weightColumn] || '');
+
+      if (steps !== null) {
+        this.addDayValue(days, date, 'steps', Math.round(steps));
+      }
+      if (minutes !== null) {
+        this.addDayValue(days, date, 'exerciseMinutes', Math.round(minutes));
+      }
+      if (weight) {
+        days[date] = days[date] || {};
+        days[date].weight =
+          Math.round(
+            options.convertWeight(weight, 'kg', options.weightUnit) * 10
+          ) / 10;
+      }
+    });
+  },
 
   /**
-   * Show main app screen - UPDATED VERSION
+   * Collect one Fitbit JSON file (a list of samples) into per-day totals
+   * Very and moderately active minutes add up to the day's active minutes
    */
-  showAppScreen() {
-    document.getElementById('setupScreen').classList.add('hidden');
-    document.getElementById('appScreen').classList.remove('hidden');
+  parseFitbit(kind, samples, fitbit) {
+    if (!Array.isArray(samples)) return;
 
-    // Initialize default milestones when showing app
-    this.initializeDefaultMilestones();
-  }
+    samples.forEach((sample) => {
+      // Exercise entries are dated by when the activity started
+      const date = this.parseFitbitDate(
+        kind === 'exercise' ? sample.startTime : sample.dateTime || sample.date
+      );
+      if (!date) return;
+
+      if (kind === 'weight') {
+        fitbit.weights[date] = parseFloat(sample.weight);
+      } else if (kind === 'exercise') {
+        fitbit.types[date] = fitbit.types[date] || new Set();
+        fitbit.types[date].add(
+          ActivityTypes.toExerciseType(sample.activityName)
+        );
+      } else {
+        const totals = kind === 'steps' ? fitbit.steps : fitbit.activeMinutes;
+        totals[date] = (totals[date] || 0) + (parseFloat(sample.value) || 0);
+      }
+    });
+  },
 
   /**
-   * Show success message
+   * Fitbit "MM/DD/YY HH:MM:SS" (or "MM/DD/YY") to YYYY-MM-DD
    */
-  showSuccess(message, duration = 3000) {
-    // Remove existing success messages
-    const existingMessages = document.querySelectorAll('.success-message');
-    existingMessages.forEach((msg) => msg.remove());
-
-    // Create new success message
-    const successEl = document.createElement('div');
-    successEl.className = 'success-message';
-    successEl.textContent = message;
-
-    document.body.appendChild(successEl);
+  parseFitbitDate(value) {
+    const match = String(value || '').match(/^(\d{2})\/(\d{2})\/(\d{2})/);
+    return match ? `20${match[3]}-${match[1]}-${match[2]}` : null;
+  },
+};
 
-    // Show message
-    setTimeout(() => {
-      successEl.classList.add('show');
-    }, 100);
+// Make TakeoutParser available globally
+window.TakeoutParser = TakeoutParser;
 
-    // Hide and remove message
-    setTimeout(() => {
-      successEl.classList.remove('show');
-      setTimeout(() => {
-        if (successEl.parentNode) {
-          successEl.parentNode.removeChild(successEl);
-        }
-      }, 300);
-    }, duration);
-  }
+/**
+ * Workout file parser - reads GPX, TCX and FIT activity files locally
+ *
+ * Each file becomes one workout: { id, source, name, activity, type,
+ * startTime, date, durationMinutes, distanceKm }, where type is one of our
+ * exercise types and date is the local day the workout started.
+ */
+const WorkoutFileParser = {
+  FIT_EPOCH: 631065600, // 1989-12-31T00:00:00Z in Unix seconds
+
+  FIT_SPORTS: {
+    0: 'generic',
+    1: 'running',
+    2: 'cycling',
+    4: 'fitness equipment',
+    5: 'swimming',
+    6: 'basketball',
+    7: 'soccer',
+    8: 'tennis',
+    10: 'training',
+    11: 'walking',
+    15: 'rowing',
+    17: 'hiking',
+    21: 'e-biking',
+  },
 
-  /**
-   * Show error message
-   */
-  showError(message) {
-    alert(`Error: ${message}`);
-  }
+  async parse(file) {
+    const extension = (file.name.match(/\.(\w+)$/) || [])[1] || '';
+    let workout;
 
-  /**
-   * Show processing indicator
-   */
-  showProcessing(message = 'Processing...') {
-    const processingEl = document.getElementById('processingStatus');
-    const iconEl = processingEl?.querySelector('.processing-icon');
-    const textEl = processingEl?.querySelector('.processing-text');
+    if (/^fit$/i.test(extension)) {
+      workout = this.parseFit(await file.arrayBuffer());
+    } else if (/^(gpx|tcx)$/i.test(extension)) {
+      const doc = new DOMParser().parseFromString(
+        await file.text(),
+        'application/xml'
+      );
+      if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('File is not valid XML');
+      }
+      workout = /^gpx$/i.test(extension)
+        ? this.parseGpx(doc)
+        : this.parseTcx(doc);
+    } else {
+      throw new Error('Unsupported workout file type');
+    }
 
-    if (processingEl && iconEl && textEl) {
-      iconEl.textContent = '⏳';
-      textEl.textContent = message;
-      processingEl.className = 'processing-status processing';
-      processingEl.classList.remove('hidden');
+    if (!workout.startTime || !workout.durationMinutes) {
+      throw new Error('No workout time found in file');
     }
-  }
+
+    const type = ActivityTypes.toExerciseType(workout.activity);
+    return {
+      id: `${workout.source}-${workout.startTime.toISOString()}`,
+      source: workout.source,
+      name: workout.name || file.name.replace(/\.\w+$/, ''),
+      activity: workout.activity || type,
+      type,
+      startTime: workout.startTime.toISOString(),
+      date: DateUtils.toDateKey(workout.startTime),
+      durationMinutes: Math.round(workout.durationMinutes * 10) / 10,
+      distanceKm: Math.round((workout.distanceKm || 0) * 100) / 100,
+    };
+  },
 
   /**
-   * Hide processing indicator
+   * Elements by local name, ignoring XML namespaces
    */
-  hideProcessing() {
-    const processingEl = document.getElementById('processingStatus');
-    if (processingEl) {
-      processingEl.classList.add('hidden');
-      processingEl.className = 'processing-status hidden';
-    }
-  }
+  elements(parent, name) {
+    return Array.from(parent.getElementsByTagNameNS('*', name));
+  },
 
   /**
-   * Show processing success briefly
+   * GPX: duration from the first and last track point times, distance from
+   * the points' coordinates
    */
-  showProcessingSuccess(message = 'Complete!', duration = 2000) {
-    const processingEl = document.getElementById('processingStatus');
-    const iconEl = processingEl?.querySelector('.processing-icon');
-    const textEl = processingEl?.querySelector('.processing-text');
-
-    if (processingEl && iconEl && textEl) {
-      iconEl.textContent = '✅';
-      textEl.textContent = message;
-      processingEl.className = 'processing-status success';
-      processingEl.classList.remove('hidden');
+  parseGpx(doc) {
+    const points = this.elements(doc, 'trkpt');
+    const times = points
+      .map((point) => this.elements(point, 'time')[0])
+      .filter(Boolean)
+      .map((time) => new Date(time.textContent.trim()))
+      .filter((time) => !isNaN(time));
+
+    let distanceKm = 0;
+    for (let i = 1; i < points.length; i++) {
+      distanceKm += this.haversineKm(points[i - 1], points[i]);
+    }
+
+    const track = this.elements(doc, 'trk')[0];
+    const child = (name) => {
+      const el = track && this.elements(track, name)[0];
+      return el ? el.textContent.trim() : '';
+    };
 
-      setTimeout(() => {
-        this.hideProcessing();
-      }, duration);
-    }
-  }
+    return {
+      source: 'gpx',
+      name: child('name'),
+      activity: child('type'),
+      startTime: times[0],
+      durationMinutes:
+        times.length > 1 ? (times[times.length - 1] - times[0]) / 60000 : 0,
+      distanceKm,
+    };
+  },
 
   /**
-   * Show processing error briefly
+   * Great-circle distance between two GPX points
    */
-  showProcessingError(message = 'Error occurred', duration = 3000) {
-    const processingEl = document.getElementById('processingStatus');
-    const iconEl = processingEl?.querySelector('.processing-icon');
-    const textEl = processingEl?.querySelector('.processing-text');
-
-    if (processingEl && iconEl && textEl) {
-      iconEl.textContent = '❌';
-      textEl.textContent = message;
-      processingEl.className = 'processing-status error';
-      processingEl.classList.remove('hidden');
+  haversineKm(a, b) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const lat1 = toRadians(parseFloat(a.getAttribute('lat')));
+    const lat2 = toRadians(parseFloat(b.getAttribute('lat')));
+    const deltaLat = lat2 - lat1;
+    const deltaLon = toRadians(
+      parseFloat(b.getAttribute('lon')) - parseFloat(a.getAttribute('lon'))
+    );
 
-      setTimeout(() => {
-        this.hideProcessing();
-      }, duration);
-    }
-  }
+    const h =
+      Math.sin(deltaLat / 2) ** 2 +
+      Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLon / 2) ** 2;
+    const km = 2 * 6371 * Math.asin(Math.sqrt(h));
+    return isNaN(km) ? 0 : km;
+  },
 
   /**
-   * Export data as JSON
+   * TCX: the activity's sport plus the sum of its laps' time and distance
    */
-  exportData() {
-    const exportData = {
-      user: this.currentUser,
-      dailyLogs: this.dailyLogs,
-      streaks: this.streaks,
-      customRewards: this.customRewards,
-      achievements: this.achievements,
-      exportDate: new Date().toISOString(),
-      version: '1.0',
+  parseTcx(doc) {
+    const activity = this.elements(doc, 'Activity')[0];
+    if (!activity) throw new Error('No activity found in file');
+
+    // Track points also have DistanceMeters, so only read lap children
+    const lapValue = (lap, name) => {
+      const el = Array.from(lap.children).find(
+        (node) => node.localName === name
+      );
+      return el ? parseFloat(el.textContent) || 0 : 0;
     };
+    const laps = this.elements(activity, 'Lap');
+    const lapTotal = (name) =>
+      laps.reduce((total, lap) => total + lapValue(lap, name), 0);
+    const notes = this.elements(activity, 'Notes')[0];
 
-    const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `bribeYourselfFit_backup_${
-      new Date().toISOString().split('T')[0]
-    }.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-
-    this.showSuccess('Data exported successfully!');
-  }
+    return {
+      source: 'tcx',
+      name: notes ? notes.textContent.trim() : '',
+      activity: activity.getAttribute('Sport'),
+      startTime: laps.length
+        ? new Date(laps[0].getAttribute('StartTime'))
+        : undefined,
+      durationMinutes: lapTotal('TotalTimeSeconds') / 60,
+      distanceKm: lapTotal('DistanceMeters') / 1000,
+    };
+  },
 
   /**
-   * Import data from JSON file
+   * FIT: binary records; only session messages (global number 18) are read
+   * for start time, sport, timer time and distance
    */
-  importData(file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const importedData = JSON.parse(e.target.result);
-
-        // Validate imported data structure
-        if (!this.validateImportData(importedData)) {
-          this.showError('Invalid backup file format');
-          return;
+  parseFit(buffer) {
+    const view = new DataView(buffer);
+    const signature =
+      buffer.byteLength >= 12
+        ? String.fromCharCode(...new Uint8Array(buffer, 8, 4))
+        : '';
+    if (signature !== '.FIT') throw new Error('Not a FIT file');
+
+    const headerSize = view.getUint8(0);
+    const end = Math.min(
+      headerSize + view.getUint32(4, true),
+      buffer.byteLength
+    );
+    const definitions = {};
+    const sessions = [];
+    let position = headerSize;
+
+    while (position < end) {
+      const header = view.getUint8(position++);
+
+      if (header & 0x80) {
+        // Compressed timestamp header - always a data message
+        const definition = definitions[(header >> 5) & 0x03];
+        position = this.readFitMessage(view, position, definition, sessions);
+      } else if (header & 0x40) {
+        // Definition message
+        const littleEndian = view.getUint8(position + 1) === 0;
+        const globalNumber = view.getUint16(position + 2, littleEndian);
+        const fieldCount = view.getUint8(position + 4);
+        position += 5;
+
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++) {
+          fields.push({
+            number: view.getUint8(position),
+            size: view.getUint8(position + 1),
+          });
+          position += 3;
         }
 
-        // Confirm import
-        if (
-          !confirm(
-            'This will replace all current data. Are you sure you want to import?'
-          )
-        ) {
-          return;
+        let developerSize = 0;
+        if (header & 0x20) {
+          const developerCount = view.getUint8(position++);
+          for (let i = 0; i < developerCount; i++) {
+            developerSize += view.getUint8(position + 1);
+            position += 3;
+          }
         }
 
-        // Import data
-        this.currentUser = importedData.user;
-        this.dailyLogs = importedData.dailyLogs || {};
-        this.streaks = importedData.streaks || this.initializeStreaks();
-        this.customRewards = importedData.customRewards || [];
-        this.achievements = importedData.achievements || [];
-
-        // Save imported data
-        this.saveData();
+        definitions[header & 0x0f] = {
+          littleEndian,
+          globalNumber,
+          fields,
+          developerSize,
+        };
+      } else {
+        const definition = definitions[header & 0x0f];
+        position = this.readFitMessage(view, position, definition, sessions);
+      }
+    }
 
-        // Refresh display
-        this.updateDashboard();
-        this.initializeDefaultMilestones();
+    if (sessions.length === 0) throw new Error('No session found in file');
 
-        this.showSuccess('Data imported successfully!');
+    const total = (field) =>
+      sessions.reduce((sum, session) => sum + (session[field] || 0), 0);
+    const first = sessions[0];
 
-        // Refresh page to ensure clean state
-        setTimeout(() => {
-          location.reload();
-        }, 1500);
-      } catch (error) {
-        console.error('Import error:', error);
-        this.showError('Failed to import data. Please check the file format.');
-      }
+    return {
+      source: 'fit',
+      name: '',
+      activity: this.FIT_SPORTS[first[5]] || 'other',
+      startTime:
+        first[2] === undefined
+          ? undefined
+          : new Date((first[2] + this.FIT_EPOCH) * 1000),
+      // Timer time excludes pauses; fall back to elapsed time
+      durationMinutes: (total(8) || total(7)) / 1000 / 60,
+      distanceKm: total(9) / 100 / 1000,
     };
-
-    reader.readAsText(file);
-  }
+  },
 
   /**
-   * Validate imported data structure
+   * Read one FIT data message, collecting session fields
+   * @returns {number} Position after the message
    */
-  validateImportData(data) {
-    return (
-      data &&
-      data.user &&
-      typeof data.user.startingWeight === 'number' &&
-      typeof data.user.goalWeight === 'number' &&
-      typeof data.user.dailySteps === 'number' &&
-      typeof data.user.dailyExercise === 'number' &&
-      typeof data.user.dailyWater === 'number'
-    );
-  }
+  readFitMessage(view, position, definition, sessions) {
+    if (!definition) throw new Error('Corrupt FIT file');
+
+    const isSession = definition.globalNumber === 18;
+    const values = {};
+
+    definition.fields.forEach(({ number, size }) => {
+      if (isSession) {
+        const value = this.readFitValue(
+          view,
+          position,
+          size,
+          definition.littleEndian
+        );
+        if (value !== null) values[number] = value;
+      }
+      position += size;
+    });
+
+    if (isSession) sessions.push(values);
+    return position + definition.developerSize;
+  },
 
   /**
-   * Reset all data (updated version)
+   * Unsigned value of 1, 2 or 4 bytes; null for FIT's "invalid" markers
    */
-  resetAllData() {
-    if (
-      !confirm(
-        'This will delete ALL data including your profile, logs, and achievements. This cannot be undone. Are you sure?'
-      )
-    ) {
-      return;
+  readFitValue(view, position, size, littleEndian) {
+    if (size === 1) {
+      const value = view.getUint8(position);
+      return value === 0xff ? null : value;
     }
-
-    if (!confirm('Really sure? This will permanently delete everything!')) {
-      return;
+    if (size === 2) {
+      const value = view.getUint16(position, littleEndian);
+      return value === 0xffff ? null : value;
     }
+    if (size === 4) {
+      const value = view.getUint32(position, littleEndian);
+      return value === 0xffffffff ? null : value;
+    }
+    return null;
+  },
+};
 
-    // Clear localStorage - add settings to the list
-    const keysToRemove = [
-      'byf_user',
-      'byf_dailyLogs',
-      'byf_streaks',
-      'byf_customRewards',
-      'byf_achievements',
-      'byf_settings',
-      'byf_theme',
-    ];
-    keysToRemove.forEach((key) => localStorage.removeItem(key));
+// Make WorkoutFileParser available globally
+window.WorkoutFileParser = WorkoutFileParser;
 
-    // Reset app state
-    this.currentUser = null;
-    this.dailyLogs = {};
-    this.streaks = {};
-    this.customRewards = [];
-    this.achievements = [];
-    this.settings = this.getDefaultSettings(); // Add this line
+/**
+ * localStorage keys used for fitness data before (and without) IndexedDB
+ */
+const STORAGE_KEYS = {
+  user: 'byf_user',
+  dailyLogs: 'byf_dailyLogs',
+  streaks: 'byf_streaks',
+  customRewards: 'byf_customRewards',
+  achievements: 'byf_achievements',
+};
 
-    this.showSuccess('All data has been reset. Redirecting to setup...');
+/**
+ * localStorage key holding the data schema version for the fallback adapter
+ */
+const SCHEMA_VERSION_KEY = 'byf_schemaVersion';
 
-    // Refresh page after short delay
-    setTimeout(() => {
-      location.reload();
-    }, 2000);
-  }
+/**
+ * Storage adapters
+ *
+ * Both adapters share one promise-based interface:
+ * - init()                 Prepare the store
+ * - loadAll()              Resolve to { user, dailyLogs, streaks,
+ *                          customRewards, achievements }
+ * - saveCollections(data)  Save user, streaks, customRewards, achievements
+ * - saveLog(entry)         Insert or replace one day's log
+ * - deleteLog(date)        Remove one day's log
+ * - replaceLogs(dailyLogs) Replace every daily log
+ * - replaceAll(data)       replaceLogs and saveCollections in one write
+ * - clear()                Delete all stored fitness data
+ * - getSchemaVersion()     Resolve to the stored data schema version, or
+ *                          null if none has been recorded
+ * - setSchemaVersion(v)    Record the data schema version
+ */
 
-  /**
-   * Get app statistics for debugging/info
-   */
-  getAppStats() {
-    const startTime = performance.now(); // Add this line
-    const totalLogs = Object.keys(this.dailyLogs).length;
-    const weightLogs = Object.values(this.dailyLogs).filter(
-      (log) => log.weight !== null
-    ).length;
-    const totalExerciseMinutes = Object.values(this.dailyLogs).reduce(
-      (sum, log) => sum + (log.exerciseMinutes || 0),
-      0
-    );
-    const totalSteps = Object.values(this.dailyLogs).reduce(
-      (sum, log) => sum + (log.steps || 0),
-      0
-    );
-    const totalWater = Object.values(this.dailyLogs).reduce(
-      (sum, log) => sum + (log.water || 0),
-      0
-    );
+/**
+ * IndexedDB adapter - one record per day in a store keyed by date, so
+ * saving a log only writes that day no matter how long the history is
+ */
+class IndexedDBStorageAdapter {
+  constructor() {
+    this.name = 'indexedDB';
+    this.label = 'IndexedDB (browser database)';
+    this.dbName = 'BribeYourselfFit';
+    this.dbVersion = 1;
+    this.db = null;
+  }
 
-    const stats = {
-      profileCreated: this.currentUser?.setupDate,
-      totalDaysLogged: totalLogs,
-      weightEntriesLogged: weightLogs,
-      currentStreak: this.streaks.overall,
-      longestStreak: Math.max(
-        this.streaks.steps,
-        this.streaks.exercise,
-        this.streaks.water,
-        this.streaks.wellness,
-        this.streaks.overall
-      ),
-      totalExerciseMinutes,
-      totalSteps,
-      totalWaterLiters: totalWater,
-      achievementsUnlocked: this.achievements.length,
-      customRewards: this.customRewards.length,
-    };
+  async init() {
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
 
-    if (this.currentUser) {
-      stats.weightProgress = {
-        starting: this.currentUser.startingWeight,
-        current: this.currentUser.currentWeight,
-        goal: this.currentUser.goalWeight,
-        lost: this.currentUser.startingWeight - this.currentUser.currentWeight,
-        remaining: Math.abs(
-          this.currentUser.currentWeight - this.currentUser.goalWeight
-        ),
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('dailyLogs')) {
+          db.createObjectStore('dailyLogs', { keyPath: 'date' });
+        }
+        if (!db.objectStoreNames.contains('appData')) {
+          db.createObjectStore('appData');
+        }
       };
-    }
-
-    const loadTime = performance.now() - startTime;
-    stats.performanceMs = Math.round(loadTime * 100) / 100;
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () =>
+        reject(new Error('Database upgrade blocked by another open tab'));
+    });
 
-    console.table(stats);
-    return stats;
+    await this.migrateFromLocalStorage();
   }
 
-  // Add these to your BribeYourselfFit class:
-
   /**
-   * Handle import data button click
+   * One-time copy of legacy byf_* localStorage data into IndexedDB
    */
-  handleImportData() {
-    const fileInput = document.getElementById('importFile');
-    const file = fileInput.files[0];
+  async migrateFromLocalStorage() {
+    const meta = (await this.get('appData', 'meta')) || {};
+    if (meta.migratedFromLocalStorage) return;
 
-    if (!file) {
-      this.showError('Please select a backup file first');
-      return;
-    }
+    const legacy = {};
+    Object.entries(STORAGE_KEYS).forEach(([field, key]) => {
+      legacy[field] = JSON.parse(localStorage.getItem(key));
+    });
+    const legacyVersion = JSON.parse(localStorage.getItem(SCHEMA_VERSION_KEY));
 
-    this.importData(file);
+    await this.run(['dailyLogs', 'appData'], (stores) => {
+      // Key each log by its day even if very old entries lack a date field
+      Object.entries(legacy.dailyLogs || {}).forEach(([date, log]) =>
+        stores.dailyLogs.put({ ...log, date })
+      );
+      ['user', 'streaks', 'customRewards', 'achievements'].forEach((field) => {
+        if (legacy[field] !== null) {
+          stores.appData.put(legacy[field], field);
+        }
+      });
+      stores.appData.put(
+        {
+          ...meta,
+          ...(legacyVersion !== null && { schemaVersion: legacyVersion }),
+          migratedFromLocalStorage: new Date().toISOString(),
+        },
+        'meta'
+      );
+    });
+
+    // Only remove the old keys once the copy has been committed
+    Object.values(STORAGE_KEYS).forEach((key) => localStorage.removeItem(key));
+    localStorage.removeItem(SCHEMA_VERSION_KEY);
+
+    if (legacy.dailyLogs || legacy.user) {
+      console.log(
+        `📦 Migrated ${
+          Object.keys(legacy.dailyLogs || {}).length
+        } daily logs from localStorage to IndexedDB`
+      );
+    }
   }
 
-  /**
-   * Reset functions for danger zone
-   */
-  resetStreaks() {
-    if (!confirm('This will reset all your streaks to 0. Continue?')) return;
+  async loadAll() {
+    const [logs, user, streaks, customRewards, achievements] =
+      await Promise.all([
+        this.getAll('dailyLogs'),
+        this.get('appData', 'user'),
+        this.get('appData', 'streaks'),
+        this.get('appData', 'customRewards'),
+        this.get('appData', 'achievements'),
+      ]);
+
+    const dailyLogs = {};
+    logs.forEach((log) => {
+      dailyLogs[log.date] = log;
+    });
 
-    this.streaks = this.initializeStreaks();
-    this.saveData();
-    this.updateDashboard();
-    this.showSuccess('All streaks have been reset');
+    return { user, dailyLogs, streaks, customRewards, achievements };
   }
 
-  clearTodaysLog() {
-    if (!confirm("This will clear today's fitness log. Continue?")) return;
+  saveCollections(data) {
+    return this.run(['appData'], (stores) => {
+      ['user', 'streaks', 'customRewards', 'achievements'].forEach((field) =>
+        stores.appData.put(data[field], field)
+      );
+    });
+  }
 
-    delete this.dailyLogs[this.currentDate];
-    this.saveData();
-    this.updateDashboard();
-    this.showSuccess("Today's log has been cleared");
+  saveLog(entry) {
+    return this.run(['dailyLogs'], (stores) => stores.dailyLogs.put(entry));
   }
 
-  resetProfile() {
-    if (!confirm('This will reset your profile but keep your logs. Continue?'))
-      return;
+  deleteLog(date) {
+    return this.run(['dailyLogs'], (stores) => stores.dailyLogs.delete(date));
+  }
 
-    // Save current logs and achievements
-    const savedLogs = { ...this.dailyLogs };
-    const savedAchievements = [...this.achievements];
+  replaceLogs(dailyLogs) {
+    return this.run(['dailyLogs'], (stores) => {
+      stores.dailyLogs.clear();
+      Object.values(dailyLogs).forEach((log) => stores.dailyLogs.put(log));
+    });
+  }
 
-    // Reset to setup screen
-    this.currentUser = null;
-    this.saveData();
-    this.showSetupScreen();
+  replaceAll(data) {
+    return this.run(['dailyLogs', 'appData'], (stores) => {
+      stores.dailyLogs.clear();
+      Object.values(data.dailyLogs).forEach((log) => stores.dailyLogs.put(log));
+      ['user', 'streaks', 'customRewards', 'achievements'].forEach((field) =>
+        stores.appData.put(data[field], field)
+      );
+    });
+  }
 
-    this.showSuccess('Profile reset. Please set up your goals again.');
+  clear() {
+    return this.run(['dailyLogs', 'appData'], (stores) => {
+      stores.dailyLogs.clear();
+      // Keep the migration marker so cleared data isn't re-imported
+      stores.appData.clear();
+      stores.appData.put(
+        { migratedFromLocalStorage: new Date().toISOString() },
+        'meta'
+      );
+    });
   }
 
-  resetLogs() {
-    if (
-      !confirm(
-        'This will delete ALL daily logs but keep your profile. Continue?'
-      )
-    )
-      return;
-    if (!confirm('Are you sure? This cannot be undone!')) return;
+  async getSchemaVersion() {
+    const meta = await this.get('appData', 'meta');
+    return (meta && meta.schemaVersion) || null;
+  }
 
-    this.dailyLogs = {};
-    this.streaks = this.initializeStreaks();
-    this.achievements = [];
-    this.saveData();
-    this.updateDashboard();
-    this.showSuccess('All daily logs have been cleared');
+  async setSchemaVersion(version) {
+    const meta = (await this.get('appData', 'meta')) || {};
+    await this.run(['appData'], (stores) =>
+      stores.appData.put({ ...meta, schemaVersion: version }, 'meta')
+    );
   }
 
   /**
-   * Debug method to check form and data state
+   * Run work against the given stores in one readwrite transaction
+   * Resolves when the transaction commits
    */
-  debugFormState() {
-    console.log('=== FORM DEBUG INFO ===');
-    console.log('Current date:', this.currentDate);
-    console.log("Today's log:", this.dailyLogs[this.currentDate]);
-    console.log('All daily logs:', this.dailyLogs);
+  run(storeNames, work) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, 'readwrite');
+      const stores = {};
+      storeNames.forEach((name) => {
+        stores[name] = transaction.objectStore(name);
+      });
 
-    // Check form elements
-    const weightInput = document.getElementById('todayWeight');
-    const stepsInput = document.getElementById('todaySteps');
-    const exerciseInput = document.getElementById('todayExerciseMinutes');
-    const waterInput = document.getElementById('todayWater');
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
 
-    console.log('Form elements found:', {
-      weight: !!weightInput,
-      steps: !!stepsInput,
-      exercise: !!exerciseInput,
-      water: !!waterInput,
+      work(stores);
     });
+  }
 
-    console.log('Form values:', {
-      weight: weightInput?.value,
-      steps: stepsInput?.value,
-      exercise: exerciseInput?.value,
-      water: waterInput?.value,
-    });
+  get(storeName, key) {
+    return this.request(
+      this.db.transaction(storeName).objectStore(storeName).get(key)
+    ).then((value) => (value === undefined ? null : value));
+  }
 
-    console.log(
-      'Exercise checkboxes:',
-      Array.from(document.querySelectorAll('.exercise-checkbox:checked')).map(
-        (cb) => cb.value
-      )
+  getAll(storeName) {
+    return this.request(
+      this.db.transaction(storeName).objectStore(storeName).getAll()
     );
+  }
 
-    console.log(
-      'Wellness checkboxes:',
-      Array.from(document.querySelectorAll('.wellness-checkbox:checked')).map(
-        (cb) => cb.dataset.wellness
-      )
-    );
-    console.log('=====================');
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
   }
 }
 
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-  // Create global app instance
-  window.app = new BribeYourselfFit();
-
-  // Add some helpful global functions for development
-  window.exportData = () => app.exportData();
-  window.resetData = () => app.resetAllData();
-  window.getStats = () => app.getAppStats();
-  window.debugForm = () => app.debugFormState();
-
-  // Add import function handler
-  window.handleFileImport = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      app.importData(file);
-    }
-  };
-
-  console.log('🎉 BribeYourselfFit initialized successfully!');
-  console.log('Development commands available:');
-  console.log('- exportData() - Export your data');
-  console.log('- resetData() - Reset all data (careful!)');
-  console.log('- getStats() - View app statistics');
-  console.log('- debugForm() - Debug form state and data');
-});
-
 /**
- * Handle keyboard shortcuts for accessibility
+ * localStorage adapter - fallback when IndexedDB is unavailable (e.g. some
+ * private browsing modes). Each collection is one JSON string under its
+ * byf_* key, so every log save rewrites the whole history.
  */
-document.addEventListener('keydown', (e) => {
-  if (e.altKey) {
-    switch (e.key) {
-      case '1':
-        e.preventDefault();
-        if (window.app) window.app.switchTab('dashboard');
-        break;
-      case '2':
-        e.preventDefault();
-        if (window.app) window.app.switchTab('charts');
-        break;
-      case '3':
-        e.preventDefault();
-        if (window.app) window.app.switchTab('rewards');
-        break;
-      case '4':
-        e.preventDefault();
-        if (window.app) window.app.switchTab('settings');
-        break;
-      case 't':
-        e.preventDefault();
-        if (window.app) window.app.toggleTheme();
-        break;
-    }
+class LocalStorageAdapter {
+  constructor() {
+    this.name = 'localStorage';
+    this.label = 'Browser Local Storage';
+    this.dailyLogs = {};
   }
-});
 
-/**
- * Handle window beforeunload to prevent data loss
- */
-window.addEventListener('beforeunload', (e) => {
-  // Check if there are unsaved changes (basic check)
-  const forms = document.querySelectorAll('form');
-  let hasUnsavedData = false;
+  async init() {}
 
-  forms.forEach((form) => {
-    const formData = new FormData(form);
-    for (let [key, value] of formData.entries()) {
-      if (value && value.toString().trim() !== '') {
-        hasUnsavedData = true;
-        break;
-      }
-    }
-  });
+  async loadAll() {
+    const data = {};
+    Object.entries(STORAGE_KEYS).forEach(([field, key]) => {
+      data[field] = JSON.parse(localStorage.getItem(key));
+    });
 
-  if (hasUnsavedData) {
-    e.preventDefault();
-    e.returnValue = 'You have unsaved data. Are you sure you want to leave?';
-    return e.returnValue;
+    this.dailyLogs = data.dailyLogs || {};
+    return { ...data, dailyLogs: { ...this.dailyLogs } };
   }
-});
-
-/**
- * Performance monitoring
- */
-const performanceObserver = new PerformanceObserver((list) => {
-  const entries = list.getEntries();
-  entries.forEach((entry) => {
-    if (entry.entryType === 'navigation') {
-      console.log(
-        `Page load time: ${entry.loadEventEnd - entry.loadEventStart}ms`
-      );
-    }
-  });
-});
-
-if (typeof PerformanceObserver !== 'undefined') {
-  performanceObserver.observe({ entryTypes: ['navigation'] });
-}
 
-/**
- * Error handling for uncaught errors
- */
-window.addEventListener('error', (e) => {
-  console.error('Uncaught error:', e.error);
-  if (window.app) {
-    window.app.showError(
-      'An unexpected error occurred. Please refresh the page.'
+  async saveCollections(data) {
+    ['user', 'streaks', 'customRewards', 'achievements'].forEach((field) =>
+      localStorage.setItem(STORAGE_KEYS[field], JSON.stringify(data[field]))
     );
   }
-});
 
-window.addEventListener('unhandledrejection', (e) => {
-  console.error('Unhandled promise rejection:', e.reason);
-  if (window.app) {
-    window.app.showError('An unexpected error occurred. Please try again.');
+  async saveLog(entry) {
+    this.dailyLogs[entry.date] = entry;
+    this.writeLogs();
   }
-});
 
-// Fix for PWA install prompt errors
-BribeYourselfFit.prototype.showInstallPrompt = function () {
-  if (this.deferredPrompt) {
-    // Only show install button if user hasn't dismissed it
-    const existingBtn = document.getElementById('pwa-install-btn');
-    if (existingBtn) return; // Don't create multiple buttons
+  async deleteLog(date) {
+    delete this.dailyLogs[date];
+    this.writeLogs();
+  }
 
-    const installBtn = document.createElement('button');
-    installBtn.id = 'pwa-install-btn';
-    installBtn.textContent = '📱 Install App';
-    installBtn.className = 'btn btn-primary';
-    installBtn.style.cssText =
-      'position: fixed; bottom: 20px; right: 20px; z-index: 1000; opacity: 0.9;';
+  async replaceLogs(dailyLogs) {
+    this.dailyLogs = { ...dailyLogs };
+    this.writeLogs();
+  }
 
-    installBtn.addEventListener('click', async () => {
-      try {
-        if (this.deferredPrompt) {
-          this.deferredPrompt.prompt();
-          const result = await this.deferredPrompt.userChoice;
-          console.log('PWA install result:', result);
-          this.deferredPrompt = null;
-          installBtn.remove();
-        }
-      } catch (error) {
-        console.error('Install prompt error:', error);
-        installBtn.remove();
-      }
-    });
+  async replaceAll(data) {
+    // No transactions here: the logs are the write most likely to exceed
+    // the quota, so they go first and a failure leaves everything as it was
+    await this.replaceLogs(data.dailyLogs);
+    await this.saveCollections(data);
+  }
 
-    // Auto-remove after 15 seconds
-    setTimeout(() => {
-      if (installBtn.parentNode) {
-        installBtn.remove();
-      }
-    }, 15000);
+  async clear() {
+    this.dailyLogs = {};
+    Object.values(STORAGE_KEYS).forEach((key) => localStorage.removeItem(key));
+    localStorage.removeItem(SCHEMA_VERSION_KEY);
+  }
 
-    document.body.appendChild(installBtn);
+  async getSchemaVersion() {
+    return JSON.parse(localStorage.getItem(SCHEMA_VERSION_KEY));
   }
-};
 
-// Debug function to check form state before saving
-BribeYourselfFit.prototype.debugFormSave = function () {
-  console.log('=== FORM SAVE DEBUG ===');
-  console.log('Current date:', this.currentDate);
-  console.log('Form elements:', {
-    weight: document.getElementById('todayWeight')?.value,
-    steps: document.getElementById('todaySteps')?.value,
-    exercise: document.getElementById('todayExerciseMinutes')?.value,
-    water: document.getElementById('todayWater')?.value,
-  });
-  console.log('Current user:', this.currentUser);
-  console.log('Daily logs before save:', Object.keys(this.dailyLogs).length);
-  console.log('=====================');
-};
+  async setSchemaVersion(version) {
+    localStorage.setItem(SCHEMA_VERSION_KEY, JSON.stringify(version));
+  }
+
+  writeLogs() {
+    localStorage.setItem(
+      STORAGE_KEYS.dailyLogs,
+      JSON.stringify(this.dailyLogs)
+    );
+  }
+}
 
 /**
- * Utility functions for date manipulation and formatting
+ * Pick the best available storage adapter
  */
-const DateUtils = {
-  /**
-   * Format date for display
-   */
-  formatDate(dateString, options = {}) {
-    const date = new Date(dateString);
-    const defaultOptions = {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-    };
-    return date.toLocaleDateString('en-US', { ...defaultOptions, ...options });
-  },
-
-  /**
-   * Get days between two dates
-   */
-  daysBetween(date1, date2) {
-    const oneDay = 24 * 60 * 60 * 1000;
-    const firstDate = new Date(date1);
-    const secondDate = new Date(date2);
-    return Math.round(Math.abs((firstDate - secondDate) / oneDay));
-  },
-
-  /**
-   * Check if date is today
-   */
-  isToday(dateString) {
-    const today = new Date().toISOString().split('T')[0];
-    return dateString === today;
-  },
+const StorageAdapters = {
+  async create() {
+    if (typeof indexedDB !== 'undefined') {
+      try {
+        const adapter = new IndexedDBStorageAdapter();
+        await adapter.init();
+        return adapter;
+      } catch (error) {
+        console.warn('IndexedDB unavailable, using localStorage:', error);
+      }
+    }
 
-  /**
-   * Get week number
-   */
-  getWeekNumber(dateString) {
-    const date = new Date(dateString);
-    const firstDayOfYear = new Date(date.getFullYear(), 0, 1);
-    const pastDaysOfYear = (date - firstDayOfYear) / 86400000;
-    return Math.ceil((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
+    const adapter = new LocalStorageAdapter();
+    await adapter.init();
+    return adapter;
   },
 };
 
-// Make DateUtils available globally
-window.DateUtils = DateUtils;
-
 // PWA Event Listeners - Fixed Version
 window.addEventListener('beforeinstallprompt', (e) => {
   console.log('PWA install prompt available');
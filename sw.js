@@ -1,5 +1,7 @@
-// BribeYourselfFit localStorage Service Worker - Basic Caching
-const CACHE_NAME = 'byf-localstorage-v1.1.0';
+// BribeYourselfFit Service Worker - Basic Caching
+// Keep the version in step with DataSchema.APP_VERSION in script.js: a new
+// cache name is what makes installed copies drop the old cached files
+const CACHE_NAME = 'byf-v1.2.0';
 const STATIC_ASSETS = [
   './index.html',
   './styles.css',